@@ -3,8 +3,13 @@
 //   node auto-tag.js              # Dry run - shows proposed changes
 //   node auto-tag.js --apply      # Actually apply the changes
 //   node auto-tag.js --verbose    # Show detailed ingredient analysis
+//   node auto-tag.js history      # List journaled runs
+//   node auto-tag.js undo <run-id> --apply   # Restore the tags an --apply run replaced
 
 import 'dotenv/config';
+import fs from 'node:fs';
+import { pathToFileURL } from 'node:url';
+import { JOURNAL_DIR, createJournal, readRun, listRuns, undoSteps, markChangeUndone, markUndone, formatRun, slimTerms } from './journal.js';
 
 const BASE = process.env.MEALIE_BASE?.replace(/\/+$/, '');
 const TOKEN = process.env.MEALIE_TOKEN;
@@ -17,6 +22,7 @@ if (!BASE || !TOKEN) {
 const args = parseArgs(process.argv.slice(2));
 const DRY_RUN = !args.apply;
 const VERBOSE = !!args.verbose;
+const JOURNAL = createJournal({ script: 'auto-tag', command: 'tag', argv: process.argv.slice(2) });
 
 // ============== INGREDIENT KEYWORDS ==============
 // These lists help identify what role(s) a recipe fulfills
@@ -131,6 +137,10 @@ const BAKED_GOOD_INDICATORS = [
 // ============== MAIN ==============
 
 async function main() {
+    if (args.action === 'history') return printHistory();
+    if (args.action === 'undo') return undoRun(args.runid);
+    if (args.action) throw new Error(`Unknown command "${args.action}" (expected history or undo)`);
+
     console.log(`[info] Base: ${BASE}`);
     console.log(`[info] Mode: ${DRY_RUN ? 'DRY RUN (use --apply to save changes)' : 'APPLYING CHANGES'}`);
     console.log('');
@@ -226,7 +236,16 @@ async function main() {
 
         if (!DRY_RUN) {
             try {
-                await updateRecipeTagsAndCategories(recipe.slug, newTagIds.filter(Boolean), newCatIds.filter(Boolean), tagObjects, categoryObjects);
+                const body = recipeUpdateBody(newTagIds.filter(Boolean), newCatIds.filter(Boolean), tagObjects, categoryObjects);
+                await updateRecipeTagsAndCategories(recipe.slug, body);
+                // Journal exactly what was sent, so undo compares against it
+                JOURNAL.record({
+                    type: 'recipe-update',
+                    slug: recipe.slug,
+                    name: recipe.name,
+                    before: { tags: slimTerms(recipe.tags), recipeCategory: slimTerms(recipe.recipeCategory) },
+                    after: { tags: slimTerms(body.tags), recipeCategory: slimTerms(body.recipeCategory) },
+                });
                 updated++;
                 await sleep(100); // Rate limiting
             } catch (err) {
@@ -257,6 +276,70 @@ async function main() {
     if (DRY_RUN) {
         console.log('');
         console.log('This was a dry run. Use --apply to save changes.');
+    } else if (JOURNAL.run.changes.length > 0) {
+        console.log('');
+        console.log(`Journal: ${JOURNAL.run.runId} (undo with: node auto-tag.js undo ${JOURNAL.run.runId} --apply)`);
+    }
+}
+
+// ============== JOURNAL ==============
+
+function printHistory() {
+    const runs = listRuns();
+    if (runs.length === 0) console.log(`No journaled runs in ${JOURNAL_DIR}.`);
+    for (const run of runs) console.log(formatRun(run));
+}
+
+// Puts back the tags and categories each recipe had before the run, last change first.
+// Restored recipes are marked in the journal, so after a failure a second undo only retries the rest.
+async function undoRun(runId) {
+    if (!runId) throw new Error('undo needs a run ID (see: node auto-tag.js history)');
+    const run = readRun(runId);
+    if (run.script !== 'auto-tag') {
+        throw new Error(`Run ${runId} was made by ${run.script}.js; undo it with: node ${run.script}.js undo ${runId}`);
+    }
+    if (run.undoneAt) throw new Error(`Run ${runId} was already undone (${run.undoneAt})`);
+
+    console.log(`[info] Base: ${BASE}`);
+    console.log(`[info] Mode: ${DRY_RUN ? 'DRY RUN (use --apply to save changes)' : 'APPLYING CHANGES'}`);
+    console.log(`[info] Undoing ${formatRun(run)}`);
+    console.log('');
+
+    let restored = 0;
+    let failed = 0;
+    for (const change of undoSteps(run)) {
+        if (change.type !== 'recipe-update') continue;
+        const url = `${BASE}/api/recipes/${encodeURIComponent(change.slug)}`;
+        const tagNames = change.before.tags.map(t => t.name);
+        const catNames = change.before.recipeCategory.map(c => c.name);
+        console.log(`[${DRY_RUN ? 'would restore' : 'restoring'}] "${change.name}" -> tags: [${tagNames.join(', ')}], categories: [${catNames.join(', ')}]`);
+        if (DRY_RUN) continue;
+
+        try {
+            // Someone may have retagged the recipe since; the run's "before" state still wins
+            const current = await apiGET(url);
+            const currentTagIds = (current.tags || []).map(t => t.id).sort();
+            const appliedTagIds = change.after.tags.map(t => t.id).sort();
+            if (JSON.stringify(currentTagIds) !== JSON.stringify(appliedTagIds)) {
+                console.warn('  [warn] Tags changed since the run; restoring anyway');
+            }
+            await apiPATCH(url, change.before);
+            markChangeUndone(run, change);
+            restored++;
+            await sleep(100); // Rate limiting
+        } catch (err) {
+            console.error(`  [error] Failed to restore: ${err.message}`);
+            failed++;
+        }
+    }
+
+    console.log('');
+    if (DRY_RUN) {
+        console.log('This was a dry run. Use --apply to restore the tags.');
+    } else {
+        if (failed === 0) markUndone(run);
+        console.log(`Restored: ${restored} of ${run.changes.length}`);
+        if (failed > 0) console.log(`${failed} recipes could not be restored. Run "node auto-tag.js undo ${runId} --apply" again to retry them.`);
     }
 }
 
@@ -531,16 +614,17 @@ async function getOrCreateCategories() {
     return { categoryMap, categoryList, categoryObjects };
 }
 
-async function updateRecipeTagsAndCategories(slug, tagIds, categoryIds, tagObjects, categoryObjects) {
-    // Mealie uses PATCH to update recipes
-    const url = `${BASE}/api/recipes/${encodeURIComponent(slug)}`;
-
-    // Build the update payload - Mealie requires full objects with id, name, slug
-    const body = {
+function recipeUpdateBody(tagIds, categoryIds, tagObjects, categoryObjects) {
+    // Mealie requires full objects with id, name, slug; unknown IDs are left out
+    return {
         tags: tagIds.map(id => tagObjects[id] || { id }).filter(t => t.name && t.slug),
         recipeCategory: categoryIds.map(id => categoryObjects[id] || { id }).filter(c => c.name && c.slug),
     };
+}
 
+async function updateRecipeTagsAndCategories(slug, body) {
+    // Mealie uses PATCH to update recipes
+    const url = `${BASE}/api/recipes/${encodeURIComponent(slug)}`;
     return apiPATCH(url, body);
 }
 
@@ -593,6 +677,8 @@ function parseArgs(argv) {
     for (const a of argv) {
         if (a === '--apply') out.apply = true;
         else if (a === '--verbose') out.verbose = true;
+        else if (!a.startsWith('--') && !out.action) out.action = a;
+        else if (!a.startsWith('--') && !out.runid) out.runid = a;
     }
     return out;
 }
@@ -601,10 +687,15 @@ function sleep(ms) {
     return new Promise(r => setTimeout(r, ms));
 }
 
-main().catch(err => {
-    console.error('[fatal]', err);
-    process.exit(1);
-});
+// Only run when executed directly, not when imported (plan-dinner.js reuses the analysis)
+if (process.argv[1] && import.meta.url === pathToFileURL(fs.realpathSync(process.argv[1])).href) {
+    main().catch(err => {
+        console.error('[fatal]', err);
+        process.exit(1);
+    });
+}
+
+export { analyzeRecipe, matchesKeyword, PROTEIN_KEYWORDS_SUBSTANTIAL, PROTEIN_KEYWORDS_MINOR, VEGETABLE_KEYWORDS };
 
 // ============================================================
 // TEST EXPORTS
@@ -617,6 +708,7 @@ export const _testExports = {
     matchesKeyword,
     analyzeRecipe,
     determineCategory,
+    recipeUpdateBody,
     PROTEIN_KEYWORDS_SUBSTANTIAL,
     PROTEIN_KEYWORDS_MINOR,
     STARCH_KEYWORDS,
@@ -0,0 +1,227 @@
+// ============================================================
+// RUN JOURNAL
+// ============================================================
+// Records what plan-dinner.js and auto-tag.js change in Mealie, one JSON
+// file per run, so past runs can be listed (`history`) and reverted
+// (`undo <run-id>`). Dry runs and runs that change nothing leave no file.
+//
+// Change records:
+//   { type: 'mealplan-create', entryId, date, entryType, recipeId, title, name }
+//   { type: 'mealplan-delete', entryId, date, entryType, recipeId, title, text, name }
+//   { type: 'recipe-update', slug, name, before: { tags, recipeCategory }, after: { tags, recipeCategory } }
+// An undo sets undoneAt on each change it reverts, so an undo that stops
+// halfway can be run again without reverting a change twice.
+
+import fs from 'node:fs';
+import path from 'node:path';
+
+/** Directory holding the run files (JOURNAL_DIR, default ./.mealie-journal) */
+const JOURNAL_DIR = process.env.JOURNAL_DIR || '.mealie-journal';
+
+/**
+ * Builds a run ID from the start time and command, e.g. '20250120T183000-plan'.
+ *
+ * @param {string} command - Command that ran (plan, clear, reroll, tag)
+ * @param {Date} [now] - Start time
+ * @returns {string} Run ID (sorts by start time)
+ */
+function runIdFor(command, now = new Date()) {
+    const stamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, '');
+    return `${stamp}-${command}`;
+}
+
+/**
+ * Starts the journal of a run. The file is written on the first recorded
+ * change and rewritten after every further one, so a run that fails halfway
+ * can still be undone up to where it got.
+ *
+ * @param {Object} params - Run details
+ * @param {string} params.script - Script that ran ('plan-dinner' or 'auto-tag')
+ * @param {string} params.command - Command that ran (plan, clear, reroll, tag)
+ * @param {Array<string>} [params.argv] - Command-line arguments
+ * @param {Object} [options] - Journal options
+ * @param {string} [options.dir] - Journal directory
+ * @param {Date} [options.now] - Start time
+ * @returns {{run: Object, record: function(Object): void}} The run and a function recording one change
+ */
+function createJournal({ script, command, argv = [] }, { dir = JOURNAL_DIR, now = new Date() } = {}) {
+    let runId = runIdFor(command, now);
+    for (let n = 2; fs.existsSync(runFile(runId, dir)); n++) runId = `${runIdFor(command, now)}-${n}`;
+
+    const run = { runId, script, command, argv, startedAt: now.toISOString(), undoneAt: null, changes: [] };
+    return {
+        run,
+        record(change) {
+            run.changes.push(change);
+            writeRun(run, dir);
+        },
+    };
+}
+
+/**
+ * Path of a run's journal file.
+ *
+ * @param {string} runId - Run ID
+ * @param {string} [dir] - Journal directory
+ * @returns {string} File path
+ */
+function runFile(runId, dir = JOURNAL_DIR) {
+    return path.join(dir, `${runId}.json`);
+}
+
+/**
+ * Writes a run to its journal file, creating the directory if needed.
+ *
+ * @param {Object} run - Run journal
+ * @param {string} [dir] - Journal directory
+ */
+function writeRun(run, dir = JOURNAL_DIR) {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(runFile(run.runId, dir), `${JSON.stringify(run, null, 2)}\n`);
+}
+
+/**
+ * Reads one run's journal.
+ *
+ * @param {string} runId - Run ID (as listed by `history`)
+ * @param {string} [dir] - Journal directory
+ * @returns {Object} Run journal
+ * @throws {Error} If there is no such run or the file cannot be parsed
+ */
+function readRun(runId, dir = JOURNAL_DIR) {
+    if (!/^[\w-]+$/.test(runId || '')) throw new Error(`Invalid run ID "${runId}"`);
+    const file = runFile(runId, dir);
+    if (!fs.existsSync(file)) throw new Error(`No run "${runId}" in ${dir} (see the history command)`);
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        throw new Error(`Could not read journal ${file}: ${err.message}`);
+    }
+}
+
+/**
+ * Lists every journaled run, oldest first. Unreadable files are skipped.
+ *
+ * @param {string} [dir] - Journal directory
+ * @returns {Array<Object>} Run journals
+ */
+function listRuns(dir = JOURNAL_DIR) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+        .filter(name => name.endsWith('.json'))
+        .flatMap(name => {
+            try {
+                return [JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'))];
+            } catch {
+                return [];
+            }
+        })
+        .sort((a, b) => a.startedAt.localeCompare(b.startedAt) || a.runId.localeCompare(b.runId));
+}
+
+/**
+ * Lists the changes still to revert for a run, last change first. Changes
+ * an earlier, interrupted undo already reverted are left out.
+ *
+ * @param {Object} run - Run journal
+ * @returns {Array<Object>} Change records in undo order
+ */
+function undoSteps(run) {
+    return run.changes.filter(change => !change.undoneAt).reverse();
+}
+
+/**
+ * Marks one change of a run as reverted and saves the journal right away.
+ *
+ * @param {Object} run - Run journal (mutated)
+ * @param {Object} change - One of run.changes (mutated)
+ * @param {string} [dir] - Journal directory
+ * @param {Date} [now] - Undo time
+ */
+function markChangeUndone(run, change, dir = JOURNAL_DIR, now = new Date()) {
+    change.undoneAt = now.toISOString();
+    writeRun(run, dir);
+}
+
+/**
+ * Marks a run as undone so it is not reverted twice.
+ *
+ * @param {Object} run - Run journal (mutated)
+ * @param {string} [dir] - Journal directory
+ * @param {Date} [now] - Undo time
+ */
+function markUndone(run, dir = JOURNAL_DIR, now = new Date()) {
+    run.undoneAt = now.toISOString();
+    writeRun(run, dir);
+}
+
+/**
+ * Summarizes a run's changes.
+ *
+ * @param {Object} run - Run journal
+ * @returns {string} e.g. '5 entries created, 2 removed' or '12 recipes retagged'
+ */
+function describeChanges(run) {
+    const count = type => run.changes.filter(change => change.type === type).length;
+    const parts = [];
+    if (count('mealplan-create') > 0) parts.push(`${count('mealplan-create')} entries created`);
+    if (count('mealplan-delete') > 0) parts.push(`${count('mealplan-delete')} removed`);
+    if (count('recipe-update') > 0) parts.push(`${count('recipe-update')} recipes retagged`);
+    return parts.join(', ') || 'no changes';
+}
+
+/**
+ * Formats one line of the `history` listing.
+ *
+ * @param {Object} run - Run journal
+ * @returns {string} e.g. '20250120T183000-plan  plan-dinner.js plan --days 7  5 entries created (undone 2025-01-21T08:00:00.000Z)'
+ */
+function formatRun(run) {
+    const command = [`${run.script}.js`, ...(run.argv || [])].join(' ');
+    return `${run.runId}  ${command}  ${describeChanges(run)}${run.undoneAt ? ` (undone ${run.undoneAt})` : ''}`;
+}
+
+/**
+ * Builds the change record for a meal plan entry about to be deleted, with
+ * everything needed to create it again.
+ *
+ * @param {Object} entry - Meal plan entry as listed by Mealie
+ * @returns {Object} 'mealplan-delete' change record
+ */
+function removedEntryChange(entry) {
+    return {
+        type: 'mealplan-delete',
+        entryId: entry.id,
+        date: entry.date,
+        entryType: entry.entryType,
+        recipeId: entry.recipeId || entry.recipe?.id || null,
+        title: entry.title || null,
+        text: entry.text || null,
+        name: entry.recipe?.name || entry.title || null,
+    };
+}
+
+/**
+ * Reduces tags or categories to the fields Mealie needs to set them again.
+ *
+ * @param {Array<Object>} [items] - Tag or category objects
+ * @returns {Array<{id: string, name: string, slug: string}>} Slim copies
+ */
+function slimTerms(items = []) {
+    return items.map(({ id, name, slug }) => ({ id, name, slug }));
+}
+
+export {
+    JOURNAL_DIR,
+    runIdFor,
+    createJournal,
+    readRun,
+    listRuns,
+    undoSteps,
+    markChangeUndone,
+    markUndone,
+    describeChanges,
+    formatRun,
+    removedEntryChange,
+    slimTerms,
+};
@@ -9,8 +9,29 @@
 // Usage:
 //   node plan-dinner.js
 //   node plan-dinner.js --start 2025-08-27 --days 7 --norepeat 5 --dry
+//   node plan-dinner.js --slots breakfast,dinner --config planner.config.json
+//   node plan-dinner.js --seed 20250120 --dry   # same seed => same picks
+//   node plan-dinner.js --mode replace           # re-plan days that already have entries
+//   node plan-dinner.js clear --start 2025-08-27 --days 7 --dry
+//   node plan-dinner.js reroll --date 2025-08-29
+//   node plan-dinner.js --strategy optimize --time-limit 10   # plan the whole week at once
+//   node plan-dinner.js --shopping-list --list-name "This week" --dry
+//   node plan-dinner.js --budget 120 --dry      # needs a price table in the config
+//   node plan-dinner.js --ics meals.ics          # also write the plan to a calendar file
+//   node plan-dinner.js --dry --menu fridge      # printable fridge.html and fridge.md
+//   node plan-dinner.js --dry --format json > plan.json   # logs go to stderr
+//   node plan-dinner.js --pin 2025-01-24=homemade-pizza --template week.json
+//   node plan-dinner.js --interactive            # review, re-roll and swap before writing
+//   node plan-dinner.js history                  # list journaled runs
+//   node plan-dinner.js report --since 2024-01-01 # recipe frequency, balance and streaks
+//   node plan-dinner.js undo 20250120T183000-plan --dry
 
 import 'dotenv/config';
+import fs from 'node:fs';
+import readline from 'node:readline';
+import { pathToFileURL } from 'node:url';
+import { analyzeRecipe, matchesKeyword } from './auto-tag.js';
+import { JOURNAL_DIR, createJournal, readRun, listRuns, undoSteps, markChangeUndone, markUndone, formatRun, removedEntryChange } from './journal.js';
 
 // ============================================================
 // CONFIGURATION
@@ -25,10 +46,78 @@ if (!BASE || !TOKEN) {
 }
 
 const args = parseArgs(process.argv.slice(2));
+const ACTION = args.action || 'plan';
 const START_DATE = args.start || process.env.START_DATE || today();
 const DAYS = parseInt(args.days || process.env.DAYS || '7', 10);
 const NO_REPEAT_DAYS = parseInt(args.norepeat || process.env.NO_REPEAT_DAYS || '5', 10);
 const DRY_RUN = !!args.dry;
+const INTERACTIVE = !!args.interactive;
+const MODE = (args.mode || process.env.PLAN_MODE || 'fill').toLowerCase();
+const STRATEGY = (args.strategy || process.env.PLAN_STRATEGY || 'greedy').toLowerCase();
+const FORMAT = (args.format || process.env.OUTPUT_FORMAT || 'text').toLowerCase();
+const SHOPPING_LIST_NAME = args.listname || process.env.SHOPPING_LIST_NAME || 'Meal Plan';
+const CONFIG = loadConfig(args.config || process.env.PLANNER_CONFIG);
+const SEED = args.seed || process.env.SEED || String(Math.floor(Math.random() * 2 ** 32));
+const SEEDED = !!(args.seed || process.env.SEED);
+
+/** Actions selectable as the first positional argument */
+const ACTIONS = ['plan', 'clear', 'reroll', 'undo', 'history', 'report'];
+
+if (!ACTIONS.includes(ACTION)) {
+    console.error(`Unknown action "${ACTION}" (expected ${ACTIONS.join(', ')}).`);
+    process.exit(1);
+}
+
+if (ACTION === 'reroll' && !/^\d{4}-\d{2}-\d{2}$/.test(args.date || '')) {
+    console.error('reroll needs --date YYYY-MM-DD.');
+    process.exit(1);
+}
+
+if (args.since && !/^\d{4}-\d{2}-\d{2}$/.test(args.since)) {
+    console.error('--since needs a date (YYYY-MM-DD).');
+    process.exit(1);
+}
+
+if (ACTION === 'undo' && !args.runid) {
+    console.error('undo needs a run ID (see: node plan-dinner.js history).');
+    process.exit(1);
+}
+
+/** Journal of this run's writes to Mealie (see journal.js); nothing is written in dry-run mode */
+const JOURNAL = createJournal({ script: 'plan-dinner', command: ACTION, argv: process.argv.slice(2) });
+
+/** How to treat dates that already have an entry for a slot */
+const PLAN_MODES = ['fill', 'replace', 'append'];
+
+if (!PLAN_MODES.includes(MODE)) {
+    console.error(`Unknown --mode "${MODE}" (expected ${PLAN_MODES.join(', ')}).`);
+    process.exit(1);
+}
+
+/** How picks are chosen: day by day, or for the whole range at once */
+const STRATEGIES = ['greedy', 'optimize'];
+
+if (!STRATEGIES.includes(STRATEGY)) {
+    console.error(`Unknown --strategy "${STRATEGY}" (expected ${STRATEGIES.join(', ')}).`);
+    process.exit(1);
+}
+
+/** Output formats: log lines only, or a JSON document on stdout (logs move to stderr) */
+const FORMATS = ['text', 'json'];
+
+if (!FORMATS.includes(FORMAT)) {
+    console.error(`Unknown --format "${FORMAT}" (expected ${FORMATS.join(', ')}).`);
+    process.exit(1);
+}
+
+/** Version of the --format json document; bump it on breaking changes (see plan-output.schema.json) */
+const OUTPUT_SCHEMA_VERSION = 1;
+
+/** Note written on every entry the planner creates, so `clear` can tell them apart */
+const PLANNER_NOTE = 'Planned by mealie-planner';
+
+/** Marker at the end of every shopping item note the planner writes, so the next run only replaces its own items */
+const SHOPPING_NOTE_MARK = '[mealie-planner]';
 
 /** Maps role names to their tag slugs in Mealie */
 const ROLE_TAGS = {
@@ -37,339 +126,4892 @@ const ROLE_TAGS = {
     veg:     'role:vegetable',
 };
 
+/** Will be populated with the user's ratings/favorites (recipe ID -> { rating, isFavorite }) */
+const USER_RATINGS = new Map();
+
+/** Will be populated with each recipe's last planned date before the planned range (recipe ID -> YYYY-MM-DD) */
+const LAST_PLANNED = new Map();
+
 /** Will be populated with tag UUIDs after fetching from Mealie */
 const ROLE_IDS = { protein: null, starch: null, veg: null };
 
-/** Will be populated with category UUIDs after fetching from Mealie */
+/** Will be populated with category UUIDs (keyed by lowercase slug) after fetching from Mealie */
 const CATEGORY_IDS = { dinner: null, side: null };
 
+/** Minutes a recipe without a cook time counts for against a time budget, unless the slot sets "untimedMinutes" */
+const DEFAULT_UNTIMED_MINUTES = 30;
+
+/** Day-of-week keys, indexed like Date#getUTCDay() */
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * Built-in meal slot definitions. Each slot is planned independently with
+ * its own recipe pool (by category), role requirements and no-repeat window.
+ * Any field can be overridden per slot in the config file.
+ */
+const DEFAULT_SLOTS = {
+    breakfast: {
+        entryType: 'breakfast',
+        categories: ['breakfast'],
+        roles: ['protein', 'starch'],
+        minRoles: 1,
+        noRepeatDays: 3,
+    },
+    lunch: {
+        entryType: 'lunch',
+        categories: ['dinner', 'side'],
+        roles: ['protein', 'starch', 'veg'],
+        minRoles: 2,
+        allowUncategorized: true,
+    },
+    dinner: {
+        entryType: 'dinner',
+        categories: ['dinner', 'side'],
+        roles: ['protein', 'starch', 'veg'],
+        minRoles: 2,
+        allowUncategorized: true,
+    },
+    side: {
+        entryType: 'side',
+        categories: ['side'],
+        roles: ['veg'],
+        minRoles: 1,
+    },
+};
+
+/**
+ * Protein types by the ingredient keywords auto-tag.js reports in proteinMatches.
+ * A `protein:<type>` tag on the recipe takes precedence over these.
+ */
+const PROTEIN_TYPES = {
+    chicken:   ['chicken', 'ground chicken'],
+    turkey:    ['turkey', 'ground turkey'],
+    beef:      ['beef', 'ground beef', 'brisket', 'meatball', 'meatloaf'],
+    pork:      ['pork', 'ground pork', 'bacon', 'ham', 'sausage', 'pepperoni', 'salami', 'prosciutto'],
+    lamb:      ['lamb'],
+    game:      ['duck', 'veal', 'venison'],
+    fish:      ['fish', 'salmon', 'tuna', 'cod', 'tilapia', 'halibut', 'trout', 'bass', 'haddock', 'anchovy', 'sardine'],
+    shellfish: ['shrimp', 'prawn', 'lobster', 'crab', 'scallop', 'mussel', 'clam', 'oyster', 'calamari', 'squid', 'octopus'],
+    plant:     ['tofu', 'tempeh', 'seitan', 'edamame', 'lentils', 'chickpeas', 'black beans', 'kidney beans', 'cannellini', 'beans'],
+    egg:       ['egg', 'eggs'],
+};
+
+/** Cuts that only imply a protein type when no specific one matched ("turkey breast" stays turkey) */
+const PROTEIN_CUTS = {
+    chicken: ['breast', 'thigh', 'drumstick', 'wing'],
+    beef:    ['steak', 'roast', 'ribs'],
+    pork:    ['chop', 'tenderloin'],
+};
+
+/** Default protein groups usable in variety.maxPerWeek */
+const PROTEIN_GROUPS = {
+    'red-meat': ['beef', 'pork', 'lamb', 'game'],
+    seafood:    ['fish', 'shellfish'],
+};
+
+/**
+ * Months (1-12) each vegetable keyword from auto-tag.js is in season, for a
+ * temperate northern-hemisphere climate. null = available all year (storage
+ * crops, greenhouse produce and generic words).
+ */
+const PRODUCE_SEASONS = {
+    // Leafy greens
+    lettuce:           [4, 5, 6, 7, 8, 9, 10],
+    spinach:           [3, 4, 5, 6, 9, 10, 11],
+    kale:              [1, 2, 3, 9, 10, 11, 12],
+    arugula:           [4, 5, 6, 9, 10],
+    chard:             [6, 7, 8, 9, 10],
+    collard:           [1, 2, 3, 10, 11, 12],
+    cabbage:           [1, 2, 3, 4, 9, 10, 11, 12],
+    romaine:           [5, 6, 7, 8, 9, 10],
+    iceberg:           [6, 7, 8, 9],
+    'mixed greens':    null,
+    salad:             null,
+    // Common vegetables
+    broccoli:          [6, 7, 8, 9, 10, 11],
+    cauliflower:       [1, 2, 3, 9, 10, 11, 12],
+    carrot:            null,
+    celery:            null,
+    onion:             null,
+    garlic:            null,
+    pepper:            null,
+    'bell pepper':     [7, 8, 9, 10],
+    tomato:            [6, 7, 8, 9],
+    cucumber:          [6, 7, 8, 9],
+    zucchini:          [6, 7, 8, 9],
+    squash:            null,
+    eggplant:          [7, 8, 9],
+    mushroom:          null,
+    asparagus:         [4, 5, 6],
+    'green bean':      [6, 7, 8, 9],
+    pea:               [5, 6, 7],
+    'snap pea':        [5, 6, 7],
+    'brussels sprout': [1, 2, 10, 11, 12],
+    artichoke:         [3, 4, 5, 9, 10],
+    leek:              [1, 2, 3, 9, 10, 11, 12],
+    shallot:           null,
+    scallion:          [4, 5, 6, 7, 8, 9],
+    radish:            [4, 5, 6, 9, 10],
+    turnip:            [1, 2, 3, 10, 11, 12],
+    beet:              [6, 7, 8, 9, 10, 11],
+    parsnip:           [1, 2, 3, 10, 11, 12],
+    rutabaga:          [1, 2, 3, 10, 11, 12],
+    'bok choy':        [5, 6, 7, 8, 9, 10],
+    'napa cabbage':    [9, 10, 11, 12],
+    'bean sprout':     null,
+    // Squashes
+    butternut:         [1, 2, 9, 10, 11, 12],
+    'acorn squash':    [9, 10, 11, 12],
+    'spaghetti squash': [9, 10, 11, 12],
+    pumpkin:           [9, 10, 11],
+    // Generic
+    vegetable:         null,
+    veggie:            null,
+    greens:            null,
+};
+
+/** Weighting curves: map a 0-5 star rating to a selection weight */
+const WEIGHT_CURVES = {
+    flat:        () => 1,
+    linear:      rating => Math.max(rating, 0.5),
+    exponential: (rating, base) => base ** rating,
+};
+
+/** Default weights of the optimizer's plan score (see scorePlan) */
+const DEFAULT_SCORE_WEIGHTS = {
+    coverage:     3,  // per day, scaled by the share of the slot's roles covered
+    preference:   1,  // per day, scaled by the meal's mean rating weight
+    theme:        2,  // per day whose themes are honored
+    variety:      2,  // penalty per recipe breaking the protein variety rules
+    repeat:       10, // penalty per recipe repeated inside the no-repeat window
+    overlap:      1,  // per extra day a perishable is reused (see overlapScore)
+    satisfaction: 2,  // per day, times the household's average opinion of the meal (-1 to 1)
+    dislikes:     3,  // penalty per disliked meal over a member's weekly limit
+    nutrition:    2,  // penalty per unit of relative deviation from nutrition ranges
+    budget:       10, // penalty per weekly budget overrun, as a share of the budget
+};
+
+/** Nutrients read from Mealie's nutrition block: key -> [Mealie field, unit, label] */
+const NUTRIENTS = {
+    calories: ['calories', 'kcal', 'kcal'],
+    protein:  ['proteinContent', 'g', 'protein'],
+    carbs:    ['carbohydrateContent', 'g', 'carbs'],
+    fiber:    ['fiberContent', 'g', 'fiber'],
+    sodium:   ['sodiumContent', 'mg', 'sodium'],
+};
+
+const SLOTS = resolveSlots(args.slots || process.env.SLOTS, CONFIG.slots, NO_REPEAT_DAYS,
+    process.env.NO_REPEAT_ENTRY_TYPES || CONFIG.noRepeatEntryTypes);
+const THEMES = resolveThemes(CONFIG.themes);
+const WEIGHTING = resolveWeighting(CONFIG.weighting, args.minrating ?? process.env.MIN_RATING);
+const VARIETY = resolveVariety(CONFIG.variety);
+const EXCLUSIONS = resolveExclusions(CONFIG.exclude);
+const HOUSEHOLD = resolveHousehold(CONFIG.household);
+const NUTRITION = resolveNutrition(CONFIG.nutrition);
+const PRICES = resolvePrices(CONFIG.prices);
+const BUDGET = resolveBudget(CONFIG.budget, args.budget ?? process.env.BUDGET);
+const SEASONS = resolveSeasons(CONFIG.seasons);
+const COOLDOWNS = resolveCooldowns(CONFIG.cooldowns);
+const RESURFACE = resolveResurface(CONFIG.resurface);
+const TEMPLATE = resolveTemplate(args.template ? loadConfig(args.template) : CONFIG.template);
+const PINS = parsePins(args.pins || []);
+const PERISHABLES = (CONFIG.perishables || []).map(food => String(food).trim().toLowerCase()).filter(Boolean);
+const OPTIMIZER = resolveOptimizer(CONFIG.optimizer, args.timelimit ?? process.env.OPTIMIZER_TIME_LIMIT);
+
+/** Every random choice goes through this seeded generator (see seedRandom) */
+let random = createRng(SEED);
+
+/** What the run did, collected for --format json (see buildJsonOutput) */
+const RESULT = { pools: {}, meals: [], skipped: [], removed: [], report: null };
+
 // ============================================================
 // MAIN ENTRY POINT
 // ============================================================
 
 /**
  * Main function that orchestrates the meal planning process.
- * Fetches recipes, builds pools by role, and generates meal plan entries.
+ * Dispatches to the requested action (plan, clear, reroll, undo, report or history).
  */
 async function main() {
+    if (ACTION === 'history') {
+        printHistory();
+        return;
+    }
+
+    // Keep stdout for the JSON document; the log lines still go to stderr
+    if (FORMAT === 'json') console.log = console.error;
+
     console.log(`[info] Base: ${BASE}`);
-    console.log(`[info] Start: ${START_DATE}`);
-    console.log(`[info] Days: ${DAYS}`);
+    console.log(`[info] Action: ${ACTION}`);
+    if (ACTION === 'undo') {
+        console.log(`[info] Run: ${args.runid}`);
+    } else if (ACTION === 'report') {
+        console.log(`[info] Since: ${args.since || 'first entry'}`);
+        console.log(`[info] Slots: ${SLOTS.map(slot => slot.name).join(', ')}`);
+    } else {
+        logPlanSettings();
+    }
+    if (ACTION !== 'report') console.log(`[info] Dry run: ${DRY_RUN}`);
+
+    if (ACTION === 'clear') {
+        await runClear();
+    } else if (ACTION === 'reroll') {
+        await runReroll(args.date);
+    } else if (ACTION === 'undo') {
+        await runUndo(args.runid);
+    } else if (ACTION === 'report') {
+        await runReport(args.since);
+    } else {
+        await runPlan();
+    }
+
+    if (JOURNAL.run.changes.length > 0) {
+        console.log(`[info] Journal: ${JOURNAL.run.runId} (undo with: node plan-dinner.js undo ${JOURNAL.run.runId})`);
+    }
+    if (FORMAT === 'json') process.stdout.write(`${JSON.stringify(buildJsonOutput(RESULT, jsonSettings()), null, 2)}\n`);
+    console.log('[done]');
+}
+
+/**
+ * Logs the planning settings of a plan, clear or reroll run.
+ */
+function logPlanSettings() {
+    if (ACTION === 'reroll') {
+        console.log(`[info] Date: ${args.date}`);
+    } else {
+        console.log(`[info] Start: ${START_DATE}`);
+        console.log(`[info] Days: ${DAYS}`);
+    }
     console.log(`[info] No repeat: ${NO_REPEAT_DAYS}`);
-    console.log(`[info] Dry run: ${DRY_RUN}`);
+    for (const slot of SLOTS.filter(slot => slot.noRepeatEntryTypes.length > 1 || slot.noRepeatEntryTypes[0] !== slot.entryType)) {
+        console.log(`[info] No repeat for ${slot.name} counts: ${slot.noRepeatEntryTypes.join(', ')}`);
+    }
+    console.log(`[info] Slots: ${SLOTS.map(slot => slot.name).join(', ')}`);
+    console.log(`[info] Seed: ${SEED}`);
+    if (THEMES.length > 0) console.log(`[info] Themes: ${THEMES.map(theme => theme.name).join(', ')}`);
+    if (hasExclusions(EXCLUSIONS)) console.log(`[info] Excluding: ${describeExclusions(EXCLUSIONS)}`);
+    if (HOUSEHOLD.members.length > 0) console.log(`[info] Household: ${HOUSEHOLD.members.map(member => member.name).join(', ')}`);
+    if (SEASONS) console.log(`[info] Seasons: ${SEASONS.hemisphere} hemisphere`);
+    if (BUDGET.weekly !== null) {
+        console.log(`[info] Budget: ${formatCost(BUDGET.weekly)} per week`);
+        if (Object.keys(PRICES).length === 0) console.warn('[warn] No price table configured; every meal will cost 0.');
+    }
+    console.log(`[info] Weighting: ${WEIGHTING.curve}${WEIGHTING.minRating === null ? '' : `, min rating ${WEIGHTING.minRating}`}`);
+    if (ACTION === 'plan') {
+        console.log(`[info] Strategy: ${STRATEGY}`);
+        console.log(`[info] Mode: ${MODE}`);
+        if (args.shoppinglist) console.log(`[info] Shopping list: ${SHOPPING_LIST_NAME}`);
+        if (args.ics) console.log(`[info] Calendar file: ${args.ics}`);
+        if (args.menu) console.log(`[info] Menu file: ${args.menu}`);
+        if (TEMPLATE.length > 0) console.log(`[info] Template: ${TEMPLATE.map(rule => rule.name).join(', ')}`);
+        if (INTERACTIVE) console.log('[info] Interactive review: on');
+    }
+}
 
-    // 1) Get all recipes that have at least one of the role tags
-    let roleRecipes = await getRoleLabeledRecipes();
+/**
+ * Lists the journaled runs of both scripts, oldest first.
+ */
+function printHistory() {
+    const runs = listRuns();
+    if (runs.length === 0) {
+        console.log(`No journaled runs in ${JOURNAL_DIR}.`);
+        return;
+    }
+    for (const run of runs) console.log(formatRun(run));
+}
 
-    // 2) If list results don't include tags, hydrate per recipe
-    const withRolesCount = roleRecipes.filter(recipe => recipe.roles.size > 0).length;
-    if (withRolesCount === 0) {
-        console.log('[info] No role tags on list results; hydrating recipes individually...');
-        roleRecipes = await hydrateMissingRoles(roleRecipes);
+/**
+ * Reverts a journaled plan-dinner.js run: entries it created are deleted and
+ * entries it deleted are created again, last change first. Entries that are
+ * gone already are skipped with a warning. Each reverted change is marked in
+ * the journal; if a restore fails, the run stays open so running the undo
+ * again picks up the remaining changes only.
+ *
+ * @param {string} runId - Run ID (as listed by `history`)
+ * @throws {Error} If the run is unknown, came from auto-tag.js or was already undone, or a restore failed
+ */
+async function runUndo(runId) {
+    const run = readRun(runId);
+    if (run.script !== 'plan-dinner') {
+        throw new Error(`Run ${runId} was made by ${run.script}.js; undo it with: node ${run.script}.js undo ${runId}`);
     }
-    console.log('[info] roleRecipes with roles:', roleRecipes.filter(recipe => recipe.roles.size > 0).length);
+    if (run.undoneAt) throw new Error(`Run ${runId} was already undone (${run.undoneAt})`);
+    console.log(`[info] Undoing ${formatRun(run)}`);
 
-    // 3) Build pools by role
-    const completePool = roleRecipes.filter(recipe =>
-        recipe.roles.has(ROLE_TAGS.protein) &&
-        recipe.roles.has(ROLE_TAGS.starch)  &&
-        recipe.roles.has(ROLE_TAGS.veg)
-    );
-    const proteinPool = roleRecipes.filter(recipe => recipe.roles.has(ROLE_TAGS.protein));
-    const starchPool  = roleRecipes.filter(recipe => recipe.roles.has(ROLE_TAGS.starch));
-    const vegPool     = roleRecipes.filter(recipe => recipe.roles.has(ROLE_TAGS.veg));
-    const dinnerOnly  = roleRecipes.filter(recipe => recipe.isDinner);
+    let failed = 0;
+    for (const change of undoSteps(run)) {
+        const label = `${change.date} ${change.entryType}`;
+        if (change.type === 'mealplan-create') {
+            RESULT.removed.push({ id: change.entryId, date: change.date, entryType: change.entryType });
+            if (DRY_RUN) {
+                console.log(`[dry] ${label} remove -> ${change.name}`);
+                continue;
+            }
+            try {
+                await deleteMealPlanEntry(change.entryId);
+                markChangeUndone(run, change);
+                console.log(`[removed] ${label} -> ${change.name}`);
+            } catch (err) {
+                if (err.status === 404) {
+                    // Deleted in Mealie since the run: nothing left to undo
+                    markChangeUndone(run, change);
+                    console.warn(`[warn] ${label}: ${change.name} is gone already.`);
+                } else {
+                    failed++;
+                    console.warn(`[warn] ${label}: could not remove ${change.name} (${err.message}).`);
+                }
+            }
+            await sleep(120);
+        } else if (change.type === 'mealplan-delete') {
+            if (DRY_RUN) {
+                console.log(`[dry] ${label} restore -> ${change.name}`);
+                continue;
+            }
+            try {
+                await createMealPlanEntry({
+                    date: change.date,
+                    entryType: change.entryType,
+                    recipeId: change.recipeId || undefined,
+                    title: change.title || undefined,
+                    text: change.text || undefined,
+                });
+                markChangeUndone(run, change);
+                console.log(`[restored] ${label} -> ${change.name}`);
+            } catch (err) {
+                failed++;
+                console.warn(`[warn] ${label}: could not restore ${change.name} (${err.message}).`);
+            }
+            await sleep(120);
+        }
+    }
+    if (DRY_RUN) return;
+    if (failed > 0) throw new Error(`${failed} entries could not be removed or restored; run "undo ${run.runId}" again to retry them`);
+    markUndone(run);
+}
+
+/**
+ * Reads the meal plan history of the active slots from `since` (default: all
+ * of it) through today and reports recipe frequency, recipes never planned
+ * (from the whole library),
+ * role and category balance by month, and planning streaks. The text tables
+ * are skipped with --format json, where the report is part of the document.
+ *
+ * @param {string} [since] - First date to read (YYYY-MM-DD)
+ */
+async function runReport(since) {
+    const { roleRecipes } = await loadSlotPools();
+    const until = today();
+    const entryTypes = new Set(SLOTS.map(slot => slot.entryType));
+    const entries = (await listMealPlanRange(since || REPORT_EPOCH, until))
+        .filter(entry => entryTypes.has(entry.entryType));
+    console.log(`[info] History: ${entries.length} entries through ${until}`);
 
-    console.log(`[info] Pools -> complete:${completePool.length} protein:${proteinPool.length} starch:${starchPool.length} veg:${vegPool.length} dinner only:${dinnerOnly.length}`);
+    const library = await getAllRecipes();
+    RESULT.report = buildReport(entries, roleRecipes, { since, until }, library);
+    if (FORMAT === 'json') return;
+    console.log('');
+    for (const line of renderReport(RESULT.report)) console.log(line);
+    console.log('');
+}
+
+/**
+ * Plans every date in the range for every active slot and writes the entries.
+ */
+async function runPlan() {
+    const { roleRecipes, recipesById, slotPools } = await loadSlotPools();
 
-    // 4) Build date list and recent window
+    // Build date list and recent window (per slot, widest window fetched once); cooldowns
+    // and resurfacing may need a longer look back
     const dates = rangeDays(START_DATE, DAYS);
-    const recentWindowStart = offsetDate(START_DATE, -NO_REPEAT_DAYS);
-    const recentEntries = await listMealPlanRange(recentWindowStart, offsetDate(START_DATE, DAYS - 1));
-    const recentDinnerRecipeIds = new Set(
-        recentEntries
-            .filter(entry => entry.entryType === 'dinner' && entry.recipe)
-            .map(entry => entry.recipe.id)
+    const widestWindow = Math.max(0, ...SLOTS.map(slot => slot.noRepeatDays));
+    const lookback = historyLookback(widestWindow, roleRecipes);
+    const pastEntries = await listMealPlanRange(offsetDate(START_DATE, -lookback), offsetDate(START_DATE, DAYS - 1));
+    const recentEntries = pastEntries.filter(entry => entry.date >= offsetDate(START_DATE, -widestWindow));
+
+    // Entries about to be replaced shouldn't block their recipes from being picked again
+    const willReplace = entry => MODE === 'replace' && SLOTS.some(slot =>
+        slot.entryType === entry.entryType && dates.includes(entry.date) && slotAppliesOn(slot, entry.date)
     );
+    const keptEntries = recentEntries.filter(entry => !willReplace(entry));
+    const recipeIdsByName = recipeNameIndex(roleRecipes);
+    const recentIdsBySlot = new Map(SLOTS.map(slot => [slot.name, recentRecipeIdsForSlot(keptEntries, slot, START_DATE, recipeIdsByName)]));
+
+    // Recipes still cooling down are avoided in every slot; good recipes missing for long get a boost
+    const resting = cooldownIds(pastEntries.filter(entry => !willReplace(entry)), recipesById, START_DATE);
+    for (const recentIds of recentIdsBySlot.values()) for (const id of resting) recentIds.add(id);
+    rememberLastPlanned(pastEntries.filter(entry => entry.date < START_DATE));
+    logCooldowns(resting, roleRecipes, START_DATE);
+    const historyBySlot = new Map(SLOTS.map(slot => [slot.name, buildProteinHistory(keptEntries, slot, recipesById)]));
+    const dislikesBySlot = new Map(SLOTS.map(slot => [slot.name, buildDislikeHistory(keptEntries, slot, recipesById, HOUSEHOLD)]));
+    const fixedMeals = await resolveFixedMeals(fixedMealsFor(dates, SLOTS, TEMPLATE, PINS), roleRecipes, recipesById);
 
-    // 5) Generate + (optionally) write meal plans
+    // Work out which date/slot pairs need planning; pinned and template meals are written as given
+    const tasks = [];
     for (const date of dates) {
-        const chosen = await chooseDinnerForDate({
-            date,
-            completePool, proteinPool, starchPool, vegPool,
-            recentDinnerRecipeIds,
-        });
+        for (const slot of SLOTS) {
+            if (!slotAppliesOn(slot, date)) continue;
 
-        if (!chosen || chosen.length === 0) {
-            console.warn(`[warn] ${date}: No valid combination found. Skipping.`);
-            continue;
+            const existing = existingEntriesFor(recentEntries, slot, date);
+            const action = resolveDateAction(MODE, existing);
+            const fixed = fixedMeals.get(`${date}|${slot.name}`) || null;
+            if (action === 'skip') {
+                console.log(`[info] ${date} ${slot.name}: already planned (${describeEntries(existing)}). Skipping.`);
+                if (fixed) console.warn(`[warn] ${date} ${slot.name}: ${fixed.label} not applied (use --mode replace to apply it).`);
+                RESULT.skipped.push({ date, slot: slot.name, reason: 'already planned', entryIds: existing.map(entry => entry.id) });
+                continue;
+            }
+            tasks.push({ date, slot, existing, action, fixed });
         }
+    }
 
-        console.log(`[debug] ${date} -> picks:`, chosen.map(item => item.name || item.title));
+    // Starting point for re-rolls during an interactive review: everything but this run's meals
+    const baseline = new Map(SLOTS.map(slot => [slot.name, {
+        recentIds: new Set(recentIdsBySlot.get(slot.name)),
+        history: copyHistory(historyBySlot.get(slot.name)),
+        dislikes: copyHistory(dislikesBySlot.get(slot.name)),
+    }]));
 
-        const roles = new Set();
-        for (const item of chosen) {
-            const recipe = roleRecipes.find(rr => rr.id === item.recipeId);
-            if (recipe) recipe.roles.forEach(role => roles.add(role));
+    // Fixed meals count toward the no-repeat window, variety and dislike limits like any pick
+    // (toward the no-repeat window of every slot counting their entry type)
+    for (const { date, slot, fixed } of tasks) {
+        if (!fixed) continue;
+        for (const other of SLOTS.filter(other => countsTowardNoRepeat(slot, other))) {
+            for (const recipe of fixed.recipes) recentIdsBySlot.get(other.name).add(recipe.id);
         }
-        console.log(`[debug] ${date} covers:`, Array.from(roles).join(', ') || '(none)');
+        recordProteinTypes(historyBySlot.get(slot.name), date, fixed.recipes);
+        recordDislikes(dislikesBySlot.get(slot.name), date, fixed.recipes, HOUSEHOLD);
+    }
+    const fixedMenu = tasks.flatMap(({ date, slot, fixed }) =>
+        (fixed ? fixed.recipes : []).map(recipe => ({ date, recipeId: recipe.id, slot: slot.name }))
+    );
+    const openTasks = tasks.filter(task => !task.fixed);
 
-        for (const item of chosen) {
-            if (DRY_RUN) {
-                console.log(`[dry] ${date} dinner ->`, item.recipeId ? item.name : `title=${item.title}`);
-            } else {
-                await createMealPlanEntry({
-                    date,
-                    entryType: 'dinner',
-                    recipeId: item.recipeId || undefined,
-                    title: item.title || undefined,
-                });
-                await sleep(120);
+    // Entries we keep in the range (they count toward budgets and summaries)
+    const keptMenu = keptEntries
+        .filter(entry =>
+            entry.recipe && dates.includes(entry.date) &&
+            SLOTS.some(slot => slot.entryType === entry.entryType && slotAppliesOn(slot, entry.date))
+        )
+        .map(entry => ({
+            date: entry.date,
+            recipeId: entry.recipe.id,
+            slot: SLOTS.find(slot => slot.entryType === entry.entryType).name,
+        }));
+    const budget = createBudgetTracker(BUDGET.weekly, [...keptMenu, ...fixedMenu], openTasks, recipesById);
+    const reviewBudget = copyBudgetTracker(budget);
+
+    // Perishables of the meals already known, so greedy picks can favor sharing them
+    const perishables = entryPerishables(keptEntries, recipesById);
+    for (const { date, fixed } of tasks) if (fixed) recordPerishables(perishables, date, fixed.recipes);
+    const reviewPerishables = copyHistory(perishables);
+
+    // Choose every slot's picks, either day by day or for the whole range at once
+    const picks = new Map();
+    for (const slot of SLOTS) {
+        const plan = STRATEGY === 'optimize' ? optimizeSlotPlan : greedySlotPlan;
+        const chosenByDate = await plan({
+            dates: openTasks.filter(task => task.slot === slot).map(task => task.date),
+            slot,
+            pools: slotPools.get(slot.name),
+            recentIds: recentIdsBySlot.get(slot.name),
+            history: historyBySlot.get(slot.name),
+            dislikes: dislikesBySlot.get(slot.name),
+            budget,
+            recipesById,
+            perishables,
+        });
+        for (const [date, chosen] of chosenByDate) picks.set(`${date}|${slot.name}`, chosen);
+
+        // Slots still to plan that count this slot's entry type avoid its picks too
+        for (const other of SLOTS.filter(other => other !== slot && countsTowardNoRepeat(slot, other))) {
+            for (const chosen of chosenByDate.values()) {
+                for (const item of chosen || []) if (item.recipeId) recentIdsBySlot.get(other.name).add(item.recipeId);
             }
         }
     }
 
-    console.log('[done]');
-}
+    // The proposed plan: fixed meals as given, the rest as picked
+    const proposal = new Map(tasks.map(({ date, slot, fixed }) => {
+        const key = `${date}|${slot.name}`;
+        return [key, fixed ? fixed.items : picks.get(key) || []];
+    }));
+    if (INTERACTIVE && !(await reviewPlan({
+        tasks, proposal, baseline, slotPools, roleRecipes, recipesById, budget: reviewBudget, perishables: reviewPerishables,
+    }))) {
+        console.log('[info] Plan discarded. Nothing was written.');
+        return;
+    }
 
-// ============================================================
-// CORE PLANNING LOGIC
-// ============================================================
+    // Write (or log) the plan in date order
+    for (const { date, slot, existing, action } of tasks) {
+        const chosen = proposal.get(`${date}|${slot.name}`);
+        if (!chosen || chosen.length === 0) {
+            console.warn(`[warn] ${date} ${slot.name}: No valid combination found. Skipping.`);
+            RESULT.skipped.push({ date, slot: slot.name, reason: 'no valid combination', entryIds: [] });
+            continue;
+        }
+
+        await writeSlotPlan({
+            date, slot, chosen, roleRecipes,
+            remove: action === 'replace' ? existing : [],
+        });
+    }
+
+    // Everything on the menu for the range: entries we keep plus the new picks
+    // (title-only meals such as "Leftovers" only go to the calendar and printable menu)
+    const keptTitles = keptEntries
+        .filter(entry =>
+            !entry.recipe && entry.title && dates.includes(entry.date) &&
+            SLOTS.some(slot => slot.entryType === entry.entryType && slotAppliesOn(slot, entry.date))
+        )
+        .map(entry => ({
+            date: entry.date,
+            recipeId: null,
+            title: entry.title,
+            slot: SLOTS.find(slot => slot.entryType === entry.entryType).name,
+        }));
+    const menu = [
+        ...keptMenu,
+        ...keptTitles,
+        ...[...proposal].flatMap(([key, chosen]) => {
+            const [date, slot] = key.split('|');
+            return chosen.map(item => ({ date, slot, recipeId: item.recipeId || null, title: item.title || null }));
+        }),
+    ].filter(item => item.recipeId || item.title);
+    const recipeMenu = menu.filter(item => item.recipeId);
+
+    if (PERISHABLES.length > 0) reportPerishables(recipeMenu, recipesById);
+    if (HOUSEHOLD.members.length > 0) reportSatisfaction(recipeMenu, recipesById);
+    if (CONFIG.nutrition) reportNutrition(recipeMenu, recipesById);
+    if (Object.keys(PRICES).length > 0) reportCosts(recipeMenu, recipesById);
+    if (args.shoppinglist) await writeShoppingList(recipeMenu.map(item => item.recipeId));
+    if (args.ics) await writeCalendar(args.ics, menu, recipesById);
+    if (args.menu) await writeMenu(args.menu, dates, menu, recipesById);
+}
 
 /**
- * Selects dinner recipes for a given date, trying to cover all three roles
- * (protein, starch, vegetable) while avoiding recently used recipes.
- *
- * @param {Object} ctx - Planning context
- * @param {string} ctx.date - The date to plan for (YYYY-MM-DD)
- * @param {Array} ctx.completePool - Recipes that cover all three roles
- * @param {Array} ctx.proteinPool - Recipes with protein role
- * @param {Array} ctx.starchPool - Recipes with starch role
- * @param {Array} ctx.vegPool - Recipes with vegetable role
- * @param {Set} ctx.recentDinnerRecipeIds - Recipe IDs used recently (to avoid)
- * @returns {Array<{recipeId: string}>} Array of chosen recipe references
+ * Logs each household member's satisfaction with the planned range: liked
+ * and disliked meals, and the average opinion (-1 to 1) over the member slots.
  *
- * @example
- * const chosen = await chooseDinnerForDate({
- *   date: '2025-01-20',
- *   completePool: [...],
- *   proteinPool: [...],
- *   starchPool: [...],
- *   vegPool: [...],
- *   recentDinnerRecipeIds: new Set(['abc-123']),
- * });
+ * @param {Array<{date: string, recipeId: string, slot: string}>} menu - Planned recipes by date
+ * @param {Map<string, Object>} recipesById - Slim recipes by ID
  */
-async function chooseDinnerForDate(ctx) {
-    const { recentDinnerRecipeIds, completePool, proteinPool, starchPool, vegPool } = ctx;
+function reportSatisfaction(menu, recipesById) {
+    const meals = new Map();
+    for (const { date, recipeId, slot } of menu) {
+        if (!HOUSEHOLD.slots.includes(slot)) continue;
+        const key = `${date}|${slot}`;
+        meals.set(key, [...(meals.get(key) || []), recipesById.get(recipeId)].filter(Boolean));
+    }
 
-    // Strategy 1: Try to find a complete meal (one recipe covering all roles)
-    const completeMeal = trySelectCompleteMeal(completePool, recentDinnerRecipeIds);
-    if (completeMeal) {
-        return completeMeal;
+    for (const member of HOUSEHOLD.members) {
+        const opinions = [...meals.values()].map(recipes => mealOpinion(recipes, member));
+        const liked = opinions.filter(opinion => opinion > 0).length;
+        const disliked = opinions.filter(opinion => opinion < 0).length;
+        const average = opinions.length > 0 ? opinions.reduce((sum, opinion) => sum + opinion, 0) / opinions.length : 0;
+        console.log(`[info] Satisfaction ${member.name}: ${liked} liked, ${disliked} disliked of ${opinions.length} meals (${average >= 0 ? '+' : ''}${average.toFixed(2)})`);
+    }
+}
+
+/**
+ * Logs the estimated cost of the planned range per meal, per week (against
+ * the budget, if any) and in total.
+ *
+ * @param {Array<{date: string, recipeId: string, slot: string}>} menu - Planned recipes by date
+ * @param {Map<string, Object>} recipesById - Slim recipes by ID
+ */
+function reportCosts(menu, recipesById) {
+    const meals = new Map();
+    for (const { date, recipeId, slot } of menu) {
+        const key = `${date}|${slot}`;
+        meals.set(key, [...(meals.get(key) || []), recipesById.get(recipeId)].filter(Boolean));
     }
 
-    // Strategy 2: Build a meal from multiple recipes to cover all roles
-    const componentMeal = buildMealFromComponents(proteinPool, starchPool, vegPool, recentDinnerRecipeIds);
-    return componentMeal;
+    const weeks = new Map();
+    let total = 0;
+    for (const [key, recipes] of [...meals].sort(([a], [b]) => a.localeCompare(b))) {
+        const [date, slot] = key.split('|');
+        const cost = mealCost(recipes);
+        console.log(`[info] Cost ${date} ${slot}: ${formatMealCost(cost)}`);
+        const week = weekOf(date)[0];
+        weeks.set(week, (weeks.get(week) || 0) + cost.total);
+        total += cost.total;
+    }
+    for (const [week, amount] of weeks) {
+        const cap = BUDGET.weekly === null ? '' : ` of ${formatCost(BUDGET.weekly)} budget${amount > BUDGET.weekly ? ' (over)' : ''}`;
+        console.log(`[info] Cost week of ${week}: ${formatCost(amount)}${cap}`);
+    }
+    console.log(`[info] Estimated cost: ${formatCost(total)} for ${meals.size} meals`);
 }
 
 /**
- * Attempts to select a single recipe that covers all three roles.
+ * Logs the nutrition of the planned range for the nutrition slots: totals
+ * per day and per week (Mon-Sun), flagging values outside the ranges.
  *
- * @param {Array} completePool - Recipes with protein, starch, and veg roles
- * @param {Set} recentDinnerRecipeIds - Recently used recipe IDs to avoid
- * @returns {Array<{recipeId: string}>|null} Single-item array or null if none found
+ * @param {Array<{date: string, recipeId: string, slot: string}>} menu - Planned recipes by date
+ * @param {Map<string, Object>} recipesById - Slim recipes by ID
  */
-function trySelectCompleteMeal(completePool, recentDinnerRecipeIds) {
-    const candidates = shuffled(completePool).filter(recipe => !recentDinnerRecipeIds.has(recipe.id));
-    if (candidates.length > 0) {
-        const chosen = candidates[0];
-        recentDinnerRecipeIds.add(chosen.id);
-        return [{ recipeId: chosen.id, name: chosen.name }];
+function reportNutrition(menu, recipesById) {
+    const plan = new Map();
+    for (const { date, recipeId, slot } of menu) {
+        if (!NUTRITION.slots.includes(slot)) continue;
+        plan.set(date, [...(plan.get(date) || []), recipesById.get(recipeId)].filter(Boolean));
+    }
+
+    const dates = [...plan.keys()].sort();
+    for (const date of dates) {
+        console.log(`[info] Nutrition ${date}: ${formatNutrition(sumNutrition(plan.get(date)), NUTRITION.daily)}`);
+    }
+    for (const [week, days] of groupByWeek(dates)) {
+        const totals = sumNutrition(days.flatMap(date => plan.get(date)));
+        const ranges = scaleRanges(NUTRITION.weekly, days.length / 7);
+        console.log(`[info] Nutrition week of ${week} (${days.length} days): ${formatNutrition(totals, ranges)}`);
     }
-    return null;
 }
 
 /**
- * Builds a complete meal from multiple recipes, each contributing different roles.
- * Uses a greedy algorithm that prefers recipes covering more needed roles,
- * and prefers "pure" single-role recipes when only one role remains.
+ * Logs which perishables the planned range shares across days and which
+ * are only used once.
  *
- * @param {Array} proteinPool - Recipes with protein role
- * @param {Array} starchPool - Recipes with starch role
- * @param {Array} vegPool - Recipes with vegetable role
- * @param {Set} recentDinnerRecipeIds - Recently used recipe IDs to avoid
- * @returns {Array<{recipeId: string}>} Array of chosen recipes (may be empty)
+ * @param {Array<{date: string, recipeId: string, slot: string}>} menu - Planned recipes by date
+ * @param {Map<string, Object>} recipesById - Slim recipes by ID
  */
-function buildMealFromComponents(proteinPool, starchPool, vegPool, recentDinnerRecipeIds) {
-    const neededRoles = new Set(['role:protein', 'role:starch', 'role:vegetable']);
+function reportPerishables(menu, recipesById) {
+    const plan = new Map();
+    for (const { date, recipeId } of menu) {
+        plan.set(date, [...(plan.get(date) || []), recipesById.get(recipeId)].filter(Boolean));
+    }
 
-    // Build universe of available recipes (not recently used)
-    const universe = Array.from(new Map(
-        [...proteinPool, ...starchPool, ...vegPool]
-            .filter(recipe => !recentDinnerRecipeIds.has(recipe.id))
-            .map(recipe => [recipe.id, recipe])
-    ).values());
+    const usage = [...perishableUsage(plan, PERISHABLES)];
+    const describe = list => list.map(([food, days]) => `${food} (${days.join(', ')})`).join('; ') || '(none)';
+    console.log(`[info] Perishables reused: ${describe(usage.filter(([, days]) => days.length > 1))}`);
+    console.log(`[info] Perishables used once: ${describe(usage.filter(([, days]) => days.length === 1))}`);
+}
 
-    const picks = [];
-    const usedIds = new Set();
+/**
+ * Plans a slot one date at a time, in order (the "greedy" strategy).
+ * Each day's picks join the no-repeat set, protein history and dislike
+ * history before the next day.
+ *
+ * @param {Object} params - Planning parameters
+ * @param {Array<string>} params.dates - Dates to plan
+ * @param {Object} params.slot - Slot definition
+ * @param {Object} params.pools - The slot's role pools
+ * @param {Set} params.recentIds - Recipe IDs to avoid (mutated)
+ * @param {Map} params.history - Protein types by date (mutated)
+ * @param {Map} params.dislikes - Members who disliked the meal, by date (mutated)
+ * @param {Object} params.budget - Weekly budget tracker (mutated, see createBudgetTracker)
+ * @param {Map} params.recipesById - Slim recipes by ID
+ * @param {Map<string, Set<string>>} [params.perishables] - Perishables used by date, all slots (mutated)
+ * @param {Object} [options] - Planning options (see planSlotForDate)
+ * @returns {Promise<Map<string, Array>>} Chosen recipe references by date
+ */
+async function greedySlotPlan({ dates, slot, pools, recentIds, history, dislikes, budget, recipesById, perishables = new Map() }, options = {}) {
+    const chosenByDate = new Map();
+    for (const date of dates) {
+        const maxCost = budgetAllowance(budget, date);
+        const opened = openedPerishables(perishables, date);
+        const chosen = await planSlotForDate(date, slot, pools, recentIds, history, dislikes, { ...options, maxCost, opened });
+        const recipes = (chosen || []).map(item => recipesById.get(item.recipeId));
+        recordSpend(budget, date, mealCost(recipes.filter(Boolean)).total);
+        if (!chosen || chosen.length === 0) continue;
+        recordProteinTypes(history, date, recipes);
+        recordDislikes(dislikes, date, recipes, HOUSEHOLD);
+        recordPerishables(perishables, date, recipes.filter(Boolean));
+        chosenByDate.set(date, chosen);
+    }
+    return chosenByDate;
+}
 
-    while (neededRoles.size > 0) {
-        const best = selectBestCandidate(universe, usedIds, neededRoles);
-        if (!best) break;
+/**
+ * Plans a slot for the whole range at once (the "optimize" strategy).
+ * Samples candidate meals for every date, starts from the greedy plan and
+ * then searches for the combination with the best overall score (see scorePlan)
+ * until the iteration cap or time limit is reached. With --seed / SEED only the
+ * sample and iteration counts stop it, so the same seed gives the same plan.
+ *
+ * @param {Object} params - Planning parameters (same as greedySlotPlan)
+ * @returns {Promise<Map<string, Array>>} Chosen recipe references by date
+ */
+async function optimizeSlotPlan({ dates, slot, pools, recentIds, history, dislikes, budget, recipesById, perishables = new Map() }) {
+    const deadline = optimizerDeadline(OPTIMIZER, SEEDED);
+    const toRecipes = chosen => chosen.map(item => recipesById.get(item.recipeId)).filter(Boolean);
+    const budgetLeft = slotBudgetShares(budget, dates);
 
-        picks.push(best);
-        usedIds.add(best.id);
+    // The greedy plan goes first so the search can only improve on it
+    const greedy = await greedySlotPlan(
+        {
+            dates, slot, pools, recipesById,
+            recentIds: new Set(recentIds),
+            history: copyHistory(history),
+            dislikes: copyHistory(dislikes),
+            budget: copyBudgetTracker(budget),
+            perishables: copyHistory(perishables),
+        },
+        { quiet: true }
+    );
 
-        // Remove newly covered roles from needed set
-        for (const role of best.roles) {
-            if (neededRoles.has(role)) {
-                neededRoles.delete(role);
-            }
+    const candidatesByDate = new Map();
+    for (const date of dates) {
+        const seen = new Set();
+        const candidates = [];
+        const addCandidate = chosen => {
+            const key = candidateKey(chosen);
+            if (!chosen || chosen.length === 0 || seen.has(key)) return;
+            seen.add(key);
+            candidates.push(toRecipes(chosen));
+        };
+        addCandidate(greedy.get(date));
+        for (let i = 0; i < OPTIMIZER.samples && Date.now() < deadline; i++) {
+            addCandidate(await planSlotForDate(date, slot, pools, new Set(recentIds), undefined, undefined, { quiet: true }));
         }
+        if (candidates.length > 0) candidatesByDate.set(date, candidates);
     }
 
-    // Require at least 2 roles covered to be considered a valid meal
-    if (coveredRoles(picks).size >= 2) {
-        for (const recipe of picks) {
-            recentDinnerRecipeIds.add(recipe.id);
-        }
-        return picks.map(recipe => ({ recipeId: recipe.id, name: recipe.name }));
+    const ctx = {
+        slot, pools,
+        history: copyHistory(history),
+        dislikes: copyHistory(dislikes),
+        household: HOUSEHOLD,
+        variety: VARIETY,
+        weights: OPTIMIZER.weights,
+        maxWeight: maxPoolWeight(pools),
+        perishables: PERISHABLES,
+        nutrition: NUTRITION,
+        nutritionShare: nutritionShare(NUTRITION, SLOTS),
+        budget: budgetLeft,
+    };
+    const result = searchPlan(candidatesByDate, ctx, { iterations: OPTIMIZER.iterations, deadline });
+    console.log(`[info] Optimizer (${slot.name}): ${result.iterations} iterations, score ${result.initialScore.toFixed(2)} -> ${result.score.toFixed(2)}`);
+    if (Date.now() >= deadline) {
+        console.warn(`[warn] Optimizer (${slot.name}): time limit reached; re-running with --seed ${SEED} may give a different plan (seeded runs ignore the time limit).`);
     }
 
-    return [];
+    const chosenByDate = new Map();
+    for (const [date, recipes] of result.plan) {
+        for (const recipe of recipes) recentIds.add(recipe.id);
+        recordProteinTypes(history, date, recipes);
+        recordDislikes(dislikes, date, recipes, HOUSEHOLD);
+        recordPerishables(perishables, date, recipes);
+        chosenByDate.set(date, recipes.map(recipe => ({
+            recipeId: recipe.id,
+            name: recipe.name,
+            reasons: ['chosen by the week optimizer', ...pickReasons(recipe, monthOf(date))],
+        })));
+    }
+    for (const date of dates) recordSpend(budget, date, mealCost(result.plan.get(date) || []).total);
+    return chosenByDate;
 }
 
 /**
- * Selects the best candidate recipe to add to the meal.
- * When multiple roles are needed, prefers recipes covering more roles.
- * When only one role remains, prefers "pure" single-role recipes.
- *
- * @param {Array} universe - All available recipes
- * @param {Set} usedIds - Already-used recipe IDs in this meal
- * @param {Set} neededRoles - Roles still needed
- * @returns {Object|null} Best recipe to add, or null if none available
+ * Deletes planner-created entries for the active slots in the date range.
+ * With --all, every entry of those slot types is deleted.
  */
-function selectBestCandidate(universe, usedIds, neededRoles) {
-    // Find recipes that contribute at least one needed role
-    const candidates = universe.filter(recipe =>
-        !usedIds.has(recipe.id) && rolesGain(recipe, neededRoles) > 0
-    );
+async function runClear() {
+    const entries = await listMealPlanRange(START_DATE, offsetDate(START_DATE, DAYS - 1));
+    const entryTypes = new Set(SLOTS.map(slot => slot.entryType));
+    const targets = entries
+        .filter(entry => entryTypes.has(entry.entryType))
+        .filter(entry => args.all || isPlannerEntry(entry));
 
-    if (candidates.length === 0) return null;
+    console.log(`[info] Clearing ${targets.length} of ${entries.length} entries${args.all ? '' : ' (planner-created only; use --all for every entry)'}`);
 
-    if (neededRoles.size === 1) {
-        // When exactly one role remains, prefer "pure" single-role recipes
-        const pureCandidates = candidates.filter(recipe => isPureForNeeded(recipe, neededRoles));
+    for (const entry of targets) {
+        RESULT.removed.push({ id: entry.id, date: entry.date, entryType: entry.entryType });
+        if (DRY_RUN) {
+            console.log(`[dry] ${entry.date} ${entry.entryType} remove ->`, describeEntries([entry]));
+        } else {
+            await deleteMealPlanEntry(entry.id);
+            JOURNAL.record(removedEntryChange(entry));
+            console.log(`[removed] ${entry.date} ${entry.entryType} ->`, describeEntries([entry]));
+            await sleep(120);
+        }
+    }
+}
+
+/**
+ * Looks up the recipes of pinned and template meals. Recipes outside the
+ * role pools (a pizza without role tags, say) are fetched from Mealie and
+ * added to roleRecipes and recipesById, so they are logged and counted like
+ * any other pick. Dietary exclusions apply: an excluded pinned recipe stops
+ * the run, an excluded template recipe is dropped with a warning (the slot
+ * is planned as usual).
+ *
+ * @param {Map<string, Object>} fixed - Fixed meals by "date|slot" (see fixedMealsFor)
+ * @param {Array<Object>} roleRecipes - Slim recipes (mutated)
+ * @param {Map<string, Object>} recipesById - Slim recipes by ID (mutated)
+ * @param {Object} [exclusions] - Resolved exclusions
+ * @returns {Promise<Map<string, {label: string, items: Array<Object>, recipes: Array<Object>}>>} Meals ready to write
+ * @throws {Error} If a pinned recipe can't be found or is excluded
+ */
+async function resolveFixedMeals(fixed, roleRecipes, recipesById, exclusions = EXCLUSIONS) {
+    const resolved = new Map();
+    for (const [key, meal] of [...fixed].sort(([a], [b]) => a.localeCompare(b))) {
+        const reason = meal.source === 'pin' ? 'pinned' : `template: ${meal.source}`;
+        if (meal.title) {
+            resolved.set(key, { label: `"${meal.title}" (${reason})`, items: [{ title: meal.title, reasons: [reason] }], recipes: [] });
+            console.log(`[info] ${meal.date} ${meal.slot}: fixed -> ${meal.title} (${reason})`);
+            continue;
+        }
+
+        const recipe = await lookupRecipe(meal.recipe, roleRecipes, recipesById);
+        if (!recipe) throw new Error(`Recipe "${meal.recipe}" (${reason} on ${meal.date}) not found in Mealie`);
+        const excluded = excludedBy(recipe, exclusions);
+        if (excluded && meal.source === 'pin') {
+            throw new Error(`Recipe "${recipe.name}" (${reason} on ${meal.date}) is excluded (${excluded})`);
+        }
+        if (excluded) {
+            console.warn(`[warn] ${meal.date} ${meal.slot}: ${recipe.name} (${reason}) is excluded (${excluded}). Planning the slot instead.`);
+            continue;
+        }
+        resolved.set(key, {
+            label: `${recipe.name} (${reason})`,
+            items: [{ recipeId: recipe.id, name: recipe.name, reasons: [reason] }],
+            recipes: [recipe],
+        });
+        console.log(`[info] ${meal.date} ${meal.slot}: fixed -> ${recipe.name} (${reason})`);
+    }
+    return resolved;
+}
+
+/**
+ * Finds a recipe by ID, slug or name among the slim recipes, else fetches it
+ * from Mealie by ID or slug and adds it to roleRecipes and recipesById.
+ *
+ * @param {string} ref - Recipe ID, slug or name
+ * @param {Array<Object>} roleRecipes - Slim recipes (mutated)
+ * @param {Map<string, Object>} recipesById - Slim recipes by ID (mutated)
+ * @returns {Promise<Object|null>} Slim recipe, or null if Mealie has no such recipe
+ */
+async function lookupRecipe(ref, roleRecipes, recipesById) {
+    const known = findRecipeByRef(ref, roleRecipes);
+    if (known) return known;
+    try {
+        const recipe = await slimRecipeAsync(await getRecipeDetails(ref), true);
+        roleRecipes.push(recipe);
+        recipesById.set(recipe.id, recipe);
+        return recipe;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Walks through the proposed plan in the terminal. Days can be accepted,
+ * re-rolled, have one component swapped or a recipe pinned; nothing is
+ * written until the final confirmation. Re-rolls and swaps avoid every
+ * recipe used in the no-repeat window and on the other days of the plan,
+ * and follow the time budget, variety, dislike and budget rules like the
+ * first pass did.
+ *
+ * @param {Object} params - Review parameters
+ * @param {Array<Object>} params.tasks - Date/slot pairs being planned
+ * @param {Map<string, Array<Object>>} params.proposal - Chosen recipe references by "date|slot" (mutated)
+ * @param {Map<string, Object>} params.baseline - Per slot: recent IDs, protein and dislike history without this run's meals
+ * @param {Map<string, Object>} params.slotPools - Role pools by slot name
+ * @param {Array<Object>} params.roleRecipes - Slim recipes (pinned recipes are added)
+ * @param {Map<string, Object>} params.recipesById - Slim recipes by ID (pinned recipes are added)
+ * @param {Object|null} [params.budget] - Budget tracker before this run's picks (see createBudgetTracker)
+ * @param {Map<string, Set<string>>} [params.perishables] - Perishables by date before this run's picks (see recordPerishables)
+ * @returns {Promise<boolean>} True if the plan should be written
+ */
+async function reviewPlan({ tasks, proposal, baseline, slotPools, roleRecipes, recipesById, budget = null, perishables = new Map() }) {
+    const output = FORMAT === 'json' ? process.stderr : process.stdout;
+    const rl = readline.createInterface({ input: process.stdin, output, terminal: false });
+    const lines = rl[Symbol.asyncIterator]();
+    const ask = async prompt => {
+        output.write(prompt);
+        const { value, done } = await lines.next();
+        return done ? null : value;
+    };
+    const print = text => output.write(`${text}\n`);
+    const accepted = new Set();
+    const keyOf = task => `${task.date}|${task.slot.name}`;
+
+    try {
+        for (;;) {
+            print('');
+            tasks.forEach((task, index) => {
+                const chosen = proposal.get(keyOf(task));
+                print(`${String(index + 1).padStart(2)}. ${accepted.has(keyOf(task)) ? '[x]' : '[ ]'} ${describeProposal(task, chosen, recipesById)}`);
+            });
+            const line = await ask('Review (a N, r N, s N ROLE, p N RECIPE, w, q, ? for help): ');
+            if (line === null) return false;
+
+            const command = parseReviewCommand(line, tasks.length);
+            if (command.error) {
+                print(command.error);
+                continue;
+            }
+            const task = command.index === null ? null : tasks[command.index];
+            const key = task && keyOf(task);
+
+            if (command.action === 'help') {
+                print(REVIEW_HELP);
+            } else if (command.action === 'accept') {
+                for (const t of task ? [task] : tasks) accepted.add(keyOf(t));
+            } else if (command.action === 'reroll' || command.action === 'swap') {
+                const context = reviewContext(task, tasks, proposal, baseline, recipesById, { budget, perishables });
+                const current = proposal.get(key);
+                for (const item of current) if (item.recipeId) context.recentIds.add(item.recipeId);
+                const pools = slotPools.get(task.slot.name);
+                const chosen = command.action === 'reroll'
+                    ? withReasons(await planSlotForDate(task.date, task.slot, pools, context.recentIds, context.history, context.dislikes, { maxCost: context.maxCost, opened: context.opened }), 're-rolled in review')
+                    : swapComponent(current, ROLE_TAGS[command.role], pools, context.recentIds, recipesById, {
+                        date: task.date, slot: task.slot, history: context.history, dislikes: context.dislikes,
+                        maxCost: context.maxCost, opened: context.opened,
+                    });
+                if (!chosen || chosen.length === 0) {
+                    print(command.action === 'reroll' ? 'No other meal is available for that day.' : `No other ${command.role} recipe is available for that day.`);
+                } else {
+                    proposal.set(key, chosen);
+                    accepted.delete(key);
+                }
+            } else if (command.action === 'pin') {
+                const recipe = await lookupRecipe(command.recipe, roleRecipes, recipesById);
+                const excluded = recipe && excludedBy(recipe, EXCLUSIONS);
+                if (!recipe) {
+                    print(`Recipe "${command.recipe}" not found.`);
+                } else if (excluded) {
+                    print(`${recipe.name} is excluded (${excluded}). Not pinned.`);
+                } else {
+                    proposal.set(key, [{ recipeId: recipe.id, name: recipe.name, reasons: ['pinned in review'] }]);
+                    accepted.add(key);
+                }
+            } else if (command.action === 'write') {
+                const open = tasks.filter(t => !accepted.has(keyOf(t))).length;
+                const target = DRY_RUN ? 'Log' : 'Write';
+                const answer = await ask(`${target} ${tasks.length} meals to Mealie${open > 0 ? ` (${open} not accepted)` : ''}? [y/N] `);
+                if (answer !== null && /^y(es)?$/i.test(answer.trim())) return true;
+            } else if (command.action === 'quit') {
+                return false;
+            }
+        }
+    } finally {
+        rl.close();
+    }
+}
+
+/**
+ * Replaces one date's picks for every active slot, keeping the surrounding
+ * days' no-repeat constraints (both before and after the date).
+ *
+ * @param {string} date - Date to re-roll (YYYY-MM-DD)
+ */
+async function runReroll(date) {
+    const { roleRecipes, recipesById, slotPools } = await loadSlotPools();
+
+    const widestWindow = Math.max(0, ...SLOTS.map(slot => slot.noRepeatDays));
+    const lookback = historyLookback(widestWindow, roleRecipes);
+    const allEntries = await listMealPlanRange(offsetDate(date, -lookback), offsetDate(date, lookback));
+    const entries = allEntries.filter(entry => entry.date >= offsetDate(date, -widestWindow) && entry.date <= offsetDate(date, widestWindow));
+    rememberLastPlanned(allEntries.filter(entry => entry.date < date));
+    const recipeIdsByName = recipeNameIndex(roleRecipes);
+
+    for (const slot of SLOTS) {
+        if (!slotAppliesOn(slot, date)) continue;
+
+        const existing = existingEntriesFor(entries, slot, date);
+        const others = entries.filter(entry => !existing.includes(entry));
+        const history = buildProteinHistory(others, slot, recipesById);
+        const dislikes = buildDislikeHistory(others, slot, recipesById, HOUSEHOLD);
+        const avoidIds = rerollAvoidIds(entries, slot, date, recipeIdsByName);
+        const resting = cooldownIds(allEntries.filter(entry => !existing.includes(entry)), recipesById, date, date);
+        for (const id of resting) avoidIds.add(id);
+        const chosen = await planSlotForDate(date, slot, slotPools.get(slot.name), avoidIds, history, dislikes, {
+            opened: openedPerishables(entryPerishables(others, recipesById), date),
+        });
+        if (!chosen || chosen.length === 0) {
+            console.warn(`[warn] ${date} ${slot.name}: No valid combination found. Keeping current entries.`);
+            RESULT.skipped.push({ date, slot: slot.name, reason: 'no valid combination', entryIds: existing.map(entry => entry.id) });
+            continue;
+        }
+
+        await writeSlotPlan({ date, slot, chosen, roleRecipes, remove: existing });
+    }
+}
+
+/**
+ * Fetches role-tagged recipes and builds the role pools for every active slot.
+ *
+ * @returns {Promise<{roleRecipes: Array, recipesById: Map<string, Object>, slotPools: Map<string, Object>}>}
+ */
+async function loadSlotPools() {
+    // 1) Get all recipes that have at least one of the role tags
+    let roleRecipes = await getRoleLabeledRecipes();
+
+    // 2) If list results don't include tags, hydrate per recipe
+    const withRolesCount = roleRecipes.filter(recipe => recipe.roles.size > 0).length;
+    if (withRolesCount === 0) {
+        console.log('[info] No role tags on list results; hydrating recipes individually...');
+        roleRecipes = await hydrateMissingRoles(roleRecipes);
+    }
+    console.log('[info] roleRecipes with roles:', roleRecipes.filter(recipe => recipe.roles.size > 0).length);
+
+    // 3) Drop recipes rated below the cutoff (unrated recipes stay)
+    if (WEIGHTING.minRating !== null) {
+        const before = roleRecipes.length;
+        roleRecipes = roleRecipes.filter(recipe => meetsMinRating(recipe, WEIGHTING.minRating));
+        console.log(`[info] Below min rating ${WEIGHTING.minRating}: ${before - roleRecipes.length} recipes dropped`);
+    }
+
+    // 4) Ingredient overlap, food/keyword exclusions, food preferences, prices and
+    //    seasons need every recipe's ingredients; nutrition targets need its nutrition block;
+    //    protein variety needs the ingredients of recipes without a protein:* tag
+    const preferredFoods = HOUSEHOLD.members.some(member => member.likes.foods.length > 0 || member.dislikes.foods.length > 0);
+    const needIngredients = PERISHABLES.length > 0 || exclusionsNeedIngredients(EXCLUSIONS) || preferredFoods ||
+        Object.keys(PRICES).length > 0 || SEASONS !== null;
+    const needNutrition = !!CONFIG.nutrition;
+    const needProteins = varietyNeedsProteins(VARIETY, SLOTS);
+    let unknownIngredients = [];
+    if (needIngredients || needNutrition || needProteins) {
+        roleRecipes = await hydrateDetails(roleRecipes, recipe =>
+            (needIngredients && recipe.foods === null) || (needNutrition && recipe.nutrition === null) ||
+            (needProteins && recipe.foods === null && !hasProteinTag(recipe))
+        );
+        if (needIngredients) {
+            const known = roleRecipes.filter(recipe => recipe.foods !== null).length;
+            console.log(`[info] Ingredients known for ${known}/${roleRecipes.length} recipes`);
+            const checkable = dropUnknownIngredients(roleRecipes, EXCLUSIONS);
+            unknownIngredients = roleRecipes.filter(recipe => !checkable.includes(recipe));
+            roleRecipes = checkable;
+        }
+        if (needNutrition) {
+            const known = roleRecipes.filter(recipe => recipe.nutrition !== null).length;
+            console.log(`[info] Nutrition known for ${known}/${roleRecipes.length} recipes`);
+        }
+    }
+
+    // 5) Build pools by role, per slot, leaving out excluded recipes (and
+    //    counting the ones left out above for unknown ingredients)
+    const slotPools = new Map();
+    for (const slot of SLOTS) {
+        const fitting = roleRecipes.filter(recipe => recipeFitsSlot(recipe, slot));
+        const allowed = fitting.filter(recipe => !excludedBy(recipe, EXCLUSIONS));
+        const unknown = unknownIngredients.filter(recipe => recipeFitsSlot(recipe, slot)).length;
+        const pools = buildPools(allowed, slot);
+        slotPools.set(slot.name, pools);
+        RESULT.pools[slot.name] = {
+            complete: pools.completePool.length,
+            protein: pools.proteinPool.length,
+            starch: pools.starchPool.length,
+            veg: pools.vegPool.length,
+            dinnerOnly: pools.dinnerOnly.length,
+            excluded: fitting.length - allowed.length,
+            unknownIngredients: unknown,
+        };
+        console.log(`[info] Pools (${slot.name}) -> complete:${pools.completePool.length} protein:${pools.proteinPool.length} starch:${pools.starchPool.length} veg:${pools.vegPool.length} dinner only:${pools.dinnerOnly.length} excluded:${fitting.length - allowed.length} unknown ingredients:${unknown}`);
+    }
+
+    // Say how time budgets count recipes without a cook time
+    const budgeted = SLOTS.filter(slot => Object.values(slot.timeBudgets).some(minutes => minutes !== null));
+    const untimed = roleRecipes.filter(recipe => recipe.totalMinutes === null || recipe.totalMinutes === undefined).length;
+    if (budgeted.length > 0 && untimed > 0) {
+        const counts = budgeted.map(slot => `${slot.name} ${slot.untimedMinutes === null ? 'never fit' : `${slot.untimedMinutes} min`}`);
+        console.log(`[info] Cook time unknown for ${untimed}/${roleRecipes.length} recipes; time budgets count them as: ${counts.join(', ')}`);
+    }
+
+    const recipesById = new Map(roleRecipes.map(recipe => [recipe.id, recipe]));
+    return { roleRecipes, recipesById, slotPools };
+}
+
+/**
+ * Plans one slot on one date. Soft rules narrow the pools first: the
+ * budget allowance, the household's weekly dislike limits, then protein
+ * variety. If they leave no meal, they are dropped one at a time (variety
+ * first, the budget last) with a warning.
+ *
+ * @param {string} date - Date to plan (YYYY-MM-DD)
+ * @param {Object} slot - Slot definition
+ * @param {Object} pools - The slot's role pools
+ * @param {Set} recentIds - Recipe IDs to avoid; picks are added to it
+ * @param {Map<string, Set<string>>} [history] - Protein types by date for this slot
+ * @param {Map<string, Set<string>>} [dislikes] - Members who disliked the meal, by date, for this slot
+ * @param {Object} [options] - Planning options
+ * @param {boolean} [options.quiet] - Suppress fallback warnings (used when sampling)
+ * @param {number|null} [options.maxCost] - Budget allowance for the meal (null = no budget)
+ * @param {Set<string>} [options.opened] - Perishables other meals of the week already use (see openedPerishables)
+ * @returns {Promise<Array<{recipeId: string}>>} Chosen recipe references
+ */
+async function planSlotForDate(date, slot, pools, recentIds, history, dislikes, options = {}) {
+    const rules = softRules(date, slot, history, dislikes, options.maxCost);
+    const ignored = [];
+    while (rules.length > 0) {
+        const narrowed = filterPools(pools, recipe => rules.every(rule => rule.allows(recipe)));
+        const chosen = await chooseBalanced(date, slot, narrowed, recentIds, options);
+        if (chosen && chosen.length > 0) return withReasons(chosen, ...ignored);
+        const dropped = rules.pop();
+        ignored.push(`${dropped.name.toLowerCase()} ignored`);
+        if (!options.quiet) console.warn(`[warn] ${date} ${slot.name}: ${dropped.name} leave no meal. Ignoring them for this day.`);
+    }
+    const chosen = withReasons(await chooseBalanced(date, slot, pools, recentIds, options), ...ignored);
+    if (chosen.length === 0 && !options.quiet) warnTimeBudget(date, slot, pools, recentIds);
+    return chosen;
+}
+
+/**
+ * Warns when a day's time budget is what left it without a meal: every
+ * recipe the no-repeat window allows takes longer than the budget.
+ *
+ * @param {string} date - Date planned (YYYY-MM-DD)
+ * @param {Object} slot - Slot definition
+ * @param {Object} pools - The slot's role pools
+ * @param {Set} recentIds - Recipe IDs to avoid
+ * @returns {boolean} True if it warned
+ */
+function warnTimeBudget(date, slot, pools, recentIds) {
+    const maxMinutes = timeBudgetFor(slot, date);
+    if (maxMinutes === null) return false;
+    const open = Array.from(new Map(
+        [...pools.completePool, ...pools.proteinPool, ...pools.starchPool, ...pools.vegPool]
+            .filter(recipe => !recentIds.has(recipe.id))
+            .map(recipe => [recipe.id, recipe])
+    ).values());
+    if (open.length === 0 || open.some(recipe => fitsTimeBudget(budgetMinutes(recipe, slot.untimedMinutes), maxMinutes))) return false;
+
+    const untimed = open.filter(recipe => recipe.totalMinutes === null || recipe.totalMinutes === undefined).length;
+    const hint = untimed === 0 ? '' : ` (${untimed} have no cook time and count as ${slot.untimedMinutes === null ? 'too long' : `${slot.untimedMinutes} min`}; see "untimedMinutes")`;
+    console.warn(`[warn] ${date} ${slot.name}: No recipe fits the ${maxMinutes}-minute time budget${hint}.`);
+    return true;
+}
+
+/**
+ * The soft rules for one slot on one date, in the order they are dropped
+ * last to first: the budget allowance, the household's weekly dislike
+ * limits, then protein variety.
+ *
+ * @param {string} date - Date to plan (YYYY-MM-DD)
+ * @param {Object} slot - Slot definition
+ * @param {Map<string, Set<string>>} [history] - Protein types by date for this slot
+ * @param {Map<string, Set<string>>} [dislikes] - Members who disliked the meal, by date, for this slot
+ * @param {number|null} [maxCost] - Budget left for the recipe (null = no budget)
+ * @returns {Array<{name: string, allows: Function}>} Rules that apply
+ */
+function softRules(date, slot, history, dislikes, maxCost) {
+    const rules = [];
+    if (maxCost !== undefined && maxCost !== null) {
+        rules.push({ name: 'Budget limits', allows: recipe => recipeCost(recipe) <= maxCost });
+    }
+    if (dislikes && HOUSEHOLD.slots.includes(slot.name) && HOUSEHOLD.members.length > 0) {
+        rules.push({ name: 'Dislike limits', allows: recipe => dislikesAllow(recipe, date, dislikes, HOUSEHOLD) });
+    }
+    if (history && VARIETY.slots.includes(slot.name)) {
+        rules.push({ name: 'Protein variety rules', allows: recipe => varietyAllows(recipe, date, history, VARIETY) });
+    }
+    return rules;
+}
+
+/**
+ * Chooses a meal that fits the nutrition ranges and the budget allowance as
+ * well as possible: several candidate meals are drawn and the one closest to
+ * the slot's share of the ranges, and within the allowance, wins. Without
+ * nutrition targets or a budget this is chooseWithThemes.
+ *
+ * @param {string} date - Date to plan (YYYY-MM-DD)
+ * @param {Object} slot - Slot definition
+ * @param {Object} pools - The slot's role pools
+ * @param {Set} recentIds - Recipe IDs to avoid; the winning picks are added to it
+ * @param {Object} [options] - Planning options (see planSlotForDate)
+ * @returns {Promise<Array<{recipeId: string}>>} Chosen recipe references
+ */
+async function chooseBalanced(date, slot, pools, recentIds, options = {}) {
+    const balanceNutrition = NUTRITION.slots.includes(slot.name) && hasNutritionTargets(NUTRITION);
+    const maxCost = options.maxCost ?? null;
+    if (!balanceNutrition && maxCost === null) {
+        return chooseWithThemes(date, slot, pools, recentIds, options);
+    }
+
+    const byId = new Map(Object.values(pools).flat().map(recipe => [recipe.id, recipe]));
+    const share = nutritionShare(NUTRITION, SLOTS);
+    let best = null;
+    for (let i = 0; i < NUTRITION.samples; i++) {
+        const chosen = await chooseWithThemes(date, slot, pools, new Set(recentIds), { ...options, quiet: options.quiet || i > 0 });
+        if (!chosen || chosen.length === 0) break;
+        const recipes = chosen.map(item => byId.get(item.recipeId)).filter(Boolean);
+        const penalty = (balanceNutrition ? mealNutritionPenalty(recipes, NUTRITION, share) : 0) +
+            budgetPenalty(mealCost(recipes).total, maxCost);
+        if (!best || penalty < best.penalty) best = { chosen, penalty };
+        if (penalty === 0) break;
+    }
+    if (!best) return [];
+
+    for (const item of best.chosen) recentIds.add(item.recipeId);
+    const cost = mealCost(best.chosen.map(item => byId.get(item.recipeId)).filter(Boolean)).total;
+    return withReasons(
+        best.chosen,
+        balanceNutrition && 'closest to the nutrition targets',
+        maxCost !== null && `${cost <= maxCost ? 'within' : 'over'} the budget allowance (${formatCost(cost)} of ${formatCost(maxCost)})`,
+    );
+}
+
+/**
+ * Chooses recipes for one slot on one date using the slot's role requirements.
+ * If theme rules apply to the date, the pools are narrowed first; when the
+ * themed pools can't produce a meal, the normal pools are used with a warning.
+ *
+ * @param {string} date - Date to plan (YYYY-MM-DD)
+ * @param {Object} slot - Slot definition
+ * @param {Object} pools - The slot's role pools (see buildPools)
+ * @param {Set} recentIds - Recipe IDs to avoid; picks are added to it
+ * @param {Object} [options] - Planning options
+ * @param {boolean} [options.quiet] - Suppress fallback warnings
+ * @returns {Promise<Array<{recipeId: string}>>} Chosen recipe references
+ */
+async function chooseWithThemes(date, slot, pools, recentIds, options = {}) {
+    const ctx = {
+        date,
+        recentDinnerRecipeIds: recentIds,
+        neededRoles: slot.roles.map(role => ROLE_TAGS[role]),
+        minRoles: slot.minRoles,
+        maxMinutes: timeBudgetFor(slot, date),
+        untimedMinutes: slot.untimedMinutes,
+        opened: options.opened || null,
+    };
+
+    const themes = themesFor(THEMES, slot, date);
+    if (themes.length > 0) {
+        const names = themes.map(theme => theme.name).join(', ');
+        const themedPools = applyThemes(pools, themes);
+        const chosen = await chooseDinnerForDate({ ...ctx, ...themedPools });
+        if (mealMatchesThemes(chosen, themedPools, themes)) {
+            if (!options.quiet) console.log(`[debug] ${date} ${slot.name} theme: ${names}`);
+            return withReasons(chosen, `theme: ${names}`);
+        }
+        // A side-only meal doesn't honor the theme; give its picks back
+        for (const item of chosen || []) recentIds.delete(item.recipeId);
+        if (!options.quiet) console.warn(`[warn] ${date} ${slot.name}: No available recipes for theme ${names}. Using normal pools.`);
+    }
+
+    return chooseDinnerForDate({ ...ctx, ...pools });
+}
+
+/**
+ * Logs a slot's picks and writes them to Mealie, first removing any
+ * entries they replace. In dry-run mode it only logs.
+ *
+ * @param {Object} params - Write parameters
+ * @param {string} params.date - Date (YYYY-MM-DD)
+ * @param {Object} params.slot - Slot definition
+ * @param {Array} params.chosen - Chosen recipe references
+ * @param {Array} params.roleRecipes - All slim recipes (for role logging)
+ * @param {Array} [params.remove] - Existing entries to delete first
+ */
+async function writeSlotPlan({ date, slot, chosen, roleRecipes, remove = [] }) {
+    console.log(`[debug] ${date} ${slot.name} -> picks:`, chosen.map(item => item.name || item.title));
+
+    const roles = new Set();
+    for (const item of chosen) {
+        const recipe = roleRecipes.find(rr => rr.id === item.recipeId);
+        if (recipe) recipe.roles.forEach(role => roles.add(role));
+    }
+    console.log(`[debug] ${date} ${slot.name} covers:`, Array.from(roles).join(', ') || '(none)');
+
+    const proteins = new Set(chosen.flatMap(item => roleRecipes.find(rr => rr.id === item.recipeId)?.proteinTypes || []));
+    if (proteins.size > 0) console.log(`[debug] ${date} ${slot.name} proteins:`, Array.from(proteins).join(', '));
+
+    const recipes = chosen.map(item => roleRecipes.find(rr => rr.id === item.recipeId)).filter(Boolean);
+    const budget = timeBudgetFor(slot, date);
+    console.log(`[debug] ${date} ${slot.name} time: ${mealTimeLabel(recipes, slot.untimedMinutes)}${budget === null ? '' : ` (budget ${budget} min)`}`);
+    if (Object.keys(PRICES).length > 0) {
+        const cost = mealCost(chosen.map(item => roleRecipes.find(rr => rr.id === item.recipeId)).filter(Boolean));
+        console.log(`[debug] ${date} ${slot.name} cost: ${formatMealCost(cost)}`);
+    }
+    for (const item of chosen) {
+        const recipe = roleRecipes.find(rr => rr.id === item.recipeId);
+        const outOfSeason = recipe ? seasonalProduce(recipe, monthOf(date)).outOfSeason : [];
+        if (outOfSeason.length > 0) console.log(`[info] ${date} ${slot.name} out of season: ${recipe.name} (${outOfSeason.join(', ')})`);
+    }
+
+    const meal = {
+        date,
+        slot: slot.name,
+        entryType: slot.entryType,
+        picks: chosen.map(item => {
+            const recipe = roleRecipes.find(rr => rr.id === item.recipeId);
+            return {
+                recipeId: item.recipeId || null,
+                slug: recipe?.slug || null,
+                name: item.name || item.title || null,
+                roles: recipe ? [...recipe.roles].map(roleName) : [],
+                reasons: item.reasons || [],
+                entryId: null,
+            };
+        }),
+        removedEntryIds: remove.map(entry => entry.id),
+    };
+    RESULT.meals.push(meal);
+
+    for (const entry of remove) {
+        RESULT.removed.push({ id: entry.id, date, entryType: entry.entryType });
+        if (DRY_RUN) {
+            console.log(`[dry] ${date} ${slot.entryType} remove ->`, describeEntries([entry]));
+        } else {
+            await deleteMealPlanEntry(entry.id);
+            JOURNAL.record(removedEntryChange(entry));
+            await sleep(120);
+        }
+    }
+
+    for (const [index, item] of chosen.entries()) {
+        if (DRY_RUN) {
+            console.log(`[dry] ${date} ${slot.entryType} ->`, item.recipeId ? item.name : `title=${item.title}`);
+        } else {
+            const created = await createMealPlanEntry({
+                date,
+                entryType: slot.entryType,
+                recipeId: item.recipeId || undefined,
+                title: item.title || undefined,
+                text: PLANNER_NOTE,
+            });
+            meal.picks[index].entryId = created?.id ?? null;
+            JOURNAL.record({
+                type: 'mealplan-create',
+                entryId: created?.id ?? null,
+                date,
+                entryType: slot.entryType,
+                recipeId: item.recipeId || null,
+                title: item.title || null,
+                name: item.name || item.title || null,
+            });
+            await sleep(120);
+        }
+    }
+}
+
+/**
+ * Merges the ingredients of the planned recipes and writes them to the named
+ * Mealie shopping list, creating the list if needed. Unchecked items from an
+ * earlier run (see isPlannerShoppingItem) are replaced; items added by hand or
+ * from a recipe page, and checked items, are left alone. In dry-run mode it
+ * only prints the combined list.
+ *
+ * @param {Array<string>} recipeIds - Planned recipe IDs (once per meal, so repeats add up)
+ */
+async function writeShoppingList(recipeIds) {
+    const details = await loadRecipeDetails(recipeIds);
+    const items = mergeIngredients(recipeIds.map(id => details.get(id)).filter(Boolean));
+    console.log(`[info] Shopping list "${SHOPPING_LIST_NAME}": ${items.length} items from ${recipeIds.length} planned recipes`);
+    for (const item of items) {
+        console.log(`[${DRY_RUN ? 'dry' : 'debug'}] shopping ->`, formatShoppingItem(item));
+    }
+    if (DRY_RUN || items.length === 0) return;
+
+    const summary = await findShoppingList(SHOPPING_LIST_NAME) || await createShoppingList(SHOPPING_LIST_NAME);
+    const list = await getShoppingList(summary.id);
+    const stale = (list.listItems || []).filter(item => !item.checked && isPlannerShoppingItem(item));
+    if (stale.length > 0) {
+        await deleteShoppingItems(stale.map(item => item.id));
+        console.log(`[removed] ${stale.length} items from the previous shopping list`);
+    }
+
+    await addShoppingItems(items.map(item => shoppingItemPayload(item, list.id)));
+    console.log(`[info] Shopping list "${SHOPPING_LIST_NAME}" updated with ${items.length} items`);
+}
+
+/**
+ * Fetches the full recipes (with ingredients) for a list of IDs, once each.
+ * Recipes that fail to load are left out with a warning.
+ *
+ * @param {Array<string>} recipeIds - Recipe IDs (duplicates allowed)
+ * @returns {Promise<Map<string, Object>>} Full recipes by ID
+ */
+async function loadRecipeDetails(recipeIds) {
+    const details = new Map();
+    for (const id of new Set(recipeIds)) {
+        try {
+            details.set(id, await getRecipeDetails(id));
+        } catch (err) {
+            console.warn(`[warn] Could not load ingredients for recipe ${id}: ${err.message}`);
+        }
+    }
+    return details;
+}
+
+/**
+ * Writes a printable menu of the planned range. A path ending in .html or .md
+ * gets that format; any other path gets both (path.html and path.md). Like the
+ * calendar, it is written in dry-run mode too.
+ *
+ * @param {string} target - Output path
+ * @param {Array<string>} dates - Dates of the range (YYYY-MM-DD)
+ * @param {Array<{date: string, recipeId: string|null, title?: string|null, slot: string}>} menu - Planned recipes and titles by date
+ * @param {Map<string, Object>} recipesById - Slim recipes by ID
+ */
+async function writeMenu(target, dates, menu, recipesById) {
+    const details = await loadRecipeDetails(menu.filter(item => item.recipeId).map(item => item.recipeId));
+    const group = await getGroupSlug();
+    const days = menuDays(dates, menu, recipesById, details, SLOTS, { base: BASE, group });
+    const title = `Menu ${dates[0]} to ${dates[dates.length - 1]}`;
+
+    const files = /\.(html?|md)$/i.test(target) ? [target] : [`${target}.html`, `${target}.md`];
+    for (const file of files) {
+        fs.writeFileSync(file, /\.md$/i.test(file) ? renderMenuMarkdown(title, days) : renderMenuHtml(title, days));
+        console.log(`[info] Menu written to ${file}`);
+    }
+}
+
+/**
+ * Writes the planned range to an iCalendar file, one event per meal. The file
+ * is written in dry-run mode too, since it doesn't change anything in Mealie.
+ *
+ * @param {string} file - Output path
+ * @param {Array<{date: string, recipeId: string|null, title?: string|null, slot: string}>} menu - Planned recipes and titles by date
+ * @param {Map<string, Object>} recipesById - Slim recipes by ID
+ */
+async function writeCalendar(file, menu, recipesById) {
+    const group = await getGroupSlug();
+    const events = calendarEvents(menu, recipesById, SLOTS, { base: BASE, group });
+    fs.writeFileSync(file, buildCalendar(events));
+    console.log(`[info] Calendar: ${events.length} meals written to ${file}`);
+}
+
+// ============================================================
+// CORE PLANNING LOGIC
+// ============================================================
+
+/**
+ * Selects dinner recipes for a given date, trying to cover all three roles
+ * (protein, starch, vegetable) while avoiding recently used recipes.
+ *
+ * @param {Object} ctx - Planning context
+ * @param {string} ctx.date - The date to plan for (YYYY-MM-DD)
+ * @param {Array} ctx.completePool - Recipes that cover all three roles
+ * @param {Array} ctx.proteinPool - Recipes with protein role
+ * @param {Array} ctx.starchPool - Recipes with starch role
+ * @param {Array} ctx.vegPool - Recipes with vegetable role
+ * @param {Set} ctx.recentDinnerRecipeIds - Recipe IDs used recently (to avoid)
+ * @param {Array<string>} [ctx.neededRoles] - Role tags the meal should cover (default: all three)
+ * @param {number} [ctx.minRoles] - Minimum roles a multi-recipe meal must cover (default: 2)
+ * @param {number|null} [ctx.maxMinutes] - Cook-time budget for the whole meal (null = unlimited)
+ * @param {number|null} [ctx.untimedMinutes] - Minutes assumed for recipes without a time (see budgetMinutes)
+ * @returns {Array<{recipeId: string}>} Array of chosen recipe references
+ *
+ * @example
+ * const chosen = await chooseDinnerForDate({
+ *   date: '2025-01-20',
+ *   completePool: [...],
+ *   proteinPool: [...],
+ *   starchPool: [...],
+ *   vegPool: [...],
+ *   recentDinnerRecipeIds: new Set(['abc-123']),
+ * });
+ */
+async function chooseDinnerForDate(ctx) {
+    const { recentDinnerRecipeIds, completePool, proteinPool, starchPool, vegPool, neededRoles, minRoles, maxMinutes, untimedMinutes, opened } = ctx;
+    const month = ctx.date ? monthOf(ctx.date) : null;
+
+    // Strategy 1: Try to find a complete meal (one recipe covering all roles)
+    const completeMeal = trySelectCompleteMeal(completePool, recentDinnerRecipeIds, { maxMinutes, untimedMinutes, month, opened });
+    if (completeMeal) {
+        return completeMeal;
+    }
+
+    // Strategy 2: Build a meal from multiple recipes to cover all roles
+    const componentMeal = buildMealFromComponents(proteinPool, starchPool, vegPool, recentDinnerRecipeIds, { neededRoles, minRoles, maxMinutes, untimedMinutes, month, opened });
+    return componentMeal;
+}
+
+/**
+ * Attempts to select a single recipe that covers all three roles.
+ *
+ * @param {Array} completePool - Recipes with protein, starch, and veg roles
+ * @param {Set} recentDinnerRecipeIds - Recently used recipe IDs to avoid
+ * @param {Object} [options] - Selection limits
+ * @param {number|null} [options.maxMinutes] - Cook-time budget (null = unlimited)
+ * @param {number|null} [options.untimedMinutes] - Minutes assumed for recipes without a time (see budgetMinutes)
+ * @param {number|null} [options.month] - Month of the meal (1-12) for seasonality
+ * @param {Set<string>|null} [options.opened] - Perishables already used that week
+ * @returns {Array<{recipeId: string}>|null} Single-item array or null if none found
+ */
+function trySelectCompleteMeal(completePool, recentDinnerRecipeIds, options = {}) {
+    const candidates = shuffled(completePool)
+        .filter(recipe => !recentDinnerRecipeIds.has(recipe.id))
+        .filter(recipe => fitsTimeBudget(budgetMinutes(recipe, options.untimedMinutes), options.maxMinutes));
+    if (candidates.length > 0) {
+        const chosen = weightedPick(candidates, recipe => pickWeight(recipe, options.month, options.opened));
+        recentDinnerRecipeIds.add(chosen.id);
+        return [{ recipeId: chosen.id, name: chosen.name, reasons: ['complete meal', ...pickReasons(chosen, options.month, options.opened)] }];
+    }
+    return null;
+}
+
+/**
+ * Builds a complete meal from multiple recipes, each contributing different roles.
+ * Uses a greedy algorithm that prefers recipes covering more needed roles,
+ * and prefers "pure" single-role recipes when only one role remains.
+ *
+ * @param {Array} proteinPool - Recipes with protein role
+ * @param {Array} starchPool - Recipes with starch role
+ * @param {Array} vegPool - Recipes with vegetable role
+ * @param {Set} recentDinnerRecipeIds - Recently used recipe IDs to avoid
+ * @param {Object} [options] - Slot-specific requirements
+ * @param {Array<string>} [options.neededRoles] - Role tags to cover (default: all three)
+ * @param {number} [options.minRoles] - Minimum roles covered for a valid meal (default: 2)
+ * @param {number|null} [options.maxMinutes] - Budget for the combined cook time (null = unlimited)
+ * @param {number|null} [options.untimedMinutes] - Minutes assumed for recipes without a time (see budgetMinutes)
+ * @param {number|null} [options.month] - Month of the meal (1-12) for seasonality
+ * @param {Set<string>|null} [options.opened] - Perishables already used that week
+ * @returns {Array<{recipeId: string}>} Array of chosen recipes (may be empty)
+ */
+function buildMealFromComponents(proteinPool, starchPool, vegPool, recentDinnerRecipeIds, options = {}) {
+    const neededRoles = new Set(options.neededRoles || ['role:protein', 'role:starch', 'role:vegetable']);
+    const minRoles = options.minRoles ?? 2;
+
+    // Build universe of available recipes (not recently used)
+    const universe = Array.from(new Map(
+        [...proteinPool, ...starchPool, ...vegPool]
+            .filter(recipe => !recentDinnerRecipeIds.has(recipe.id))
+            .map(recipe => [recipe.id, recipe])
+    ).values());
+
+    const picks = [];
+    const gainedById = new Map();
+    const usedIds = new Set();
+    let usedMinutes = 0;
+
+    while (neededRoles.size > 0) {
+        // Only consider recipes that still fit in what's left of the time budget
+        const fitting = universe.filter(recipe => fitsTimeBudget(usedMinutes + budgetMinutes(recipe, options.untimedMinutes), options.maxMinutes));
+        const best = selectBestCandidate(fitting, usedIds, neededRoles, options.month, options.opened);
+        if (!best) break;
+
+        picks.push(best);
+        gainedById.set(best.id, [...best.roles].filter(role => neededRoles.has(role)));
+        usedIds.add(best.id);
+        usedMinutes += budgetMinutes(best, options.untimedMinutes);
+
+        // Remove newly covered roles from needed set
+        for (const role of best.roles) {
+            if (neededRoles.has(role)) {
+                neededRoles.delete(role);
+            }
+        }
+    }
+
+    // Require at least minRoles covered to be considered a valid meal
+    if (picks.length > 0 && coveredRoles(picks).size >= minRoles) {
+        for (const recipe of picks) {
+            recentDinnerRecipeIds.add(recipe.id);
+        }
+        return picks.map(recipe => ({
+            recipeId: recipe.id,
+            name: recipe.name,
+            reasons: [`covers ${gainedById.get(recipe.id).map(roleName).join(', ')}`, ...pickReasons(recipe, options.month, options.opened)],
+        }));
+    }
+
+    return [];
+}
+
+/**
+ * Selects the best candidate recipe to add to the meal.
+ * When multiple roles are needed, prefers recipes covering more roles.
+ * When only one role remains, prefers "pure" single-role recipes.
+ * Ties are broken by a rating/favorite-weighted random pick, which also
+ * favors vegetables in season for the month and perishables opened that week.
+ *
+ * @param {Array} universe - All available recipes
+ * @param {Set} usedIds - Already-used recipe IDs in this meal
+ * @param {Set} neededRoles - Roles still needed
+ * @param {number|null} [month] - Month of the meal (1-12) for seasonality
+ * @param {Set<string>|null} [opened] - Perishables already used that week
+ * @returns {Object|null} Best recipe to add, or null if none available
+ */
+function selectBestCandidate(universe, usedIds, neededRoles, month = null, opened = null) {
+    // Find recipes that contribute at least one needed role
+    const candidates = universe.filter(recipe =>
+        !usedIds.has(recipe.id) && rolesGain(recipe, neededRoles) > 0
+    );
+
+    if (candidates.length === 0) return null;
+
+    if (neededRoles.size === 1) {
+        // When exactly one role remains, prefer "pure" single-role recipes
+        const pureCandidates = candidates.filter(recipe => isPureForNeeded(recipe, neededRoles));
+
+        if (pureCandidates.length > 0) {
+            return weightedPick(pureCandidates, recipe => pickWeight(recipe, month, opened));
+        }
+
+        // Fall back to recipes with fewest total roles
+        const [neededRole] = [...neededRoles];
+        const hasNeeded = candidates.filter(recipe => rolesHas(recipe, neededRole));
+        const fewestRoles = Math.min(...hasNeeded.map(recipe => recipe.roles.size));
+        return weightedPick(hasNeeded.filter(recipe => recipe.roles.size === fewestRoles), recipe => pickWeight(recipe, month, opened));
+    }
+
+    // Multiple roles needed: prefer more coverage, then fewer extras
+    candidates.sort((a, b) => byBestScore(a, b, neededRoles));
+    const [first] = candidates;
+    const tied = candidates.filter(recipe =>
+        rolesGain(recipe, neededRoles) === rolesGain(first, neededRoles) && recipe.roles.size === first.roles.size
+    );
+    return weightedPick(tied, recipe => pickWeight(recipe, month, opened));
+}
+
+/**
+ * Lists what made a recipe more likely to be picked: its rating, favorite
+ * status, in-season vegetables, resurfacing and shared perishables.
+ *
+ * @param {Object} recipe - Slim recipe
+ * @param {number|null} [month] - Month of the meal (1-12) for seasonality
+ * @param {Set<string>|null} [opened] - Perishables already used that week
+ * @returns {Array<string>} Reasons, e.g. ['rated 5', 'favorite']
+ */
+function pickReasons(recipe, month = null, opened = null) {
+    const reasons = [];
+    if (recipe.rating !== null && recipe.rating !== undefined) reasons.push(`rated ${recipe.rating}`);
+    if (recipe.isFavorite) reasons.push('favorite');
+    const { inSeason } = month ? seasonalProduce(recipe, month) : { inSeason: [] };
+    if (inSeason.length > 0) reasons.push(`in season: ${inSeason.join(', ')}`);
+    if (resurfaceFactor(recipe) > 1) {
+        reasons.push(LAST_PLANNED.has(recipe.id) ? `resurfaced (last planned ${LAST_PLANNED.get(recipe.id)})` : 'resurfaced (not planned recently)');
+    }
+    const shared = sharedPerishables(recipe, opened);
+    if (shared.length > 0) reasons.push(`reuses ${shared.join(', ')}`);
+    return reasons;
+}
+
+/**
+ * Appends reasons to every chosen recipe reference (for --format json).
+ *
+ * @param {Array<Object>} chosen - Chosen recipe references (mutated)
+ * @param {...(string|false|null)} reasons - Reasons; falsy ones are skipped
+ * @returns {Array<Object>} The same references
+ */
+function withReasons(chosen, ...reasons) {
+    for (const item of chosen || []) item.reasons = [...(item.reasons || []), ...reasons.filter(Boolean)];
+    return chosen;
+}
+
+/**
+ * Turns a role tag into its short name.
+ *
+ * @param {string} role - Role tag, e.g. 'role:protein'
+ * @returns {string} e.g. 'protein'
+ */
+function roleName(role) {
+    return role.replace(/^role:/, '');
+}
+
+// ============================================================
+// WEEK OPTIMIZER
+// ============================================================
+
+/**
+ * Normalizes the "optimizer" config block.
+ *
+ * @param {Object} [config] - Raw optimizer config
+ * @param {string|number} [timeLimit] - Time limit in seconds from --time-limit / OPTIMIZER_TIME_LIMIT
+ * @returns {{timeLimitMs: number, iterations: number, samples: number, weights: Object}}
+ *
+ * @example
+ * resolveOptimizer({ weights: { theme: 5 } }, '2')
+ * // Returns { timeLimitMs: 2000, iterations: 5000, samples: 30, weights: { coverage: 3, preference: 1, theme: 5, variety: 2, repeat: 10 } }
+ */
+function resolveOptimizer(config = {}, timeLimit) {
+    const seconds = Number(timeLimit ?? config.timeLimit ?? 5);
+    if (!Number.isFinite(seconds) || seconds <= 0) {
+        throw new Error(`Invalid optimizer time limit "${timeLimit ?? config.timeLimit}" (expected seconds > 0)`);
+    }
+    return {
+        timeLimitMs: Math.round(seconds * 1000),
+        iterations: config.iterations ?? 5000,
+        samples: config.samples ?? 30,
+        weights: { ...DEFAULT_SCORE_WEIGHTS, ...config.weights },
+    };
+}
+
+/**
+ * Works out when the optimizer must stop. How far it gets within a time limit
+ * depends on the machine, so a seeded run ignores the limit and stops on the
+ * sample and iteration counts alone.
+ *
+ * @param {{timeLimitMs: number}} optimizer - Resolved optimizer config
+ * @param {boolean} seeded - Whether --seed / SEED was given
+ * @param {number} [now] - Current time (ms)
+ * @returns {number} Deadline timestamp (ms), Infinity for seeded runs
+ */
+function optimizerDeadline(optimizer, seeded, now = Date.now()) {
+    return seeded ? Infinity : now + optimizer.timeLimitMs;
+}
+
+/**
+ * Builds an order-independent key for a candidate meal, used to drop duplicates.
+ *
+ * @param {Array<{recipeId: string}>} [chosen] - Chosen recipe references
+ * @returns {string} Sorted recipe IDs joined with commas
+ */
+function candidateKey(chosen) {
+    return (chosen || []).map(item => item.recipeId).sort().join(',');
+}
+
+/**
+ * Finds the highest selection weight in a slot's pools, so preference scores
+ * can be normalized to 0-1.
+ *
+ * @param {Object} pools - Role pools (see buildPools)
+ * @returns {number} Highest recipe weight (at least 1)
+ */
+function maxPoolWeight(pools) {
+    const all = [...pools.completePool, ...pools.proteinPool, ...pools.starchPool, ...pools.vegPool];
+    const boost = (SEASONS ? Math.max(1, SEASONS.inSeasonBoost) : 1) * (RESURFACE ? RESURFACE.boost : 1);
+    return Math.max(1, ...all.map(recipe => recipeWeight(recipe) * boost));
+}
+
+/**
+ * Scores a single day's meal on its own: how many of the slot's roles it
+ * covers, how well-liked (in season, resurfaced) its recipes are, and whether it
+ * honors the day's themes.
+ *
+ * @param {Array<Object>} recipes - Slim recipes of the meal
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {Object} ctx - Scoring context (slot, pools, weights, maxWeight)
+ * @returns {number} Weighted score (higher is better)
+ */
+function mealScore(recipes, date, ctx) {
+    const { slot, pools, weights, maxWeight } = ctx;
+    if (recipes.length === 0) return 0;
+
+    const neededRoles = slot.roles.map(role => ROLE_TAGS[role]);
+    const covered = coveredRoles(recipes);
+    const coverage = neededRoles.filter(role => covered.has(role)).length / neededRoles.length;
+    const preference = recipes.reduce((sum, recipe) => sum + pickWeight(recipe, monthOf(date)), 0) / recipes.length / maxWeight;
+
+    const themes = themesFor(THEMES, slot, date);
+    const themed = themes.length > 0 &&
+        mealMatchesThemes(recipes.map(recipe => ({ recipeId: recipe.id })), applyThemes(pools, themes), themes);
+
+    return weights.coverage * coverage + weights.preference * preference + (themed ? weights.theme : 0);
+}
+
+/**
+ * Scores a whole plan for a slot: the sum of each day's meal score, minus
+ * penalties for protein variety violations and for repeating a recipe
+ * within the slot's no-repeat window. With perishables configured, sharing
+ * them across days adds to the score (see overlapScore); with household
+ * members, so does their satisfaction, while disliked meals beyond a
+ * member's weekly limit are penalized. Straying from the nutrition ranges
+ * costs points too (see planNutritionPenalty), and so does going over the
+ * weekly budget (see planBudgetOverrun).
+ *
+ * @param {Map<string, Array<Object>>} plan - Slim recipes by date
+ * @param {Object} ctx - Scoring context
+ * @param {Object} ctx.slot - Slot definition
+ * @param {Object} ctx.pools - The slot's role pools
+ * @param {Map<string, Set<string>>} ctx.history - Protein types of existing entries by date
+ * @param {Object} ctx.variety - Resolved variety config
+ * @param {Object} ctx.weights - Score weights (see DEFAULT_SCORE_WEIGHTS)
+ * @param {number} ctx.maxWeight - Highest recipe weight in the pools
+ * @param {Array<string>} [ctx.perishables] - Perishable foods whose reuse is rewarded
+ * @param {Object} [ctx.household] - Resolved household (see resolveHousehold)
+ * @param {Map<string, Set<string>>} [ctx.dislikes] - Dislike history of existing entries
+ * @param {Object} [ctx.nutrition] - Resolved nutrition targets (see resolveNutrition)
+ * @param {number} [ctx.nutritionShare] - The slot's share of the nutrition ranges
+ * @param {Map<string, number>|null} [ctx.budget] - Budget left for this slot by week (Monday)
+ * @returns {number} Plan score (higher is better)
+ */
+function scorePlan(plan, ctx) {
+    const { slot, weights } = ctx;
+    let score = 0;
+
+    for (const [date, recipes] of plan) score += mealScore(recipes, date, ctx);
+
+    if (VARIETY.slots.includes(slot.name)) {
+        const history = new Map(ctx.history);
+        for (const [date, recipes] of plan) recordProteinTypes(history, date, recipes);
+        for (const [date, recipes] of plan) {
+            score -= weights.variety * recipes.filter(recipe => !varietyAllows(recipe, date, history, ctx.variety)).length;
+        }
+    }
+
+    score -= weights.repeat * countRepeats(plan, slot.noRepeatDays);
+    if (ctx.perishables?.length > 0) score += weights.overlap * overlapScore(plan, ctx.perishables);
+
+    const household = ctx.household;
+    if (household?.members.length > 0 && household.slots.includes(slot.name)) {
+        for (const recipes of plan.values()) score += weights.satisfaction * householdSatisfaction(recipes, household.members);
+        score -= weights.dislikes * excessDislikes(plan, ctx.dislikes || new Map(), household);
+    }
+
+    if (ctx.nutrition?.slots.includes(slot.name) && hasNutritionTargets(ctx.nutrition)) {
+        score -= weights.nutrition * planNutritionPenalty(plan, ctx.nutrition, ctx.nutritionShare ?? 1);
+    }
+
+    if (ctx.budget) score -= weights.budget * planBudgetOverrun(plan, ctx.budget);
+    return score;
+}
+
+/**
+ * Counts recipes that appear on two dates closer than the no-repeat window.
+ *
+ * @param {Map<string, Array<Object>>} plan - Slim recipes by date
+ * @param {number} noRepeatDays - Minimum days between repeats
+ * @returns {number} Number of conflicting pairs
+ *
+ * @example
+ * countRepeats(new Map([['2025-01-20', [a]], ['2025-01-22', [a]]]), 5) // Returns 1
+ */
+function countRepeats(plan, noRepeatDays) {
+    const datesById = new Map();
+    for (const [date, recipes] of plan) {
+        for (const recipe of recipes) {
+            datesById.set(recipe.id, [...(datesById.get(recipe.id) || []), date]);
+        }
+    }
+
+    let conflicts = 0;
+    for (const dates of datesById.values()) {
+        for (let i = 0; i < dates.length; i++) {
+            for (let j = i + 1; j < dates.length; j++) {
+                if (Math.abs(daysBetween(dates[i], dates[j])) <= noRepeatDays) conflicts++;
+            }
+        }
+    }
+    return conflicts;
+}
+
+/**
+ * Local search over the candidate meals of each date. Starts from the first
+ * candidate of every date, then repeatedly swaps one date's meal for another
+ * candidate, keeping improvements and (early on, with falling probability)
+ * some worse moves so it can escape local optima. The best plan seen wins.
+ *
+ * @param {Map<string, Array<Array<Object>>>} candidatesByDate - Candidate meals (slim recipes) by date
+ * @param {Object} ctx - Scoring context (see scorePlan)
+ * @param {Object} limits - Search limits
+ * @param {number} limits.iterations - Maximum number of moves to try
+ * @param {number} [limits.deadline] - Timestamp (ms) after which the search stops
+ * @returns {{plan: Map<string, Array<Object>>, score: number, initialScore: number, iterations: number}}
+ */
+function searchPlan(candidatesByDate, ctx, { iterations, deadline = Infinity }) {
+    const choice = new Map([...candidatesByDate.keys()].map(date => [date, 0]));
+    const planFor = picks => new Map([...picks].map(([date, index]) => [date, candidatesByDate.get(date)[index]]));
+    const movable = [...candidatesByDate.keys()].filter(date => candidatesByDate.get(date).length > 1);
+
+    const initialScore = scorePlan(planFor(choice), ctx);
+    let current = initialScore;
+    let best = { choice: new Map(choice), score: initialScore };
+    let done = 0;
+
+    while (movable.length > 0 && done < iterations && Date.now() < deadline) {
+        const date = movable[Math.floor(random() * movable.length)];
+        const previous = choice.get(date);
+        const count = candidatesByDate.get(date).length;
+        choice.set(date, (previous + 1 + Math.floor(random() * (count - 1))) % count);
+
+        const score = scorePlan(planFor(choice), ctx);
+        const temperature = 1 - done / iterations;
+        if (score >= current || random() < Math.exp((score - current) / Math.max(temperature, 1e-3))) {
+            current = score;
+            if (score > best.score) best = { choice: new Map(choice), score };
+        } else {
+            choice.set(date, previous);
+        }
+        done++;
+    }
+
+    return { plan: planFor(best.choice), score: best.score, initialScore, iterations: done };
+}
+
+/**
+ * Lists the perishables a recipe uses, matching its ingredient foods with
+ * auto-tag.js's keyword matcher (so "cilantro" also matches "fresh cilantro").
+ *
+ * @param {Object} recipe - Slim recipe with foods
+ * @param {Array<string>} perishables - Perishable food keywords
+ * @returns {Array<string>} Matched perishables
+ */
+function recipePerishables(recipe, perishables) {
+    const foods = recipe?.foods || [];
+    return perishables.filter(perishable => foods.some(food => matchesKeyword(food, perishable)));
+}
+
+/**
+ * Works out on which dates each perishable is used.
+ *
+ * @param {Map<string, Array<Object>>} plan - Slim recipes by date
+ * @param {Array<string>} perishables - Perishable food keywords
+ * @returns {Map<string, Array<string>>} Dates by perishable (only perishables in use)
+ *
+ * @example
+ * perishableUsage(new Map([['2025-01-20', [tacos]], ['2025-01-22', [salad]]]), ['cilantro'])
+ * // Returns Map { 'cilantro' => ['2025-01-20', '2025-01-22'] }
+ */
+function perishableUsage(plan, perishables) {
+    const usage = new Map();
+    for (const [date, recipes] of [...plan].sort(([a], [b]) => a.localeCompare(b))) {
+        for (const perishable of new Set(recipes.flatMap(recipe => recipePerishables(recipe, perishables)))) {
+            usage.set(perishable, [...(usage.get(perishable) || []), date]);
+        }
+    }
+    return usage;
+}
+
+/**
+ * Scores how well a plan shares its perishables: +1 for every extra day a
+ * perishable is reused, -0.5 for every perishable bought for a single day.
+ *
+ * @param {Map<string, Array<Object>>} plan - Slim recipes by date
+ * @param {Array<string>} perishables - Perishable food keywords
+ * @returns {number} Overlap score
+ */
+function overlapScore(plan, perishables) {
+    let score = 0;
+    for (const dates of perishableUsage(plan, perishables).values()) {
+        score += dates.length > 1 ? dates.length - 1 : -0.5;
+    }
+    return score;
+}
+
+/**
+ * Records the perishables a meal uses, for the greedy overlap bonus.
+ *
+ * @param {Map<string, Set<string>>} usedByDate - Perishables by date (mutated)
+ * @param {string} date - Date of the meal (YYYY-MM-DD)
+ * @param {Array<Object>} recipes - Slim recipes of the meal
+ * @param {Array<string>} [perishables] - Perishable food keywords
+ */
+function recordPerishables(usedByDate, date, recipes, perishables = PERISHABLES) {
+    const used = recipes.flatMap(recipe => recipePerishables(recipe, perishables));
+    if (used.length === 0) return;
+    usedByDate.set(date, new Set([...(usedByDate.get(date) || []), ...used]));
+}
+
+/**
+ * Records the perishables of existing meal plan entries (see recordPerishables).
+ *
+ * @param {Array<Object>} entries - Meal plan entries
+ * @param {Map<string, Object>} recipesById - Slim recipes by ID
+ * @returns {Map<string, Set<string>>} Perishables by date
+ */
+function entryPerishables(entries, recipesById) {
+    const usedByDate = new Map();
+    for (const entry of entries) {
+        const recipe = recipesById.get(entry.recipe?.id);
+        if (recipe) recordPerishables(usedByDate, entry.date, [recipe]);
+    }
+    return usedByDate;
+}
+
+/**
+ * Collects the perishables used on the other days of a date's week
+ * (Monday to Sunday), i.e. the ones already bought when planning that date.
+ *
+ * @param {Map<string, Set<string>>} usedByDate - Perishables by date
+ * @param {string} date - Date being planned (YYYY-MM-DD)
+ * @returns {Set<string>} Perishables opened that week
+ */
+function openedPerishables(usedByDate, date) {
+    return new Set(weekOf(date).filter(day => day !== date).flatMap(day => [...(usedByDate.get(day) || [])]));
+}
+
+/**
+ * Lists a recipe's perishables that are already opened that week.
+ *
+ * @param {Object} recipe - Slim recipe with foods
+ * @param {Set<string>|null} opened - Perishables already used that week
+ * @param {Array<string>} [perishables] - Perishable food keywords
+ * @returns {Array<string>} Shared perishables
+ */
+function sharedPerishables(recipe, opened, perishables = PERISHABLES) {
+    if (!opened || opened.size === 0) return [];
+    return recipePerishables(recipe, perishables).filter(perishable => opened.has(perishable));
+}
+
+/**
+ * Selection multiplier for the greedy strategy's overlap bonus: each
+ * perishable the recipe shares with the week's other meals adds one, so
+ * sharing cilantro doubles its weight.
+ *
+ * @param {Object} recipe - Slim recipe with foods
+ * @param {Set<string>|null} [opened] - Perishables already used that week
+ * @param {Array<string>} [perishables] - Perishable food keywords
+ * @returns {number} Weight multiplier (1 = neutral)
+ */
+function overlapFactor(recipe, opened = null, perishables = PERISHABLES) {
+    return 1 + sharedPerishables(recipe, opened, perishables).length;
+}
+
+// ============================================================
+// ROLE HELPER FUNCTIONS
+// ============================================================
+
+/**
+ * Checks if a recipe has a specific role.
+ *
+ * @param {Object} recipe - Recipe object with roles Set
+ * @param {string} role - Role string to check for
+ * @returns {boolean} True if recipe has the role
+ */
+function rolesHas(recipe, role) {
+    return recipe.roles && recipe.roles.has(role);
+}
+
+/**
+ * Counts how many of the needed roles this recipe provides.
+ *
+ * @param {Object} recipe - Recipe object with roles Set
+ * @param {Set} neededRoles - Set of roles still needed
+ * @returns {number} Count of needed roles this recipe provides
+ *
+ * @example
+ * const gain = rolesGain(recipe, new Set(['role:protein', 'role:starch']));
+ * // Returns 2 if recipe has both roles, 1 if only one, 0 if neither
+ */
+function rolesGain(recipe, neededRoles) {
+    let count = 0;
+    for (const role of recipe.roles) {
+        if (neededRoles.has(role)) count++;
+    }
+    return count;
+}
+
+/**
+ * Checks if a recipe is "pure" for the needed role - meaning it has
+ * exactly one role and that role is one we need.
+ *
+ * @param {Object} recipe - Recipe object with roles Set
+ * @param {Set} neededRoles - Set of roles still needed
+ * @returns {boolean} True if recipe has exactly one role that is needed
+ */
+function isPureForNeeded(recipe, neededRoles) {
+    return recipe.roles.size === 1 && rolesGain(recipe, neededRoles) === 1;
+}
+
+/**
+ * Comparison function for sorting recipes by "best" score.
+ * Prefers recipes covering more needed roles, then fewer total roles.
+ *
+ * @param {Object} a - First recipe to compare
+ * @param {Object} b - Second recipe to compare
+ * @param {Set} neededRoles - Roles still needed
+ * @returns {number} Negative if a is better, positive if b is better
+ */
+function byBestScore(a, b, neededRoles) {
+    const gainA = rolesGain(a, neededRoles);
+    const gainB = rolesGain(b, neededRoles);
+    if (gainA !== gainB) return gainB - gainA;
+    if (a.roles.size !== b.roles.size) return a.roles.size - b.roles.size;
+    return random() - 0.5;
+}
+
+/**
+ * Collects all roles covered by a set of picked recipes.
+ *
+ * @param {Array} picks - Array of recipe objects
+ * @returns {Set} Set of all roles covered
+ */
+function coveredRoles(picks) {
+    const covered = new Set();
+    for (const recipe of picks) {
+        for (const role of recipe.roles) {
+            covered.add(role);
+        }
+    }
+    return covered;
+}
+
+/**
+ * Counts how many elements are in both sets.
+ *
+ * @param {Set} setA - First set
+ * @param {Set} setB - Second set
+ * @returns {number} Count of elements in both sets
+ */
+function countIntersect(setA, setB) {
+    let count = 0;
+    for (const value of setA) {
+        if (setB.has(value)) count++;
+    }
+    return count;
+}
+
+// ============================================================
+// PROTEIN VARIETY
+// ============================================================
+
+/**
+ * Normalizes the "variety" config block.
+ *
+ * @param {Object} [config] - Raw variety config
+ * @returns {{slots: Array<string>, noConsecutive: boolean, maxPerWeek: Object, groups: Object}}
+ *
+ * @example
+ * resolveVariety({ maxPerWeek: { 'red-meat': 2 } })
+ * // Returns { slots: ['dinner'], noConsecutive: true, maxPerWeek: { 'red-meat': 2 }, groups: { 'red-meat': [...], seafood: [...] } }
+ */
+function resolveVariety(config = {}) {
+    return {
+        slots: config.slots || ['dinner'],
+        noConsecutive: config.noConsecutive ?? true,
+        maxPerWeek: config.maxPerWeek || {},
+        groups: { ...PROTEIN_GROUPS, ...config.groups },
+    };
+}
+
+/**
+ * Checks whether the variety rules apply to any active slot, in which case
+ * recipes need their protein types.
+ *
+ * @param {Object} variety - Resolved variety config
+ * @param {Array<Object>} slots - Active slots
+ * @returns {boolean} True if a rule is on for one of the slots
+ */
+function varietyNeedsProteins(variety, slots) {
+    const rulesOn = variety.noConsecutive || Object.keys(variety.maxPerWeek).length > 0;
+    return rulesOn && slots.some(slot => variety.slots.includes(slot.name));
+}
+
+/**
+ * Checks whether a recipe's protein types come from a `protein:<type>` tag
+ * (so its ingredients aren't needed to work them out).
+ *
+ * @param {Object} recipe - Slim recipe with normalized tags
+ * @returns {boolean} True if the recipe has a protein sub-tag
+ */
+function hasProteinTag(recipe) {
+    return (recipe.tags || []).some(tag => tag.startsWith('protein-'));
+}
+
+/**
+ * Works out a recipe's protein types. `protein:<type>` tags win; otherwise
+ * auto-tag.js's analyzeRecipe() keyword matches are mapped to types.
+ *
+ * @param {Object} recipe - Recipe object from the Mealie API
+ * @param {Array<string>} tags - The recipe's normalized tags
+ * @returns {Array<string>} Protein types, e.g. ['chicken']
+ */
+function detectProteinTypes(recipe, tags) {
+    const fromTags = tags.filter(tag => tag.startsWith('protein-')).map(tag => tag.slice('protein-'.length));
+    if (fromTags.length > 0) return Array.from(new Set(fromTags));
+    return proteinTypesFromKeywords(analyzeRecipe(recipe).proteinMatches);
+}
+
+/**
+ * Maps protein keywords (as found by analyzeRecipe) to protein types.
+ *
+ * @param {Array<string>} keywords - Matched protein keywords
+ * @returns {Array<string>} Protein types
+ *
+ * @example
+ * proteinTypesFromKeywords(['turkey', 'breast']) // Returns ['turkey']
+ * proteinTypesFromKeywords(['thigh'])            // Returns ['chicken']
+ */
+function proteinTypesFromKeywords(keywords) {
+    const lookup = table => Object.keys(table).filter(type => keywords.some(keyword => table[type].includes(keyword)));
+    const specific = lookup(PROTEIN_TYPES);
+    return specific.length > 0 ? specific : lookup(PROTEIN_CUTS);
+}
+
+/**
+ * Builds a date -> protein types map from existing meal plan entries of a slot.
+ *
+ * @param {Array} entries - Meal plan entries
+ * @param {Object} slot - Slot definition
+ * @param {Map<string, Object>} recipesById - Slim recipes by ID
+ * @returns {Map<string, Set<string>>} Protein types by date
+ */
+function buildProteinHistory(entries, slot, recipesById) {
+    const history = new Map();
+    for (const entry of entries) {
+        if (entry.entryType !== slot.entryType || !entry.recipe) continue;
+        recordProteinTypes(history, entry.date, [recipesById.get(entry.recipe.id)]);
+    }
+    return history;
+}
+
+/**
+ * Adds the protein types of a day's recipes to the history.
+ *
+ * @param {Map<string, Set<string>>} history - Protein types by date (mutated)
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {Array<Object|undefined>} recipes - Slim recipes (unknown ones are skipped)
+ */
+function recordProteinTypes(history, date, recipes) {
+    const types = history.get(date) || new Set();
+    for (const recipe of recipes) {
+        for (const type of recipe?.proteinTypes || []) types.add(type);
+    }
+    if (types.size > 0) history.set(date, types);
+}
+
+/**
+ * Copies a date -> Set history so planning on the copy leaves the original alone.
+ *
+ * @param {Map<string, Set<string>>} [history] - History to copy
+ * @returns {Map<string, Set<string>>} Independent copy (empty if none given)
+ */
+function copyHistory(history = new Map()) {
+    return new Map([...history].map(([date, values]) => [date, new Set(values)]));
+}
+
+/**
+ * Checks a recipe against the variety rules: no protein type on the day
+ * before or after, and per-week caps on types or groups (weeks run Mon-Sun).
+ *
+ * @param {Object} recipe - Slim recipe with proteinTypes
+ * @param {string} date - Date being planned (YYYY-MM-DD)
+ * @param {Map<string, Set<string>>} history - Protein types by date
+ * @param {Object} variety - Resolved variety config
+ * @returns {boolean} True if the recipe keeps the week varied
+ */
+function varietyAllows(recipe, date, history, variety) {
+    const types = recipe.proteinTypes || [];
+    if (types.length === 0) return true;
+
+    if (variety.noConsecutive) {
+        for (const neighbor of [offsetDate(date, -1), offsetDate(date, 1)]) {
+            if (types.some(type => history.get(neighbor)?.has(type))) return false;
+        }
+    }
+
+    const weekDates = weekOf(date).filter(day => day !== date);
+    for (const [key, cap] of Object.entries(variety.maxPerWeek)) {
+        const members = variety.groups[key] || [key];
+        if (!types.some(type => members.includes(type))) continue;
+        const used = weekDates.filter(day => [...(history.get(day) || [])].some(type => members.includes(type))).length;
+        if (used >= cap) return false;
+    }
+    return true;
+}
+
+/**
+ * Applies a recipe filter to every role pool.
+ *
+ * @param {Object} pools - Role pools (see buildPools)
+ * @param {function(Object): boolean} predicate - Keeps recipes returning true
+ * @returns {Object} Filtered pools
+ */
+function filterPools(pools, predicate) {
+    return Object.fromEntries(
+        Object.entries(pools).map(([key, pool]) => [key, pool.filter(predicate)])
+    );
+}
+
+// ============================================================
+// SEASONALITY
+// ============================================================
+
+/**
+ * Normalizes the "seasons" config block. The built-in table (PRODUCE_SEASONS)
+ * is shifted by six months for the southern hemisphere; "months" replaces the
+ * months of individual keywords, for a region whose seasons differ.
+ *
+ * @param {Object} [config] - Raw seasons config (absent = seasonality off)
+ * @returns {{hemisphere: string, months: Object, inSeasonBoost: number, outOfSeasonFactor: number}|null}
+ * @throws {Error} If the hemisphere or a month is invalid
+ *
+ * @example
+ * resolveSeasons({ hemisphere: 'south' }).months.asparagus // Returns [10, 11, 12]
+ */
+function resolveSeasons(config) {
+    if (!config) return null;
+    const hemisphere = (config.hemisphere || 'north').toLowerCase();
+    if (!['north', 'south'].includes(hemisphere)) {
+        throw new Error(`Invalid hemisphere "${config.hemisphere}" (expected north or south)`);
+    }
+    const shift = months => months && months.map(month => ((month + 5) % 12) + 1);
+    const table = Object.fromEntries(Object.entries(PRODUCE_SEASONS).map(([keyword, months]) =>
+        [keyword, hemisphere === 'south' ? shift(months) : months]
+    ));
+    for (const [keyword, months] of Object.entries(config.months || {})) {
+        if (months !== null && (!Array.isArray(months) || months.some(month => !Number.isInteger(month) || month < 1 || month > 12))) {
+            throw new Error(`Invalid months for ${keyword}: ${JSON.stringify(months)} (expected 1-12 or null)`);
+        }
+        table[keyword.trim().toLowerCase()] = months;
+    }
+    return {
+        hemisphere,
+        months: table,
+        inSeasonBoost: config.inSeasonBoost ?? 1.5,
+        outOfSeasonFactor: config.outOfSeasonFactor ?? 0.25,
+    };
+}
+
+/**
+ * Gets the month (1-12) of a date.
+ *
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @returns {number} Month
+ */
+function monthOf(date) {
+    return Number(date.slice(5, 7));
+}
+
+/**
+ * Splits a recipe's seasonal vegetables into those in and out of season.
+ * Produce available all year, or missing from the table, is in neither list.
+ *
+ * @param {Object} recipe - Slim recipe with produce (vegetable keywords)
+ * @param {number} month - Month (1-12)
+ * @param {Object|null} [seasons] - Resolved seasons config (null = off)
+ * @returns {{inSeason: Array<string>, outOfSeason: Array<string>}}
+ *
+ * @example
+ * seasonalProduce({ produce: ['asparagus', 'garlic'] }, 11, resolveSeasons({}))
+ * // Returns { inSeason: [], outOfSeason: ['asparagus'] }
+ */
+function seasonalProduce(recipe, month, seasons = SEASONS) {
+    const result = { inSeason: [], outOfSeason: [] };
+    if (!seasons) return result;
+    for (const keyword of recipe.produce || []) {
+        const months = seasons.months[keyword];
+        if (!months) continue;
+        (months.includes(month) ? result.inSeason : result.outOfSeason).push(keyword);
+    }
+    return result;
+}
+
+/**
+ * Selection multiplier for a recipe's vegetables: out-of-season produce
+ * penalizes it, otherwise in-season produce boosts it. Only recipes with the
+ * vegetable role (the veg and complete pools) are affected.
+ *
+ * @param {Object} recipe - Slim recipe
+ * @param {number} month - Month (1-12)
+ * @param {Object|null} [seasons] - Resolved seasons config (null = off)
+ * @returns {number} Weight multiplier (1 = neutral)
+ */
+function seasonFactor(recipe, month, seasons = SEASONS) {
+    if (!seasons || !recipe.roles?.has(ROLE_TAGS.veg)) return 1;
+    const { inSeason, outOfSeason } = seasonalProduce(recipe, month, seasons);
+    if (outOfSeason.length > 0) return seasons.outOfSeasonFactor;
+    return inSeason.length > 0 ? seasons.inSeasonBoost : 1;
+}
+
+/**
+ * Selection weight of a recipe for a meal in a given month: its rating
+ * weight (see recipeWeight) times its season, resurfacing and perishable
+ * overlap factors.
+ *
+ * @param {Object} recipe - Slim recipe
+ * @param {number|null} [month] - Month of the meal (null = ignore seasons)
+ * @param {Set<string>|null} [opened] - Perishables already used that week
+ * @returns {number} Weight
+ */
+function pickWeight(recipe, month = null, opened = null) {
+    return recipeWeight(recipe) * (month ? seasonFactor(recipe, month) : 1) * resurfaceFactor(recipe) * overlapFactor(recipe, opened);
+}
+
+// ============================================================
+// COOLDOWNS AND RESURFACING
+// ============================================================
+
+/**
+ * Normalizes the "cooldowns" config block: days a recipe rests after being
+ * planned, by recipe (ID, slug or name) or by tag. Recipes can also carry a
+ * "cooldown:N" tag.
+ *
+ * @param {Object} [config] - Raw cooldowns config, e.g. { recipes: { 'sunday-roast': 60 }, tags: { holiday: 300 } }
+ * @returns {{recipes: Object<string, number>, tags: Object<string, number>}} Days by lowercase recipe key and normalized tag
+ * @throws {Error} If a period is not a whole number of days
+ */
+function resolveCooldowns(config = {}) {
+    const days = (group, key, value) => {
+        if (!Number.isInteger(value) || value < 0) {
+            throw new Error(`Invalid cooldown for ${group} "${key}": ${JSON.stringify(value)} (expected whole days)`);
+        }
+        return value;
+    };
+    return {
+        recipes: Object.fromEntries(Object.entries(config.recipes || {}).map(([key, value]) => [key.trim().toLowerCase(), days('recipe', key, value)])),
+        tags: Object.fromEntries(Object.entries(config.tags || {}).map(([key, value]) => [normalizeTag(key), days('tag', key, value)])),
+    };
+}
+
+/**
+ * Normalizes the "resurface" config block: good recipes (rated at least
+ * minRating, or favorites) that were not planned for afterDays get their
+ * selection weight multiplied by boost.
+ *
+ * @param {Object} [config] - Raw resurface config (absent = off)
+ * @returns {{afterDays: number, minRating: number, boost: number}|null}
+ * @throws {Error} If a value is out of range
+ */
+function resolveResurface(config) {
+    if (!config) return null;
+    const resurface = {
+        afterDays: config.afterDays ?? 60,
+        minRating: config.minRating ?? 4,
+        boost: config.boost ?? 2,
+    };
+    if (!Number.isInteger(resurface.afterDays) || resurface.afterDays < 1) {
+        throw new Error(`Invalid resurface afterDays: ${JSON.stringify(config.afterDays)} (expected whole days, at least 1)`);
+    }
+    if (typeof resurface.boost !== 'number' || resurface.boost < 1) {
+        throw new Error(`Invalid resurface boost: ${JSON.stringify(config.boost)} (expected a number of at least 1)`);
+    }
+    return resurface;
+}
+
+/**
+ * Gets a recipe's cooldown: the longest of its "cooldown:N" tags and the
+ * configured periods for the recipe and its tags.
+ *
+ * @param {Object} recipe - Slim recipe
+ * @param {Object} [cooldowns] - Resolved cooldowns config
+ * @returns {number} Days the recipe rests after being planned (0 = none)
+ *
+ * @example
+ * recipeCooldown({ tags: ['cooldown-30'] }, resolveCooldowns({})) // Returns 30
+ */
+function recipeCooldown(recipe, cooldowns = COOLDOWNS) {
+    const periods = [0];
+    for (const tag of recipe.tags || []) {
+        const match = tag.match(/^cooldown-(\d+)$/);
+        if (match) periods.push(Number(match[1]));
+        if (cooldowns.tags[tag] !== undefined) periods.push(cooldowns.tags[tag]);
+    }
+    for (const key of [recipe.id, recipe.slug, recipe.name]) {
+        const days = key ? cooldowns.recipes[String(key).toLowerCase()] : undefined;
+        if (days !== undefined) periods.push(days);
+    }
+    return Math.max(...periods);
+}
+
+/**
+ * Works out how many days of meal plan history to read: the widest no-repeat
+ * window, the longest cooldown and the resurfacing period.
+ *
+ * @param {number} widestWindow - Widest no-repeat window of the active slots
+ * @param {Array<Object>} recipes - Slim recipes
+ * @returns {number} Days to look back
+ */
+function historyLookback(widestWindow, recipes) {
+    return Math.max(widestWindow, ...recipes.map(recipe => recipeCooldown(recipe)), RESURFACE ? RESURFACE.afterDays : 0);
+}
+
+/**
+ * Collects the recipes still cooling down: planned within their cooldown
+ * before the start date (or, with an end date, also after it).
+ *
+ * @param {Array<Object>} entries - Meal plan entries of any slot
+ * @param {Map<string, Object>} recipesById - Slim recipes by ID
+ * @param {string} startDate - First date to plan (YYYY-MM-DD)
+ * @param {string|null} [endDate] - Last date to plan, when entries after it count too (reroll)
+ * @param {Object} [cooldowns] - Resolved cooldowns config
+ * @returns {Set<string>} Recipe IDs to avoid
+ */
+function cooldownIds(entries, recipesById, startDate, endDate = null, cooldowns = COOLDOWNS) {
+    const ids = new Set();
+    for (const entry of entries) {
+        const recipe = recipesById.get(entry.recipe?.id || entry.recipeId);
+        const days = recipe ? recipeCooldown(recipe, cooldowns) : 0;
+        if (days === 0 || entry.date < offsetDate(startDate, -days)) continue;
+        if (endDate !== null && entry.date > offsetDate(endDate, days)) continue;
+        ids.add(recipe.id);
+    }
+    return ids;
+}
+
+/**
+ * Records each recipe's last planned date (see LAST_PLANNED).
+ *
+ * @param {Array<Object>} entries - Meal plan entries before the planned range
+ */
+function rememberLastPlanned(entries) {
+    for (const entry of entries) {
+        const recipeId = entry.recipe?.id || entry.recipeId;
+        if (recipeId && !(LAST_PLANNED.get(recipeId) >= entry.date)) LAST_PLANNED.set(recipeId, entry.date);
+    }
+}
+
+/**
+ * Selection multiplier for resurfacing: good recipes not planned for
+ * afterDays before the start date (or not at all in the history read) get
+ * the boost.
+ *
+ * @param {Object} recipe - Slim recipe
+ * @param {Object|null} [resurface] - Resolved resurface config (null = off)
+ * @param {Map<string, string>} [lastPlanned] - Last planned date by recipe ID
+ * @param {string} [startDate] - First planned date (YYYY-MM-DD)
+ * @returns {number} Weight multiplier (1 = neutral)
+ */
+function resurfaceFactor(recipe, resurface = RESURFACE, lastPlanned = LAST_PLANNED, startDate = ACTION === 'reroll' ? args.date : START_DATE) {
+    if (!resurface) return 1;
+    if (!recipe.isFavorite && !((recipe.rating ?? 0) >= resurface.minRating)) return 1;
+    const last = lastPlanned.get(recipe.id);
+    if (last && daysBetween(last, startDate) < resurface.afterDays) return 1;
+    return resurface.boost;
+}
+
+/**
+ * Logs how many recipes are cooling down and how many would resurface.
+ *
+ * @param {Set<string>} resting - Recipe IDs cooling down
+ * @param {Array<Object>} recipes - Slim recipes
+ * @param {string} startDate - First planned date (YYYY-MM-DD)
+ */
+function logCooldowns(resting, recipes, startDate) {
+    if (resting.size > 0) {
+        const names = recipes.filter(recipe => resting.has(recipe.id)).map(recipe => recipe.name);
+        console.log(`[info] Cooling down: ${names.join(', ')}`);
+    }
+    if (RESURFACE) {
+        const count = recipes.filter(recipe => !resting.has(recipe.id) && resurfaceFactor(recipe, RESURFACE, LAST_PLANNED, startDate) > 1).length;
+        console.log(`[info] Resurfacing: ${count} good recipes not planned for ${RESURFACE.afterDays}+ days (x${RESURFACE.boost})`);
+    }
+}
+
+// ============================================================
+// RATING WEIGHTS
+// ============================================================
+
+/**
+ * Normalizes the "weighting" config block.
+ *
+ * @param {Object} [config] - Raw weighting config
+ * @param {string|number} [minRating] - Cutoff from --min-rating / MIN_RATING (overrides config)
+ * @returns {{curve: string, base: number, unratedAs: number, favoriteMultiplier: number, minRating: number|null}}
+ * @throws {Error} If the curve is unknown or the minimum rating isn't a number from 0 to 5
+ *
+ * @example
+ * resolveWeighting({ curve: 'exponential' }, '2')
+ * // Returns { curve: 'exponential', base: 2, unratedAs: 3, favoriteMultiplier: 2, minRating: 2 }
+ */
+function resolveWeighting(config = {}, minRating) {
+    const weighting = {
+        curve: 'linear',
+        base: 2,
+        unratedAs: 3,
+        favoriteMultiplier: 2,
+        ...config,
+    };
+    if (!WEIGHT_CURVES[weighting.curve]) {
+        throw new Error(`Unknown weighting curve "${weighting.curve}" (expected ${Object.keys(WEIGHT_CURVES).join(', ')})`);
+    }
+    const cutoff = minRating ?? config.minRating;
+    weighting.minRating = cutoff === undefined || cutoff === null || cutoff === '' ? null : Number(cutoff);
+    if (weighting.minRating !== null && !(Number.isFinite(weighting.minRating) && weighting.minRating >= 0 && weighting.minRating <= 5)) {
+        throw new Error(`Invalid minimum rating "${cutoff}" (expected a number from 0 to 5)`);
+    }
+    return weighting;
+}
+
+/**
+ * Computes a recipe's selection weight from its rating and favorite status,
+ * scaled by the household's likes and dislikes (see householdFactor).
+ *
+ * @param {Object} recipe - Slim recipe with rating and isFavorite
+ * @param {Object} [weighting] - Resolved weighting config
+ * @param {Object} [household] - Resolved household
+ * @returns {number} Positive weight
+ *
+ * @example
+ * recipeWeight({ rating: 5, isFavorite: true }, resolveWeighting()) // Returns 10
+ */
+function recipeWeight(recipe, weighting = WEIGHTING, household = HOUSEHOLD) {
+    const rating = recipe.rating ?? weighting.unratedAs;
+    const weight = WEIGHT_CURVES[weighting.curve](rating, weighting.base) * householdFactor(recipe, household);
+    return recipe.isFavorite ? weight * weighting.favoriteMultiplier : weight;
+}
+
+/**
+ * Checks a recipe against the minimum-rating cutoff. Unrated recipes pass.
+ *
+ * @param {Object} recipe - Slim recipe
+ * @param {number|null} minRating - Cutoff (null = none)
+ * @returns {boolean} True if the recipe may be planned
+ */
+function meetsMinRating(recipe, minRating) {
+    return minRating === null || recipe.rating === null || recipe.rating === undefined || recipe.rating >= minRating;
+}
+
+/**
+ * Picks one item at random, proportionally to its weight, using the seeded generator.
+ *
+ * @param {Array} items - Items to choose from
+ * @param {function(*): number} weightOf - Returns a non-negative weight per item
+ * @returns {*} The chosen item, or undefined if items is empty
+ */
+function weightedPick(items, weightOf) {
+    if (items.length === 0) return undefined;
+    const weights = items.map(item => Math.max(0, weightOf(item)));
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    if (total <= 0) return items[Math.floor(random() * items.length)];
+
+    let roll = random() * total;
+    for (let i = 0; i < items.length; i++) {
+        roll -= weights[i];
+        if (roll < 0) return items[i];
+    }
+    return items[items.length - 1];
+}
+
+// ============================================================
+// COOK-TIME HELPERS
+// ============================================================
+
+/**
+ * Parses a Mealie duration into minutes. Handles plain numbers (minutes),
+ * ISO 8601 durations ('PT1H30M') and text ('1 hour 30 minutes', '1h 30m').
+ *
+ * @param {string|number|null} value - Duration from Mealie
+ * @returns {number|null} Minutes, or null if missing or unparseable
+ *
+ * @example
+ * parseDurationMinutes('1 hour 30 minutes') // Returns 90
+ * parseDurationMinutes('PT45M')             // Returns 45
+ */
+function parseDurationMinutes(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+
+    const text = String(value).trim().toLowerCase();
+    if (/^\d+(\.\d+)?$/.test(text)) return parseFloat(text);
+
+    const iso = text.match(/^p(?:(\d+)d)?t?(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/);
+    if (iso && text !== 'p') {
+        const [, d = 0, h = 0, m = 0] = iso;
+        return Number(d) * 1440 + Number(h) * 60 + Number(m);
+    }
+
+    let minutes = 0;
+    let matched = false;
+    for (const [, amount, unit] of text.matchAll(/(\d+(?:\.\d+)?)\s*(days?|d|hours?|hrs?|h|minutes?|mins?|m)\b/g)) {
+        matched = true;
+        if (unit.startsWith('d')) minutes += parseFloat(amount) * 1440;
+        else if (unit.startsWith('h')) minutes += parseFloat(amount) * 60;
+        else minutes += parseFloat(amount);
+    }
+    return matched ? Math.round(minutes) : null;
+}
+
+/**
+ * Returns a recipe's cook time in minutes, counting unknown times as 0.
+ * For checking time budgets use budgetMinutes instead.
+ *
+ * @param {Object} recipe - Slim recipe
+ * @returns {number} Total minutes
+ */
+function recipeMinutes(recipe) {
+    return recipe.totalMinutes ?? 0;
+}
+
+/**
+ * Returns the cook time a recipe counts for against a time budget. A recipe
+ * without a time counts as the slot's "untimedMinutes" (see
+ * DEFAULT_UNTIMED_MINUTES); with that set to null it fits no budget.
+ *
+ * @param {Object} recipe - Slim recipe
+ * @param {number|null} [untimedMinutes] - Minutes assumed for recipes without a time (null = never fits)
+ * @returns {number} Minutes (Infinity if unknown)
+ */
+function budgetMinutes(recipe, untimedMinutes = null) {
+    return recipe.totalMinutes ?? untimedMinutes ?? Infinity;
+}
+
+/**
+ * Describes a meal's cook time the way time budgets count it: recipes
+ * without a time count as untimedMinutes, or make the time unknown.
+ *
+ * @param {Array<Object>} recipes - Slim recipes of the meal
+ * @param {number|null} untimedMinutes - Minutes assumed for recipes without a time (null = unknown)
+ * @returns {string} e.g. '70 min (1 without a time, counted as 30 min)'
+ *
+ * @example
+ * mealTimeLabel([{ totalMinutes: 40 }], 30) // Returns '40 min'
+ * mealTimeLabel([{ totalMinutes: null }], null) // Returns 'unknown (1 without a time)'
+ */
+function mealTimeLabel(recipes, untimedMinutes) {
+    const untimed = recipes.filter(recipe => recipe.totalMinutes === null || recipe.totalMinutes === undefined).length;
+    if (untimed === 0) return `${recipes.reduce((sum, recipe) => sum + recipe.totalMinutes, 0)} min`;
+    if (untimedMinutes === null) return `unknown (${untimed} without a time)`;
+    const minutes = recipes.reduce((sum, recipe) => sum + budgetMinutes(recipe, untimedMinutes), 0);
+    return `${minutes} min (${untimed} without a time, counted as ${untimedMinutes} min)`;
+}
+
+/**
+ * Checks a cook time against a budget.
+ *
+ * @param {number} minutes - Cook time in minutes
+ * @param {number|null} [maxMinutes] - Budget (null/undefined = unlimited)
+ * @returns {boolean} True if within budget
+ */
+function fitsTimeBudget(minutes, maxMinutes) {
+    return maxMinutes === null || maxMinutes === undefined || minutes <= maxMinutes;
+}
+
+/**
+ * Expands a time budget map into one entry per weekday. Keys are weekdays
+ * ('mon') or ranges ('mon-thu'); values are minutes, or null for unlimited.
+ *
+ * @param {Object} [budgets] - Raw budget map from the config file
+ * @returns {Object} Map of weekday key -> minutes (unlisted days are unlimited)
+ * @throws {Error} If a key isn't a weekday or weekday range
+ *
+ * @example
+ * resolveTimeBudgets({ 'mon-thu': 40, sat: null })
+ * // Returns { mon: 40, tue: 40, wed: 40, thu: 40, sat: null }
+ */
+function resolveTimeBudgets(budgets = {}) {
+    const resolved = {};
+    for (const [key, value] of Object.entries(budgets)) {
+        const [from, to = from] = key.toLowerCase().split('-').map(day => day.trim().slice(0, 3));
+        const start = WEEKDAYS.indexOf(from);
+        const end = WEEKDAYS.indexOf(to);
+        if (start === -1 || end === -1) {
+            throw new Error(`Invalid time budget day "${key}" (use e.g. "mon" or "mon-thu")`);
+        }
+        const minutes = value === null ? null : parseDurationMinutes(value);
+        for (let i = start; ; i = (i + 1) % 7) {
+            resolved[WEEKDAYS[i]] = minutes;
+            if (i === end) break;
+        }
+    }
+    return resolved;
+}
+
+/**
+ * Looks up a slot's cook-time budget for a date.
+ *
+ * @param {Object} slot - Slot definition (with resolved timeBudgets)
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @returns {number|null} Minutes, or null if unlimited
+ */
+function timeBudgetFor(slot, date) {
+    return slot.timeBudgets?.[weekdayOf(date)] ?? null;
+}
+
+// ============================================================
+// NUTRITION
+// ============================================================
+
+/**
+ * Reads a recipe's nutrition block into numbers. Values like "600 kcal"
+ * or "1,200" are accepted; anything unreadable becomes null.
+ *
+ * @param {Object} [block] - Mealie nutrition block
+ * @returns {Object|null} Values keyed like NUTRIENTS, or null if there is no data at all
+ *
+ * @example
+ * parseNutrition({ calories: '600 kcal', proteinContent: '30' })
+ * // Returns { calories: 600, protein: 30, carbs: null, fiber: null, sodium: null }
+ */
+function parseNutrition(block) {
+    if (!block || typeof block !== 'object') return null;
+    const values = {};
+    for (const [key, [field]] of Object.entries(NUTRIENTS)) {
+        const match = String(block[field] ?? '').replace(/,/g, '').match(/-?\d+(\.\d+)?/);
+        values[key] = match ? Number(match[0]) : null;
+    }
+    return Object.values(values).some(value => value !== null) ? values : null;
+}
+
+/**
+ * Normalizes the "nutrition" config block. Ranges can be [min, max] or
+ * { min, max }; either bound may be left out.
+ *
+ * @param {Object} [config] - Raw nutrition config
+ * @param {Object} [config.daily] - Ranges per day (the nutrition slots added up)
+ * @param {Object} [config.weekly] - Ranges per week (Mon-Sun)
+ * @param {Array<string>} [config.slots] - Slots counted toward the targets (default: dinner)
+ * @param {number} [config.samples] - Candidate meals compared per day (default: 8)
+ * @returns {{slots: Array<string>, daily: Object, weekly: Object, samples: number}}
+ * @throws {Error} If an unknown nutrient or an invalid range is given
+ *
+ * @example
+ * resolveNutrition({ daily: { calories: [500, 800], sodium: { max: 1000 } } })
+ * // Returns { slots: ['dinner'], daily: { calories: { min: 500, max: 800 }, sodium: { min: null, max: 1000 } }, weekly: {}, samples: 8 }
+ */
+function resolveNutrition(config = {}) {
+    const ranges = (block = {}, period) => Object.fromEntries(Object.entries(block).map(([key, range]) => {
+        if (!NUTRIENTS[key]) {
+            throw new Error(`Unknown nutrient "${key}" in ${period} targets (expected ${Object.keys(NUTRIENTS).join(', ')})`);
+        }
+        const [min, max] = Array.isArray(range) ? range : [range?.min, range?.max];
+        const bound = value => (value === undefined || value === null ? null : Number(value));
+        const resolved = { min: bound(min), max: bound(max) };
+        if ([resolved.min, resolved.max].some(value => value !== null && !Number.isFinite(value)) ||
+            (resolved.min !== null && resolved.max !== null && resolved.min > resolved.max)) {
+            throw new Error(`Invalid ${period} range for ${key}: ${JSON.stringify(range)}`);
+        }
+        return [key, resolved];
+    }));
+    return {
+        slots: config.slots || ['dinner'],
+        daily: ranges(config.daily, 'daily'),
+        weekly: ranges(config.weekly, 'weekly'),
+        samples: config.samples ?? 8,
+    };
+}
+
+/**
+ * Checks whether any nutrition range is configured.
+ *
+ * @param {Object} nutrition - Resolved nutrition config
+ * @returns {boolean} True if there are daily or weekly ranges
+ */
+function hasNutritionTargets(nutrition) {
+    return Object.keys(nutrition.daily).length > 0 || Object.keys(nutrition.weekly).length > 0;
+}
+
+/**
+ * Each nutrition slot's share of the ranges when slots are planned one at a
+ * time (two nutrition slots => each aims for half).
+ *
+ * @param {Object} nutrition - Resolved nutrition config
+ * @param {Array<Object>} slots - Active slot definitions
+ * @returns {number} Share between 0 and 1
+ */
+function nutritionShare(nutrition, slots) {
+    const counted = slots.filter(slot => nutrition.slots.includes(slot.name)).length;
+    return counted > 0 ? 1 / counted : 1;
+}
+
+/**
+ * Scales every bound of a set of ranges.
+ *
+ * @param {Object} ranges - Ranges by nutrient
+ * @param {number} factor - Scale factor
+ * @returns {Object} Scaled ranges
+ */
+function scaleRanges(ranges, factor) {
+    const scale = value => (value === null ? null : value * factor);
+    return Object.fromEntries(Object.entries(ranges).map(([key, range]) => [key, { min: scale(range.min), max: scale(range.max) }]));
+}
+
+/**
+ * Adds up the nutrition of several recipes. A nutrient is null when no
+ * recipe has it, and marked incomplete when only some recipes do.
+ *
+ * @param {Array<Object>} recipes - Slim recipes with nutrition
+ * @returns {{totals: Object, complete: Object}} Totals and completeness by nutrient
+ */
+function sumNutrition(recipes) {
+    const totals = {};
+    const complete = {};
+    for (const key of Object.keys(NUTRIENTS)) {
+        const values = recipes.map(recipe => recipe?.nutrition?.[key] ?? null);
+        const known = values.filter(value => value !== null);
+        totals[key] = known.length > 0 ? known.reduce((sum, value) => sum + value, 0) : null;
+        complete[key] = known.length === values.length && values.length > 0;
+    }
+    return { totals, complete };
+}
+
+/**
+ * Measures how far nutrition totals fall outside their ranges, relative to
+ * each bound (10% over the maximum => 0.1). Unknown values cost nothing, and
+ * incomplete totals are only checked against the maximum, since the missing
+ * recipes can only add to them.
+ *
+ * @param {{totals: Object, complete: Object}} sum - Result of sumNutrition
+ * @param {Object} ranges - Ranges by nutrient
+ * @returns {number} Total relative deviation (0 when everything is in range)
+ *
+ * @example
+ * nutritionPenalty({ totals: { calories: 1100 }, complete: { calories: true } }, { calories: { min: 500, max: 1000 } })
+ * // Returns 0.1
+ */
+function nutritionPenalty(sum, ranges) {
+    let penalty = 0;
+    for (const [key, { min, max }] of Object.entries(ranges)) {
+        const value = sum.totals[key];
+        if (value === null || value === undefined) continue;
+        if (max !== null && value > max) penalty += (value - max) / Math.max(max, 1);
+        if (min !== null && value < min && sum.complete[key]) penalty += (min - value) / Math.max(min, 1);
+    }
+    return penalty;
+}
+
+/**
+ * Penalty for a single meal: the slot's share of the daily ranges plus a
+ * seventh of the weekly ones.
+ *
+ * @param {Array<Object>} recipes - Slim recipes of the meal
+ * @param {Object} nutrition - Resolved nutrition config
+ * @param {number} [share=1] - The slot's share of the ranges
+ * @returns {number} Relative deviation
+ */
+function mealNutritionPenalty(recipes, nutrition, share = 1) {
+    const sum = sumNutrition(recipes);
+    return nutritionPenalty(sum, scaleRanges(nutrition.daily, share)) +
+        nutritionPenalty(sum, scaleRanges(nutrition.weekly, share / 7));
+}
+
+/**
+ * Penalty for a whole plan: every day against the daily ranges, and every
+ * week (Mon-Sun) against the weekly ranges, scaled for partial weeks.
+ *
+ * @param {Map<string, Array<Object>>} plan - Slim recipes by date
+ * @param {Object} nutrition - Resolved nutrition config
+ * @param {number} [share=1] - The slot's share of the ranges
+ * @returns {number} Relative deviation
+ */
+function planNutritionPenalty(plan, nutrition, share = 1) {
+    let penalty = 0;
+    const daily = scaleRanges(nutrition.daily, share);
+    for (const recipes of plan.values()) penalty += nutritionPenalty(sumNutrition(recipes), daily);
+
+    for (const days of groupByWeek([...plan.keys()]).values()) {
+        const sum = sumNutrition(days.flatMap(date => plan.get(date)));
+        penalty += nutritionPenalty(sum, scaleRanges(nutrition.weekly, share * days.length / 7));
+    }
+    return penalty;
+}
+
+/**
+ * Formats nutrition totals for the log, flagging values outside the ranges
+ * and marking unknown (?) or partly known (~) values.
+ *
+ * @param {{totals: Object, complete: Object}} sum - Result of sumNutrition
+ * @param {Object} [ranges] - Ranges by nutrient
+ * @returns {string} e.g. "650 kcal, 32 g protein (below 35), ~60 g carbs, ? g fiber, 900 mg sodium"
+ */
+function formatNutrition(sum, ranges = {}) {
+    return Object.entries(NUTRIENTS).map(([key, [, unit, label]]) => {
+        const value = sum.totals[key];
+        if (value === null) return `? ${unit === 'kcal' ? 'kcal' : `${unit} ${label}`}`;
+        const text = `${sum.complete[key] ? '' : '~'}${Math.round(value)} ${unit === 'kcal' ? 'kcal' : `${unit} ${label}`}`;
+        const range = ranges[key];
+        if (range?.max !== null && range?.max !== undefined && value > range.max) return `${text} (above ${Math.round(range.max)})`;
+        if (range?.min !== null && range?.min !== undefined && value < range.min) return `${text} (below ${Math.round(range.min)})`;
+        return text;
+    }).join(', ');
+}
+
+/**
+ * Groups dates by their week (keyed by the week's Monday).
+ *
+ * @param {Array<string>} dates - Dates (YYYY-MM-DD)
+ * @returns {Map<string, Array<string>>} Dates by Monday
+ */
+function groupByWeek(dates) {
+    const weeks = new Map();
+    for (const date of [...dates].sort()) {
+        const monday = weekOf(date)[0];
+        weeks.set(monday, [...(weeks.get(monday) || []), date]);
+    }
+    return weeks;
+}
+
+// ============================================================
+// COSTS AND BUDGET
+// ============================================================
+
+/**
+ * Normalizes the price table. It maps a food or ingredient keyword to either
+ * a cost per item, or an object of costs per unit. The config may also give
+ * the path of a JSON file holding the table.
+ *
+ * @param {Object|string} [config] - Price table, or path to a JSON file with one
+ * @returns {Object} Prices by lowercase keyword (numbers, or unit -> cost objects)
+ * @throws {Error} If the file can't be read or a price isn't a number
+ *
+ * @example
+ * resolvePrices({ Chicken: { Pounds: 4.5 }, tortilla: 0.15 })
+ * // Returns { chicken: { pound: 4.5 }, tortilla: 0.15 }
+ */
+function resolvePrices(config = {}) {
+    const table = typeof config === 'string' ? loadConfig(config) : config;
+    const price = (value, key) => {
+        const number = Number(value);
+        if (!Number.isFinite(number) || number < 0) throw new Error(`Invalid price for ${key}: ${JSON.stringify(value)}`);
+        return number;
+    };
+    return Object.fromEntries(Object.entries(table).map(([keyword, value]) => {
+        const key = keyword.trim().toLowerCase();
+        if (value && typeof value === 'object') {
+            return [key, Object.fromEntries(Object.entries(value).map(([unit, cost]) => [normalizeUnit(unit), price(cost, key)]))];
+        }
+        return [key, price(value, key)];
+    }));
+}
+
+/**
+ * Normalizes the "budget" config block.
+ *
+ * @param {Object} [config] - Raw budget config
+ * @param {string|number} [weekly] - Weekly cap from --budget / BUDGET (overrides config.weekly)
+ * @returns {{weekly: number|null, servings: number|null, currency: string}}
+ * @throws {Error} If the cap isn't a positive number
+ *
+ * @example
+ * resolveBudget({ servings: 4 }, '120') // Returns { weekly: 120, servings: 4, currency: '$' }
+ */
+function resolveBudget(config = {}, weekly) {
+    const cap = weekly ?? config.weekly;
+    const amount = cap === undefined || cap === null || cap === '' ? null : Number(cap);
+    if (amount !== null && (!Number.isFinite(amount) || amount <= 0)) {
+        throw new Error(`Invalid budget "${cap}" (expected an amount > 0)`);
+    }
+    return {
+        weekly: amount,
+        servings: config.servings ?? null,
+        currency: config.currency ?? '$',
+    };
+}
+
+/**
+ * Normalizes a unit name for price lookups: lowercase, no trailing dot or plural "s".
+ *
+ * @param {string} [unit] - Unit name
+ * @returns {string} Normalized unit ('' for none)
+ *
+ * @example
+ * normalizeUnit('Cups')  // Returns 'cup'
+ * normalizeUnit('lbs.')  // Returns 'lb'
+ */
+function normalizeUnit(unit) {
+    const name = String(unit || '').trim().toLowerCase().replace(/\.$/, '');
+    return name.length > 2 && name.endsWith('s') && !name.endsWith('ss') ? name.slice(0, -1) : name;
+}
+
+/**
+ * Works out how many servings a recipe makes.
+ *
+ * @param {Object} recipe - Recipe object from the Mealie API
+ * @returns {number|null} Servings, or null if unknown
+ *
+ * @example
+ * recipeServings({ recipeYield: '4 servings' }) // Returns 4
+ */
+function recipeServings(recipe) {
+    if (Number(recipe.recipeServings) > 0) return Number(recipe.recipeServings);
+    const match = String(recipe.recipeYield ?? '').match(/\d+(\.\d+)?/);
+    return match && Number(match[0]) > 0 ? Number(match[0]) : null;
+}
+
+/**
+ * Finds the price entry for an ingredient name. The longest matching keyword
+ * wins, so "ground beef" beats "beef".
+ *
+ * @param {string} name - Food name or ingredient text
+ * @param {Object} prices - Resolved price table
+ * @returns {number|Object|null} Price entry, or null if none matches
+ */
+function findPrice(name, prices) {
+    const matches = Object.keys(prices).filter(keyword => matchesKeyword(name, keyword));
+    if (matches.length === 0) return null;
+    return prices[matches.sort((a, b) => b.length - a.length)[0]];
+}
+
+/**
+ * Estimates the cost of one ingredient line.
+ *
+ * @param {Object} ingredient - Mealie recipe ingredient
+ * @param {Object} prices - Resolved price table
+ * @param {number} [scale=1] - Quantity multiplier (servings scaling)
+ * @returns {number|null} Cost, or null if the ingredient has no price
+ */
+function ingredientCost(ingredient, prices, scale = 1) {
+    const name = ingredient.food?.name || ingredient.note || ingredient.display || '';
+    const entry = findPrice(name, prices);
+    if (entry === null) return null;
+
+    const quantity = (Number(ingredient.quantity) || 1) * scale;
+    if (typeof entry === 'number') return entry * quantity;
+
+    const unitCost = entry[normalizeUnit(ingredient.unit?.name)];
+    return unitCost === undefined ? null : unitCost * quantity;
+}
+
+/**
+ * Estimates a recipe's cost from its ingredients, scaled to the configured
+ * number of servings when both that and the recipe's servings are known.
+ *
+ * @param {Object} recipe - Recipe object from the Mealie API
+ * @param {Object} prices - Resolved price table
+ * @param {number|null} [servings] - Servings to cook (null = as written)
+ * @returns {{total: number, unpriced: Array<string>}|null} Cost and the ingredients without a price,
+ *   or null if there is no price table or no ingredient data
+ */
+function estimateRecipeCost(recipe, prices, servings = null) {
+    if (Object.keys(prices).length === 0 || !Array.isArray(recipe.recipeIngredient)) return null;
+    const written = recipeServings(recipe);
+    const scale = servings && written ? servings / written : 1;
+
+    let total = 0;
+    const unpriced = [];
+    for (const ingredient of recipe.recipeIngredient) {
+        const cost = ingredientCost(ingredient, prices, scale);
+        if (cost === null) {
+            const name = ingredient.food?.name || ingredient.note || ingredient.display;
+            if (name) unpriced.push(name);
+        } else {
+            total += cost;
+        }
+    }
+    return { total, unpriced };
+}
+
+/**
+ * A recipe's estimated cost (0 when unknown, so it is never ruled out).
+ *
+ * @param {Object} recipe - Slim recipe
+ * @returns {number} Cost
+ */
+function recipeCost(recipe) {
+    return recipe?.cost?.total ?? 0;
+}
+
+/**
+ * Adds up the cost of a meal.
+ *
+ * @param {Array<Object>} recipes - Slim recipes
+ * @returns {{total: number, partial: boolean}} Cost, and whether some of it is unknown
+ */
+function mealCost(recipes) {
+    return {
+        total: recipes.reduce((sum, recipe) => sum + recipeCost(recipe), 0),
+        partial: recipes.some(recipe => !recipe.cost || recipe.cost.unpriced.length > 0),
+    };
+}
+
+/**
+ * Formats an amount in the configured currency.
+ *
+ * @param {number} amount - Amount
+ * @returns {string} e.g. "$12.40"
+ */
+function formatCost(amount) {
+    return `${BUDGET.currency}${amount.toFixed(2)}`;
+}
+
+/**
+ * Formats a meal's cost, marking estimates that miss some prices with "~".
+ *
+ * @param {{total: number, partial: boolean}} cost - Result of mealCost
+ * @returns {string} e.g. "~$9.80"
+ */
+function formatMealCost(cost) {
+    return `${cost.partial ? '~' : ''}${formatCost(cost.total)}`;
+}
+
+/**
+ * Starts tracking spending against the weekly budget. Entries kept in the
+ * range are already spent; every meal still to plan shares what is left.
+ *
+ * @param {number|null} cap - Weekly budget (null = no budget)
+ * @param {Array<{date: string, recipeId: string}>} keptMenu - Kept recipes in the range
+ * @param {Array<{date: string}>} tasks - Meals still to plan
+ * @param {Map<string, Object>} recipesById - Slim recipes by ID
+ * @returns {{cap: number, spent: Map<string, number>, pending: Map<string, number>}|null} Tracker (null = no budget)
+ */
+function createBudgetTracker(cap, keptMenu, tasks, recipesById) {
+    if (cap === null) return null;
+    const spent = new Map();
+    const pending = new Map();
+    for (const { date, recipeId } of keptMenu) {
+        const week = weekOf(date)[0];
+        spent.set(week, (spent.get(week) || 0) + recipeCost(recipesById.get(recipeId)));
+    }
+    for (const { date } of tasks) {
+        const week = weekOf(date)[0];
+        pending.set(week, (pending.get(week) || 0) + 1);
+    }
+    return { cap, spent, pending };
+}
+
+/**
+ * Copies a budget tracker so planning on the copy leaves the original alone.
+ *
+ * @param {Object|null} tracker - Budget tracker
+ * @returns {Object|null} Independent copy
+ */
+function copyBudgetTracker(tracker) {
+    return tracker && { cap: tracker.cap, spent: new Map(tracker.spent), pending: new Map(tracker.pending) };
+}
+
+/**
+ * The budget allowance for the next meal of a week: what is left, split
+ * evenly across the meals of the week still to plan.
+ *
+ * @param {Object|null} tracker - Budget tracker
+ * @param {string} date - Date of the meal (YYYY-MM-DD)
+ * @returns {number|null} Allowance (null = no budget)
+ */
+function budgetAllowance(tracker, date) {
+    if (!tracker) return null;
+    const week = weekOf(date)[0];
+    const left = Math.max(0, tracker.cap - (tracker.spent.get(week) || 0));
+    return left / Math.max(1, tracker.pending.get(week) || 0);
+}
+
+/**
+ * Records a planned meal's cost and marks it as no longer pending.
+ *
+ * @param {Object|null} tracker - Budget tracker (mutated)
+ * @param {string} date - Date of the meal (YYYY-MM-DD)
+ * @param {number} cost - Meal cost (0 if nothing was planned)
+ */
+function recordSpend(tracker, date, cost) {
+    if (!tracker) return;
+    const week = weekOf(date)[0];
+    tracker.spent.set(week, (tracker.spent.get(week) || 0) + cost);
+    tracker.pending.set(week, Math.max(0, (tracker.pending.get(week) || 0) - 1));
+}
+
+/**
+ * Splits what is left of each week's budget between a slot's dates and the
+ * meals of other slots still pending that week.
+ *
+ * @param {Object|null} tracker - Budget tracker
+ * @param {Array<string>} dates - The slot's dates to plan
+ * @returns {Map<string, number>|null} Budget available to the slot by week (null = no budget)
+ */
+function slotBudgetShares(tracker, dates) {
+    if (!tracker) return null;
+    const shares = new Map();
+    for (const [week, days] of groupByWeek(dates)) {
+        const left = Math.max(0, tracker.cap - (tracker.spent.get(week) || 0));
+        shares.set(week, left * days.length / Math.max(days.length, tracker.pending.get(week) || 0));
+    }
+    return shares;
+}
+
+/**
+ * Penalty for a meal over its allowance: 10 plus the relative overrun, so
+ * any meal within the allowance beats every meal over it.
+ *
+ * @param {number} cost - Meal cost
+ * @param {number|null} maxCost - Allowance (null = no budget)
+ * @returns {number} Penalty (0 within the allowance)
+ */
+function budgetPenalty(cost, maxCost) {
+    if (maxCost === null || cost <= maxCost) return 0;
+    return 10 + (cost - maxCost) / Math.max(maxCost, 1);
+}
+
+/**
+ * Measures how far a plan goes over the budget available in each week.
+ *
+ * @param {Map<string, Array<Object>>} plan - Slim recipes by date
+ * @param {Map<string, number>} budgetLeft - Budget available by week (Monday)
+ * @returns {number} Sum of weekly overruns as a share of the available budget
+ */
+function planBudgetOverrun(plan, budgetLeft) {
+    let overrun = 0;
+    for (const [week, days] of groupByWeek([...plan.keys()])) {
+        const cost = days.reduce((sum, date) => sum + mealCost(plan.get(date)).total, 0);
+        const left = budgetLeft.get(week) ?? 0;
+        if (cost > left) overrun += (cost - left) / Math.max(left, 1);
+    }
+    return overrun;
+}
+
+// ============================================================
+// MEAL SLOT HELPERS
+// ============================================================
+
+/**
+ * Resolves which meal slots to plan and merges their definitions.
+ * Slot names come from --slots / SLOTS, else from the config file's
+ * "slots" keys, else just dinner.
+ *
+ * @param {string} [slotList] - Comma-separated slot names (e.g. 'breakfast,dinner')
+ * @param {Object} [configSlots] - Per-slot overrides from the config file
+ * @param {number} defaultNoRepeat - No-repeat window for slots that don't set one
+ * @param {string|Array<string>} [defaultNoRepeatTypes] - Entry types counting toward no-repeat
+ *   for slots that don't set noRepeatEntryTypes (default: the slot's own)
+ * @returns {Array<Object>} Slot definitions in planning order
+ * @throws {Error} If a slot name has no definition
+ *
+ * @example
+ * resolveSlots('breakfast,dinner', {}, 5)
+ * // Returns [{ name: 'breakfast', entryType: 'breakfast', ... }, { name: 'dinner', ... }]
+ */
+function resolveSlots(slotList, configSlots = {}, defaultNoRepeat = 5, defaultNoRepeatTypes = null) {
+    const names = slotList
+        ? slotList.split(',').map(name => name.trim().toLowerCase()).filter(Boolean)
+        : (Object.keys(configSlots).length > 0 ? Object.keys(configSlots) : ['dinner']);
+
+    return names.map(name => {
+        const base = DEFAULT_SLOTS[name];
+        const override = configSlots[name];
+        if (!base && !override) {
+            throw new Error(`Unknown meal slot "${name}" (define it under "slots" in the config file)`);
+        }
+        const slot = {
+            name,
+            entryType: name,
+            categories: [name],
+            roles: ['protein', 'starch', 'veg'],
+            minRoles: 2,
+            allowUncategorized: false,
+            ...base,
+            ...override,
+        };
+        slot.noRepeatDays = parseInt(slot.noRepeatDays ?? defaultNoRepeat, 10);
+        slot.noRepeatEntryTypes = resolveNoRepeatEntryTypes(slot.noRepeatEntryTypes ?? defaultNoRepeatTypes, slot.entryType);
+        slot.categories = slot.categories.map(category => category.toLowerCase());
+        if (slot.weekdays) slot.weekdays = slot.weekdays.map(day => day.toLowerCase().slice(0, 3));
+        slot.timeBudgets = resolveTimeBudgets(slot.timeBudgets);
+        slot.untimedMinutes = slot.untimedMinutes === undefined
+            ? DEFAULT_UNTIMED_MINUTES
+            : (slot.untimedMinutes === null ? null : parseDurationMinutes(slot.untimedMinutes));
+        if (slot.time !== undefined && !/^([01]\d|2[0-3]):[0-5]\d$/.test(slot.time)) {
+            throw new Error(`Invalid time "${slot.time}" for slot "${name}" (expected HH:MM)`);
+        }
+        return slot;
+    });
+}
+
+/**
+ * Resolves the entry types whose meals count toward a slot's no-repeat
+ * window. The slot's own entry type always counts; 'all' counts every type.
+ *
+ * @param {string|Array<string>|null} value - Comma-separated list or array of entry types
+ * @param {string} entryType - The slot's own entry type
+ * @returns {Array<string>} Lowercase entry types, or ['all']
+ *
+ * @example
+ * resolveNoRepeatEntryTypes('lunch, dinner', 'dinner') // Returns ['dinner', 'lunch']
+ */
+function resolveNoRepeatEntryTypes(value, entryType) {
+    const types = (Array.isArray(value) ? value : String(value || '').split(','))
+        .map(type => String(type).trim().toLowerCase())
+        .filter(Boolean);
+    if (types.includes('all')) return ['all'];
+    return [...new Set([entryType, ...types])];
+}
+
+/**
+ * Checks whether a meal plan entry counts toward a slot's no-repeat window.
+ *
+ * @param {{entryType: string}} entry - Meal plan entry (or another slot)
+ * @param {Object} slot - Slot definition
+ * @returns {boolean} True if the entry's type is one the slot counts
+ */
+function countsTowardNoRepeat(entry, slot) {
+    return slot.noRepeatEntryTypes.includes('all') || slot.noRepeatEntryTypes.includes(entry.entryType);
+}
+
+/**
+ * Indexes recipes by name so title-only meal plan entries ("Beef Tacos"
+ * typed in by hand) can be matched to a recipe. Names compare like tags.
+ *
+ * @param {Array<Object>} recipes - Slim recipes
+ * @returns {Map<string, string>} Recipe ID by normalized name
+ */
+function recipeNameIndex(recipes) {
+    const index = new Map();
+    for (const recipe of recipes) {
+        const key = normalizeTag(recipe.name);
+        if (key && !index.has(key)) index.set(key, recipe.id);
+    }
+    return index;
+}
+
+/**
+ * Returns the recipe a meal plan entry stands for: its linked recipe, else
+ * the recipe whose name matches the entry's title.
+ *
+ * @param {Object} entry - Meal plan entry
+ * @param {Map<string, string>} [recipeIdsByName] - Index from recipeNameIndex
+ * @returns {string|null} Recipe ID, or null for notes that match no recipe
+ */
+function entryRecipeId(entry, recipeIdsByName = new Map()) {
+    return entry.recipe?.id || entry.recipeId || recipeIdsByName.get(normalizeTag(entry.title)) || null;
+}
+
+/**
+ * Checks whether a recipe belongs in a slot's pool, based on its categories.
+ *
+ * @param {Object} recipe - Slim recipe with categories array
+ * @param {Object} slot - Slot definition
+ * @returns {boolean} True if the recipe may be planned in this slot
+ */
+function recipeFitsSlot(recipe, slot) {
+    const categories = recipe.categories || [];
+    if (categories.length === 0) return !!slot.allowUncategorized;
+    return categories.some(category =>
+        slot.categories.includes(category) || slot.categories.includes(category.replace(/s$/, ''))
+    );
+}
+
+/**
+ * Builds the role pools for one slot. Roles the slot doesn't require get
+ * an empty pool, and the complete pool holds recipes covering every required role.
+ *
+ * @param {Array} recipes - Slim recipes already filtered for the slot
+ * @param {Object} slot - Slot definition
+ * @returns {{completePool: Array, proteinPool: Array, starchPool: Array, vegPool: Array, dinnerOnly: Array}}
+ */
+function buildPools(recipes, slot) {
+    const wants = role => slot.roles.includes(role);
+    const poolFor = role => wants(role) ? recipes.filter(recipe => recipe.roles.has(ROLE_TAGS[role])) : [];
+    return {
+        completePool: recipes.filter(recipe => slot.roles.every(role => recipe.roles.has(ROLE_TAGS[role]))),
+        proteinPool:  poolFor('protein'),
+        starchPool:   poolFor('starch'),
+        vegPool:      poolFor('veg'),
+        dinnerOnly:   recipes.filter(recipe => recipe.isDinner),
+    };
+}
+
+/**
+ * Collects recipe IDs from existing meal plan entries that fall inside a
+ * slot's no-repeat window and have an entry type the slot counts.
+ * Title-only entries count when their title matches a recipe name.
+ *
+ * @param {Array} entries - Meal plan entries from Mealie
+ * @param {Object} slot - Slot definition
+ * @param {string} startDate - First planned date (YYYY-MM-DD)
+ * @param {Map<string, string>} [recipeIdsByName] - Index from recipeNameIndex
+ * @returns {Set<string>} Recipe IDs to avoid for this slot
+ */
+function recentRecipeIdsForSlot(entries, slot, startDate, recipeIdsByName = new Map()) {
+    const windowStart = offsetDate(startDate, -slot.noRepeatDays);
+    return new Set(
+        entries
+            .filter(entry => countsTowardNoRepeat(entry, slot))
+            .filter(entry => !entry.date || entry.date >= windowStart)
+            .map(entry => entryRecipeId(entry, recipeIdsByName))
+            .filter(Boolean)
+    );
+}
+
+/**
+ * Finds the existing meal plan entries for a slot on a given date.
+ *
+ * @param {Array} entries - Meal plan entries from Mealie
+ * @param {Object} slot - Slot definition
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @returns {Array} Entries with the slot's entry type on that date
+ */
+function existingEntriesFor(entries, slot, date) {
+    return entries.filter(entry => entry.date === date && entry.entryType === slot.entryType);
+}
+
+/**
+ * Decides what to do with a slot on a date given the planning mode.
+ *
+ * @param {string} mode - 'fill', 'replace' or 'append'
+ * @param {Array} existing - Entries already planned for the slot on that date
+ * @returns {string} 'plan' (nothing there yet), 'skip', 'replace' or 'append'
+ *
+ * @example
+ * resolveDateAction('fill', [])        // Returns 'plan'
+ * resolveDateAction('fill', [entry])   // Returns 'skip'
+ */
+function resolveDateAction(mode, existing) {
+    if (existing.length === 0) return 'plan';
+    if (mode === 'replace') return 'replace';
+    if (mode === 'append') return 'append';
+    return 'skip';
+}
+
+/**
+ * Checks whether a meal plan entry was created by this planner.
+ *
+ * @param {Object} entry - Meal plan entry
+ * @returns {boolean} True if the entry carries the planner note
+ */
+function isPlannerEntry(entry) {
+    return entry.text === PLANNER_NOTE;
+}
+
+/**
+ * Collects the recipe IDs a re-roll must avoid: everything of the types the
+ * slot counts within its no-repeat window on either side of the date, plus
+ * the date's current picks so the re-roll actually changes something.
+ *
+ * @param {Array} entries - Meal plan entries around the date
+ * @param {Object} slot - Slot definition
+ * @param {string} date - Date being re-rolled (YYYY-MM-DD)
+ * @param {Map<string, string>} [recipeIdsByName] - Index from recipeNameIndex
+ * @returns {Set<string>} Recipe IDs to avoid
+ */
+function rerollAvoidIds(entries, slot, date, recipeIdsByName = new Map()) {
+    const windowStart = offsetDate(date, -slot.noRepeatDays);
+    const windowEnd = offsetDate(date, slot.noRepeatDays);
+    return new Set(
+        entries
+            .filter(entry => countsTowardNoRepeat(entry, slot))
+            .filter(entry => entry.date >= windowStart && entry.date <= windowEnd)
+            .map(entry => entryRecipeId(entry, recipeIdsByName))
+            .filter(Boolean)
+    );
+}
+
+/**
+ * Formats meal plan entries for log output (recipe name or title).
+ *
+ * @param {Array} entries - Meal plan entries
+ * @returns {string} Comma-separated names
+ */
+function describeEntries(entries) {
+    return entries.map(entry => entry.recipe?.name || entry.title || entry.id).join(', ');
+}
+
+/**
+ * Checks whether a slot should be planned on a date (honors slot.weekdays).
+ *
+ * @param {Object} slot - Slot definition
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @returns {boolean} True if the slot is planned on that date
+ */
+function slotAppliesOn(slot, date) {
+    return !slot.weekdays || slot.weekdays.includes(weekdayOf(date));
+}
+
+// ============================================================
+// THEME RULES
+// ============================================================
+
+/**
+ * Normalizes theme rules from the config file. A theme applies on the
+ * listed weekdays and/or specific dates and requires the main dish to carry
+ * any of the given tags or categories.
+ *
+ * @param {Array<Object>} [rules] - Raw "themes" entries from the config file
+ * @returns {Array<Object>} Normalized themes
+ * @throws {Error} If a theme has no day/date or no tag/category
+ *
+ * @example
+ * resolveThemes([{ name: 'Taco Tuesday', weekdays: ['tuesday'], tags: ['cuisine:mexican'] }])
+ * // Returns [{ name: 'Taco Tuesday', weekdays: ['tue'], dates: [], slots: ['dinner'], tags: ['cuisine-mexican'], categories: [] }]
+ */
+function resolveThemes(rules = []) {
+    return rules.map((rule, index) => {
+        const theme = {
+            name:       rule.name || `theme #${index + 1}`,
+            weekdays:   (rule.weekdays || []).map(day => day.toLowerCase().slice(0, 3)),
+            dates:      rule.dates || [],
+            slots:      rule.slots || ['dinner'],
+            tags:       (rule.tags || []).map(normalizeTag),
+            categories: (rule.categories || []).map(category => category.toLowerCase()),
+        };
+        if (theme.weekdays.length === 0 && theme.dates.length === 0) {
+            throw new Error(`Theme "${theme.name}" needs "weekdays" or "dates"`);
+        }
+        if (theme.tags.length === 0 && theme.categories.length === 0) {
+            throw new Error(`Theme "${theme.name}" needs "tags" or "categories"`);
+        }
+        return theme;
+    });
+}
+
+/**
+ * Finds the themes that apply to a slot on a date.
+ *
+ * @param {Array<Object>} themes - Normalized themes
+ * @param {Object} slot - Slot definition
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @returns {Array<Object>} Matching themes
+ */
+function themesFor(themes, slot, date) {
+    const weekday = weekdayOf(date);
+    return themes.filter(theme =>
+        theme.slots.includes(slot.name) &&
+        (theme.dates.includes(date) || theme.weekdays.includes(weekday))
+    );
+}
+
+/**
+ * Checks whether a recipe satisfies a theme (any listed tag or category).
+ *
+ * @param {Object} recipe - Slim recipe with tags and categories
+ * @param {Object} theme - Normalized theme
+ * @returns {boolean} True if the recipe carries a theme tag or category
+ */
+function recipeMatchesTheme(recipe, theme) {
+    const tags = recipe.tags || [];
+    const categories = recipe.categories || [];
+    return theme.tags.some(tag => tags.includes(tag)) ||
+        theme.categories.some(category => categories.includes(category));
+}
+
+/**
+ * Narrows a slot's pools to satisfy every given theme. Complete meals and
+ * proteins must match; starch and veg sides may be anything, as long as a
+ * side that also brings protein matches too (so it can't stand in for the main).
+ *
+ * @param {Object} pools - The slot's role pools (see buildPools)
+ * @param {Array<Object>} themes - Themes that apply
+ * @returns {Object} Narrowed pools
+ */
+function applyThemes(pools, themes) {
+    const matches = recipe => themes.every(theme => recipeMatchesTheme(recipe, theme));
+    const sideOk = recipe => !recipe.roles.has(ROLE_TAGS.protein) || matches(recipe);
+    return {
+        ...pools,
+        completePool: pools.completePool.filter(matches),
+        proteinPool:  pools.proteinPool.filter(matches),
+        starchPool:   pools.starchPool.filter(sideOk),
+        vegPool:      pools.vegPool.filter(sideOk),
+    };
+}
+
+/**
+ * Checks that a chosen meal contains at least one recipe satisfying the themes.
+ *
+ * @param {Array<{recipeId: string}>} chosen - Chosen recipe references
+ * @param {Object} pools - Pools the meal was chosen from
+ * @param {Array<Object>} themes - Themes that apply
+ * @returns {boolean} True if some pick matches every theme
+ */
+function mealMatchesThemes(chosen, pools, themes) {
+    if (!chosen || chosen.length === 0) return false;
+    const all = [...pools.completePool, ...pools.proteinPool, ...pools.starchPool, ...pools.vegPool];
+    const matchingIds = new Set(
+        all.filter(recipe => themes.every(theme => recipeMatchesTheme(recipe, theme))).map(recipe => recipe.id)
+    );
+    return chosen.some(item => matchingIds.has(item.recipeId));
+}
+
+// ============================================================
+// FIXED MEALS (PINS AND TEMPLATES)
+// ============================================================
+
+/**
+ * Normalizes a week template: meals fixed on given weekdays and/or dates,
+ * either a recipe (ID, slug or name) or a free-text title entry. The template
+ * file may hold the list itself or an object with a "template" list.
+ *
+ * @param {Array<Object>|Object} [template] - Raw template
+ * @returns {Array<Object>} Normalized rules
+ * @throws {Error} If a rule has no day/date, or not exactly one of recipe/title
+ *
+ * @example
+ * resolveTemplate([{ weekdays: ['friday'], recipe: 'homemade-pizza' }])
+ * // Returns [{ name: 'homemade-pizza', weekdays: ['fri'], dates: [], slot: 'dinner', recipe: 'homemade-pizza', title: null }]
+ */
+function resolveTemplate(template = []) {
+    const rules = Array.isArray(template) ? template : (template.template || []);
+    return rules.map((rule, index) => {
+        const normalized = {
+            name:     rule.name || rule.recipe || rule.title || `template #${index + 1}`,
+            weekdays: (rule.weekdays || []).map(day => day.toLowerCase().slice(0, 3)),
+            dates:    rule.dates || [],
+            slot:     (rule.slot || 'dinner').toLowerCase(),
+            recipe:   rule.recipe || null,
+            title:    rule.title || null,
+        };
+        if (normalized.weekdays.length === 0 && normalized.dates.length === 0) {
+            throw new Error(`Template entry "${normalized.name}" needs "weekdays" or "dates"`);
+        }
+        if (!normalized.recipe === !normalized.title) {
+            throw new Error(`Template entry "${normalized.name}" needs either "recipe" or "title"`);
+        }
+        return normalized;
+    });
+}
+
+/**
+ * Parses --pin values: DATE=recipe, or DATE/slot=recipe for another slot.
+ *
+ * @param {Array<string>} values - Raw --pin values
+ * @returns {Array<{date: string, slot: string|null, recipe: string}>} Pins (slot null = default slot)
+ * @throws {Error} If a value isn't in that form
+ *
+ * @example
+ * parsePins(['2025-01-24=homemade-pizza', '2025-01-25/lunch=tomato-soup'])
+ * // Returns [{ date: '2025-01-24', slot: null, recipe: 'homemade-pizza' }, { date: '2025-01-25', slot: 'lunch', recipe: 'tomato-soup' }]
+ */
+function parsePins(values) {
+    return values.map(value => {
+        const match = /^(\d{4}-\d{2}-\d{2})(?:\/([\w-]+))?=(.+)$/.exec(value.trim());
+        if (!match) throw new Error(`Invalid --pin "${value}" (expected YYYY-MM-DD=recipe or YYYY-MM-DD/slot=recipe)`);
+        return { date: match[1], slot: match[2] ? match[2].toLowerCase() : null, recipe: match[3].trim() };
+    });
+}
+
+/**
+ * Works out the fixed meals of the range. Pins win over the template; pins
+ * without a slot go to dinner (or the first slot when dinner isn't planned).
+ *
+ * @param {Array<string>} dates - Dates of the range (YYYY-MM-DD)
+ * @param {Array<Object>} slots - Active slot definitions
+ * @param {Array<Object>} template - Normalized template (see resolveTemplate)
+ * @param {Array<Object>} pins - Parsed pins (see parsePins)
+ * @returns {Map<string, {date: string, slot: string, recipe: string|null, title: string|null, source: string}>}
+ *   Fixed meals by "date|slot"; source is 'pin' or the template entry's name
+ */
+function fixedMealsFor(dates, slots, template, pins) {
+    const fixed = new Map();
+    for (const date of dates) {
+        for (const rule of template) {
+            const slot = slots.find(s => s.name === rule.slot);
+            if (!slot || !slotAppliesOn(slot, date)) continue;
+            if (!rule.dates.includes(date) && !rule.weekdays.includes(weekdayOf(date))) continue;
+            fixed.set(`${date}|${slot.name}`, { date, slot: slot.name, recipe: rule.recipe, title: rule.title, source: rule.name });
+        }
+    }
+
+    const defaultSlot = (slots.find(slot => slot.name === 'dinner') || slots[0])?.name;
+    for (const pin of pins) {
+        const slot = slots.find(s => s.name === (pin.slot || defaultSlot));
+        if (!dates.includes(pin.date)) {
+            console.warn(`[warn] Pin ${pin.date}=${pin.recipe} is outside the planned range. Ignoring it.`);
+        } else if (!slot || !slotAppliesOn(slot, pin.date)) {
+            console.warn(`[warn] Pin ${pin.date}=${pin.recipe}: slot ${pin.slot || defaultSlot} isn't planned that day. Ignoring it.`);
+        } else {
+            fixed.set(`${pin.date}|${slot.name}`, { date: pin.date, slot: slot.name, recipe: pin.recipe, title: null, source: 'pin' });
+        }
+    }
+    return fixed;
+}
+
+/**
+ * Finds a recipe by ID, slug or name (case-insensitive).
+ *
+ * @param {string} ref - Recipe ID, slug or name
+ * @param {Array<Object>} recipes - Slim recipes
+ * @returns {Object|null} Matching recipe, or null
+ */
+function findRecipeByRef(ref, recipes) {
+    const wanted = ref.trim().toLowerCase();
+    return recipes.find(recipe => recipe.id === ref || recipe.slug === wanted || recipe.name.toLowerCase() === wanted) || null;
+}
+
+// ============================================================
+// INTERACTIVE REVIEW
+// ============================================================
+
+/** Help text for the interactive review (see reviewPlan) */
+const REVIEW_HELP = [
+    '  a N            accept day N (a alone accepts every day)',
+    '  r N            re-roll day N',
+    '  s N ROLE       swap the recipe covering ROLE (protein, starch, veg) on day N',
+    '  p N RECIPE     pin a recipe (slug, name or ID) on day N',
+    '  w              write the plan (asks for confirmation)',
+    '  q              quit without writing',
+].join('\n');
+
+/**
+ * Parses a command typed during the interactive review.
+ *
+ * @param {string} line - Typed line
+ * @param {number} count - Number of days in the plan
+ * @returns {{action: string, index: number|null, role?: string, recipe?: string}|{error: string}}
+ *   Parsed command (index is 0-based), or an error message
+ *
+ * @example
+ * parseReviewCommand('s 3 starch', 7) // Returns { action: 'swap', index: 2, role: 'starch' }
+ */
+function parseReviewCommand(line, count) {
+    const [word = '', number, ...rest] = line.trim().split(/\s+/);
+    const actions = { a: 'accept', r: 'reroll', s: 'swap', p: 'pin', w: 'write', q: 'quit', '?': 'help', h: 'help' };
+    const action = actions[word.toLowerCase()] || Object.values(actions).find(name => name === word.toLowerCase());
+    if (!action) return { error: `Unknown command "${word}". Type ? for help.` };
+    if (['write', 'quit', 'help'].includes(action)) return { action, index: null };
+    if (action === 'accept' && number === undefined) return { action, index: null };
+
+    const index = Number(number) - 1;
+    if (!Number.isInteger(index) || index < 0 || index >= count) return { error: `Pick a day from 1 to ${count}.` };
+    if (action === 'swap') {
+        const role = (rest[0] || '').toLowerCase().replace(/^vegetables?$/, 'veg');
+        if (!ROLE_TAGS[role]) return { error: 'Swap needs a role: protein, starch or veg.' };
+        return { action, index, role };
+    }
+    if (action === 'pin') {
+        if (rest.length === 0) return { error: 'Pin needs a recipe slug, name or ID.' };
+        return { action, index, recipe: rest.join(' ') };
+    }
+    return { action, index };
+}
+
+/**
+ * Describes a proposed meal for the review list: date, slot, recipes and the
+ * roles they cover (or miss).
+ *
+ * @param {{date: string, slot: Object}} task - Date/slot pair
+ * @param {Array<Object>} chosen - Chosen recipe references
+ * @param {Map<string, Object>} recipesById - Slim recipes by ID
+ * @returns {string} e.g. '2025-01-20 dinner -> Steak Frites + Green Salad (protein, starch, vegetable)'
+ */
+function describeProposal(task, chosen, recipesById) {
+    if (!chosen || chosen.length === 0) return `${task.date} ${task.slot.name} -> (nothing found)`;
+    const names = chosen.map(item => item.name || item.title).join(' + ');
+    const recipes = chosen.map(item => recipesById.get(item.recipeId)).filter(Boolean);
+    if (recipes.length === 0) return `${task.date} ${task.slot.name} -> ${names}`;
+    const covered = coveredRoles(recipes);
+    const missing = task.slot.roles.map(role => ROLE_TAGS[role]).filter(role => !covered.has(role));
+    const roles = [...covered].map(roleName).join(', ');
+    return `${task.date} ${task.slot.name} -> ${names} (${roles}${missing.length > 0 ? `; missing ${missing.map(roleName).join(', ')}` : ''})`;
+}
+
+/**
+ * Builds the planning state for changing one day during the review: the
+ * slot's baseline plus every other proposed day of the slot, and the budget
+ * allowance and opened perishables of every other proposed meal of the week.
+ *
+ * @param {{date: string, slot: Object}} task - The day being changed
+ * @param {Array<Object>} tasks - All date/slot pairs being planned
+ * @param {Map<string, Array<Object>>} proposal - Chosen recipe references by "date|slot"
+ * @param {Map<string, Object>} baseline - Per slot: recent IDs, protein and dislike history without this run's meals
+ * @param {Map<string, Object>} recipesById - Slim recipes by ID
+ * @param {Object} [state] - Run-wide state before this run's picks
+ * @param {Object|null} [state.budget] - Budget tracker (see createBudgetTracker)
+ * @param {Map<string, Set<string>>} [state.perishables] - Perishables by date, all slots (see recordPerishables)
+ * @returns {{recentIds: Set<string>, history: Map, dislikes: Map, maxCost: number|null, opened: Set<string>}} Fresh copies to plan with
+ */
+function reviewContext(task, tasks, proposal, baseline, recipesById, { budget = null, perishables = new Map() } = {}) {
+    const base = baseline.get(task.slot.name);
+    const context = { recentIds: new Set(base.recentIds), history: copyHistory(base.history), dislikes: copyHistory(base.dislikes) };
+    const tracker = copyBudgetTracker(budget);
+    const used = copyHistory(perishables);
+    for (const other of tasks) {
+        if (other === task) continue;
+        const recipes = (proposal.get(`${other.date}|${other.slot.name}`) || []).map(item => recipesById.get(item.recipeId)).filter(Boolean);
+        // Fixed meals are already in the tracker and perishables; other meals add what they propose
+        if (!other.fixed) {
+            recordSpend(tracker, other.date, mealCost(recipes).total);
+            recordPerishables(used, other.date, recipes);
+        }
+        if (other.slot !== task.slot || other.date === task.date) continue;
+        for (const recipe of recipes) context.recentIds.add(recipe.id);
+        recordProteinTypes(context.history, other.date, recipes);
+        recordDislikes(context.dislikes, other.date, recipes, HOUSEHOLD);
+    }
+    context.maxCost = budgetAllowance(tracker, task.date);
+    context.opened = openedPerishables(used, task.date);
+    return context;
+}
+
+/**
+ * Swaps the recipe covering one role in a meal (say, the starch side) for
+ * another one from the slot's pools, keeping the rest of the meal. The
+ * replacement covers every role the swapped recipe alone provided, and is
+ * chosen like a component of a built meal: "pure" recipes first, then a
+ * rating-weighted pick. Given a date and slot, the meal has to stay within
+ * the slot's time budget, and the soft rules of planSlotForDate apply (and
+ * are dropped the same way when they leave no replacement).
+ *
+ * @param {Array<Object>} chosen - Current recipe references of the meal
+ * @param {string} role - Role tag to swap, e.g. 'role:starch'
+ * @param {Object} pools - The slot's role pools
+ * @param {Set<string>} avoidIds - Recipe IDs that may not be used (no-repeat window, other days, the meal itself)
+ * @param {Map<string, Object>} recipesById - Slim recipes by ID
+ * @param {Object} [constraints] - Planning state of the meal
+ * @param {string} [constraints.date] - Date of the meal (YYYY-MM-DD), for seasonality, time budget and soft rules
+ * @param {Object} [constraints.slot] - Slot definition (for the time budget and soft rules)
+ * @param {Map<string, Set<string>>} [constraints.history] - Protein types by date for this slot
+ * @param {Map<string, Set<string>>} [constraints.dislikes] - Members who disliked the meal, by date, for this slot
+ * @param {number|null} [constraints.maxCost] - Budget allowance for the whole meal (null = no budget)
+ * @param {Set<string>|null} [constraints.opened] - Perishables other meals of the week already use (see openedPerishables)
+ * @returns {Array<Object>|null} New recipe references, or null if nothing covers the role or no replacement exists
+ */
+function swapComponent(chosen, role, pools, avoidIds, recipesById, { date = null, slot = null, history, dislikes, maxCost = null, opened = null } = {}) {
+    const index = chosen.findIndex(item => recipesById.get(item.recipeId)?.roles.has(role));
+    if (index < 0) return null;
+
+    // The replacement has to cover whatever only the swapped recipe covered
+    const kept = chosen.filter((_, i) => i !== index);
+    const keptRecipes = kept.map(item => recipesById.get(item.recipeId)).filter(Boolean);
+    const keptRoles = coveredRoles(keptRecipes);
+    const needed = new Set([...recipesById.get(chosen[index].recipeId).roles].filter(r => !keptRoles.has(r)));
+    const maxMinutes = date && slot ? timeBudgetFor(slot, date) : null;
+    const untimedMinutes = slot?.untimedMinutes ?? null;
+    const keptMinutes = keptRecipes.reduce((sum, recipe) => sum + budgetMinutes(recipe, untimedMinutes), 0);
+    const universe = Array.from(new Map(
+        [...pools.completePool, ...pools.proteinPool, ...pools.starchPool, ...pools.vegPool]
+            .filter(recipe => !avoidIds.has(recipe.id) && [...needed].every(r => recipe.roles.has(r)))
+            .filter(recipe => fitsTimeBudget(keptMinutes + budgetMinutes(recipe, untimedMinutes), maxMinutes))
+            .map(recipe => [recipe.id, recipe])
+    ).values());
+
+    const usedIds = new Set(kept.map(item => item.recipeId));
+    const month = date ? monthOf(date) : null;
+    const left = maxCost === null ? null : maxCost - mealCost(keptRecipes).total;
+    const rules = date && slot ? softRules(date, slot, history, dislikes, left) : [];
+    const ignored = [];
+    let replacement = null;
+    for (;;) {
+        replacement = selectBestCandidate(universe.filter(recipe => rules.every(rule => rule.allows(recipe))), usedIds, needed, month, opened);
+        if (replacement || rules.length === 0) break;
+        ignored.push(`${rules.pop().name.toLowerCase()} ignored`);
+    }
+    if (!replacement) return null;
+
+    const swapped = [...chosen];
+    swapped[index] = { recipeId: replacement.id, name: replacement.name, reasons: [`swapped in for ${chosen[index].name}`, ...ignored] };
+    return swapped;
+}
 
-        if (pureCandidates.length > 0) {
-            return pureCandidates[Math.floor(Math.random() * pureCandidates.length)];
+// ============================================================
+// EXCLUSIONS
+// ============================================================
+
+/**
+ * Normalizes the "exclude" config block.
+ *
+ * @param {Object} [config] - Raw exclusion config
+ * @param {Array<string>} [config.tags] - Recipes with any of these tags are excluded
+ * @param {Array<string>} [config.foods] - Recipes with an ingredient food matching any of these are excluded
+ * @param {Array<string>} [config.keywords] - Recipes whose name or ingredients match any of these are excluded
+ * @param {Array<string>} [config.proteins] - Protein types (see PROTEIN_TYPES) to exclude
+ * @returns {{tags: Array<string>, foods: Array<string>, keywords: Array<string>, proteins: Array<string>}}
+ * @throws {Error} If an unknown protein type is listed
+ *
+ * @example
+ * resolveExclusions({ tags: ['Contains: Nuts'], proteins: ['shellfish'] })
+ * // Returns { tags: ['contains-nuts'], foods: [], keywords: [], proteins: ['shellfish'] }
+ */
+function resolveExclusions(config = {}) {
+    const lower = list => (list || []).map(item => String(item).trim().toLowerCase()).filter(Boolean);
+    const proteins = lower(config.proteins);
+    for (const type of proteins) {
+        if (!PROTEIN_TYPES[type]) {
+            throw new Error(`Unknown excluded protein "${type}" (expected ${Object.keys(PROTEIN_TYPES).join(', ')})`);
         }
+    }
+    return {
+        tags: (config.tags || []).map(normalizeTag).filter(Boolean),
+        foods: lower(config.foods),
+        keywords: lower(config.keywords),
+        proteins,
+    };
+}
 
-        // Fall back to recipes with fewest total roles
-        const [neededRole] = [...neededRoles];
-        const hasNeeded = candidates.filter(recipe => rolesHas(recipe, neededRole));
-        hasNeeded.sort((a, b) => a.roles.size - b.roles.size || (Math.random() - 0.5));
-        return hasNeeded[0];
+/**
+ * Checks whether any exclusion is configured.
+ *
+ * @param {Object} exclusions - Resolved exclusions
+ * @returns {boolean} True if at least one list is non-empty
+ */
+function hasExclusions(exclusions) {
+    return Object.values(exclusions).some(list => list.length > 0);
+}
+
+/**
+ * Checks whether the exclusions need recipe ingredients to be evaluated.
+ *
+ * @param {Object} exclusions - Resolved exclusions
+ * @returns {boolean} True if foods, keywords or proteins are excluded
+ */
+function exclusionsNeedIngredients(exclusions) {
+    return exclusions.foods.length > 0 || exclusions.keywords.length > 0 || exclusions.proteins.length > 0;
+}
+
+/**
+ * Summarizes the exclusions for the log.
+ *
+ * @param {Object} exclusions - Resolved exclusions
+ * @returns {string} e.g. "tags contains-nuts; proteins shellfish, pork"
+ */
+function describeExclusions(exclusions) {
+    return Object.entries(exclusions)
+        .filter(([, list]) => list.length > 0)
+        .map(([kind, list]) => `${kind} ${list.join(', ')}`)
+        .join('; ');
+}
+
+/**
+ * Finds the first exclusion a recipe falls under. Foods, keywords and
+ * proteins are matched with auto-tag.js's matchesKeyword().
+ *
+ * @param {Object} recipe - Slim recipe
+ * @param {Object} exclusions - Resolved exclusions
+ * @returns {string|null} Reason (e.g. "protein shellfish"), or null if the recipe is allowed
+ *
+ * @example
+ * excludedBy({ name: 'Shrimp Scampi', tags: [], foods: ['shrimp'], proteinTypes: ['shellfish'] }, resolveExclusions({ proteins: ['shellfish'] }))
+ * // Returns 'protein shellfish'
+ */
+function excludedBy(recipe, exclusions) {
+    const tag = exclusions.tags.find(excluded => recipe.tags?.includes(excluded));
+    if (tag) return `tag ${tag}`;
+
+    const food = exclusions.foods.find(excluded => (recipe.foods || []).some(name => matchesKeyword(name, excluded)));
+    if (food) return `food ${food}`;
+
+    const text = `${recipe.name || ''} ${recipe.ingredientText || ''}`;
+    const keyword = exclusions.keywords.find(excluded => matchesKeyword(text, excluded));
+    if (keyword) return `keyword ${keyword}`;
+
+    const protein = exclusions.proteins.find(type =>
+        recipe.proteinTypes?.includes(type) || PROTEIN_TYPES[type].some(word => matchesKeyword(text, word))
+    );
+    if (protein) return `protein ${protein}`;
+
+    return null;
+}
+
+/**
+ * Leaves out recipes whose ingredients are unknown (their details could not
+ * be fetched) when the exclusions need ingredients, so a failed request
+ * can't let an excluded food through.
+ *
+ * @param {Array<Object>} recipes - Slim recipes after hydration
+ * @param {Object} exclusions - Resolved exclusions
+ * @returns {Array<Object>} Recipes that can be checked against the exclusions
+ */
+function dropUnknownIngredients(recipes, exclusions) {
+    if (!exclusionsNeedIngredients(exclusions)) return recipes;
+    const known = recipes.filter(recipe => recipe.foods !== null);
+    if (known.length < recipes.length) {
+        console.warn(`[warn] Ingredients unknown for ${recipes.length - known.length} recipes; left out so exclusions can't miss them`);
     }
+    return known;
+}
 
-    // Multiple roles needed: prefer more coverage, then fewer extras
-    candidates.sort((a, b) => byBestScore(a, b, neededRoles));
-    return candidates[0];
+// ============================================================
+// HOUSEHOLD MEMBERS
+// ============================================================
+
+/**
+ * Normalizes the "household" config block.
+ *
+ * @param {Object} [config] - Raw household config
+ * @param {Array<Object>} [config.members] - Members: { name, likes, dislikes, maxDislikesPerWeek }
+ * @param {Array<string>} [config.slots] - Slots where dislike limits apply (default: dinner)
+ * @param {number} [config.maxDislikesPerWeek] - Default weekly dislike limit per member (default: 1)
+ * @param {number} [config.likeMultiplier] - Weight factor for a recipe everyone likes (default: 2)
+ * @returns {{slots: Array<string>, maxDislikesPerWeek: number, likeMultiplier: number, members: Array<Object>}}
+ * @throws {Error} If a member has no name
+ *
+ * @example
+ * resolveHousehold({ members: [{ name: 'Sam', dislikes: { tags: ['Spicy'] } }] })
+ * // Returns { slots: ['dinner'], maxDislikesPerWeek: 1, likeMultiplier: 2,
+ * //           members: [{ name: 'Sam', maxDislikesPerWeek: 1, likes: {...}, dislikes: { tags: ['spicy'], foods: [], recipes: [] } }] }
+ */
+function resolveHousehold(config = {}) {
+    const maxDislikesPerWeek = config.maxDislikesPerWeek ?? 1;
+    const preferences = (prefs = {}) => ({
+        tags: (prefs.tags || []).map(normalizeTag).filter(Boolean),
+        foods: (prefs.foods || []).map(food => String(food).trim().toLowerCase()).filter(Boolean),
+        recipes: (prefs.recipes || []).map(recipe => String(recipe).trim().toLowerCase()).filter(Boolean),
+    });
+    const members = (config.members || []).map((member, index) => {
+        if (!member.name) throw new Error(`Household member #${index + 1} needs a name`);
+        return {
+            name: member.name,
+            maxDislikesPerWeek: member.maxDislikesPerWeek ?? maxDislikesPerWeek,
+            likes: preferences(member.likes),
+            dislikes: preferences(member.dislikes),
+        };
+    });
+    return {
+        slots: config.slots || ['dinner'],
+        maxDislikesPerWeek,
+        likeMultiplier: config.likeMultiplier ?? 2,
+        members,
+    };
+}
+
+/**
+ * Checks whether a recipe matches a member's like or dislike list. Recipes
+ * match by name, slug or ID; foods with auto-tag.js's matchesKeyword().
+ *
+ * @param {Object} recipe - Slim recipe
+ * @param {{tags: Array<string>, foods: Array<string>, recipes: Array<string>}} prefs - Likes or dislikes
+ * @returns {boolean} True if any entry matches
+ */
+function matchesPreferences(recipe, prefs) {
+    const names = [recipe.name, recipe.slug, recipe.id].filter(Boolean).map(name => String(name).toLowerCase());
+    return prefs.recipes.some(name => names.includes(name)) ||
+        prefs.tags.some(tag => recipe.tags?.includes(tag)) ||
+        prefs.foods.some(food => (recipe.foods || []).some(name => matchesKeyword(name, food)));
+}
+
+/**
+ * A member's opinion of a single recipe. Dislikes win over likes.
+ *
+ * @param {Object} recipe - Slim recipe
+ * @param {Object} member - Resolved member
+ * @returns {number} -1 (disliked), 0 (neutral) or 1 (liked)
+ */
+function memberOpinion(recipe, member) {
+    if (matchesPreferences(recipe, member.dislikes)) return -1;
+    if (matchesPreferences(recipe, member.likes)) return 1;
+    return 0;
+}
+
+/**
+ * A member's opinion of a whole meal: disliked if any part is disliked,
+ * liked if any part is liked, neutral otherwise.
+ *
+ * @param {Array<Object>} recipes - Slim recipes of the meal
+ * @param {Object} member - Resolved member
+ * @returns {number} -1, 0 or 1
+ */
+function mealOpinion(recipes, member) {
+    const opinions = recipes.map(recipe => memberOpinion(recipe, member));
+    if (opinions.includes(-1)) return -1;
+    return opinions.includes(1) ? 1 : 0;
+}
+
+/**
+ * The household's average opinion of a meal.
+ *
+ * @param {Array<Object>} recipes - Slim recipes of the meal
+ * @param {Array<Object>} members - Resolved members
+ * @returns {number} Average from -1 to 1 (0 without members)
+ */
+function householdSatisfaction(recipes, members) {
+    if (members.length === 0) return 0;
+    return members.reduce((sum, member) => sum + mealOpinion(recipes, member), 0) / members.length;
+}
+
+/**
+ * Selection weight factor for a recipe: likeMultiplier raised to the
+ * household's average opinion, so a recipe everyone likes counts double
+ * and one everyone dislikes half (with the default multiplier of 2).
+ *
+ * @param {Object} recipe - Slim recipe
+ * @param {Object} household - Resolved household
+ * @returns {number} Weight factor (1 without members)
+ */
+function householdFactor(recipe, household) {
+    if (household.members.length === 0) return 1;
+    const average = household.members.reduce((sum, member) => sum + memberOpinion(recipe, member), 0) / household.members.length;
+    return household.likeMultiplier ** average;
+}
+
+/**
+ * Builds a date -> disliking members map from existing meal plan entries of a slot.
+ *
+ * @param {Array} entries - Meal plan entries
+ * @param {Object} slot - Slot definition
+ * @param {Map<string, Object>} recipesById - Slim recipes by ID
+ * @param {Object} household - Resolved household
+ * @returns {Map<string, Set<string>>} Member names by date
+ */
+function buildDislikeHistory(entries, slot, recipesById, household) {
+    const dislikes = new Map();
+    for (const entry of entries) {
+        if (entry.entryType !== slot.entryType || !entry.recipe) continue;
+        recordDislikes(dislikes, entry.date, [recipesById.get(entry.recipe.id)], household);
+    }
+    return dislikes;
+}
+
+/**
+ * Adds the members who dislike a day's recipes to the dislike history.
+ *
+ * @param {Map<string, Set<string>>} dislikes - Member names by date (mutated)
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {Array<Object|undefined>} recipes - Slim recipes (unknown ones are skipped)
+ * @param {Object} household - Resolved household
+ */
+function recordDislikes(dislikes, date, recipes, household) {
+    const names = dislikes.get(date) || new Set();
+    for (const member of household.members) {
+        if (recipes.some(recipe => recipe && memberOpinion(recipe, member) < 0)) names.add(member.name);
+    }
+    if (names.size > 0) dislikes.set(date, names);
+}
+
+/**
+ * Checks a recipe against the weekly dislike limits (weeks run Mon-Sun):
+ * nobody who dislikes it may already have reached their limit that week.
+ *
+ * @param {Object} recipe - Slim recipe
+ * @param {string} date - Date being planned (YYYY-MM-DD)
+ * @param {Map<string, Set<string>>} dislikes - Member names by date
+ * @param {Object} household - Resolved household
+ * @returns {boolean} True if the recipe stays within everyone's limit
+ */
+function dislikesAllow(recipe, date, dislikes, household) {
+    const weekDates = weekOf(date).filter(day => day !== date);
+    return household.members.every(member => {
+        if (memberOpinion(recipe, member) >= 0) return true;
+        const used = weekDates.filter(day => dislikes.get(day)?.has(member.name)).length;
+        return used < member.maxDislikesPerWeek;
+    });
+}
+
+/**
+ * Counts disliked meals beyond each member's weekly limit in a plan,
+ * including the disliked meals already on the calendar.
+ *
+ * @param {Map<string, Array<Object>>} plan - Slim recipes by date
+ * @param {Map<string, Set<string>>} dislikes - Dislike history of existing entries
+ * @param {Object} household - Resolved household
+ * @returns {number} Total disliked meals over the limits
+ */
+function excessDislikes(plan, dislikes, household) {
+    const combined = copyHistory(dislikes);
+    for (const [date, recipes] of plan) recordDislikes(combined, date, recipes, household);
+
+    const perWeek = new Map();
+    for (const [date, names] of combined) {
+        const week = weekOf(date)[0];
+        for (const name of names) perWeek.set(`${week}|${name}`, (perWeek.get(`${week}|${name}`) || 0) + 1);
+    }
+
+    let excess = 0;
+    for (const [key, count] of perWeek) {
+        const member = household.members.find(candidate => candidate.name === key.split('|')[1]);
+        excess += Math.max(0, count - member.maxDislikesPerWeek);
+    }
+    return excess;
 }
 
 // ============================================================
-// ROLE HELPER FUNCTIONS
+// SHOPPING LIST
 // ============================================================
 
 /**
- * Checks if a recipe has a specific role.
+ * Combines the ingredient lines of several recipes. Lines with the same food
+ * and unit are merged and their quantities added; lines without a food are
+ * merged only with identical text.
  *
- * @param {Object} recipe - Recipe object with roles Set
- * @param {string} role - Role string to check for
- * @returns {boolean} True if recipe has the role
+ * @param {Array<Object>} recipes - Full Mealie recipes (with recipeIngredient)
+ * @returns {Array<Object>} Merged items {food, unit, note, quantity, foodId, unitId, recipeIds, recipes}, sorted by name
+ *
+ * @example
+ * mergeIngredients([
+ *   { id: 'r1', name: 'Tacos', recipeIngredient: [{ quantity: 0.5, unit: { name: 'bunch' }, food: { name: 'cilantro' } }] },
+ *   { id: 'r2', name: 'Salad', recipeIngredient: [{ quantity: 0.5, unit: { name: 'bunch' }, food: { name: 'Cilantro' } }] },
+ * ])
+ * // Returns [{ food: 'cilantro', unit: 'bunch', quantity: 1, recipes: ['Tacos', 'Salad'], ... }]
+ */
+function mergeIngredients(recipes) {
+    const merged = new Map();
+    for (const recipe of recipes) {
+        for (const ingredient of recipe.recipeIngredient || []) {
+            const food = ingredient.food?.name?.trim() || '';
+            const unit = ingredient.unit?.name?.trim() || '';
+            const text = food || (ingredient.note || ingredient.display || '').trim();
+            if (!text) continue;
+
+            const key = `${food ? 'food' : 'note'}|${text.toLowerCase()}|${unit.toLowerCase()}`;
+            const item = merged.get(key) || {
+                food,
+                unit,
+                note: food ? '' : text,
+                quantity: 0,
+                foodId: ingredient.food?.id || null,
+                unitId: ingredient.unit?.id || null,
+                recipeIds: [],
+                recipes: [],
+            };
+            item.quantity += Number(ingredient.quantity) || 0;
+            if (!item.recipeIds.includes(recipe.id)) {
+                item.recipeIds.push(recipe.id);
+                item.recipes.push(recipe.name);
+            }
+            merged.set(key, item);
+        }
+    }
+    return [...merged.values()].sort((a, b) => (a.food || a.note).localeCompare(b.food || b.note));
+}
+
+/**
+ * Formats a quantity for display, dropping needless decimals.
+ *
+ * @param {number} quantity - Quantity
+ * @returns {string} Formatted quantity ('' for zero)
+ *
+ * @example
+ * formatQuantity(1.5)      // Returns '1.5'
+ * formatQuantity(0.333333) // Returns '0.33'
+ */
+function formatQuantity(quantity) {
+    return quantity ? String(Number(quantity.toFixed(2))) : '';
+}
+
+/**
+ * Formats a merged shopping item as one line.
+ *
+ * @param {Object} item - Merged item (see mergeIngredients)
+ * @returns {string} e.g. "1 bunch cilantro (Tacos, Salad)"
+ */
+function formatShoppingItem(item) {
+    const text = [formatQuantity(item.quantity), item.unit, item.food || item.note].filter(Boolean).join(' ');
+    return `${text} (${item.recipes.join(', ')})`;
+}
+
+/**
+ * Builds the create payload for a merged item. Foods and units known to
+ * Mealie are linked by ID; anything else is written as a note. The note ends
+ * with SHOPPING_NOTE_MARK either way.
+ *
+ * @param {Object} item - Merged item (see mergeIngredients)
+ * @param {string} shoppingListId - Target list ID
+ * @returns {Object} Body for the shopping items API
+ */
+function shoppingItemPayload(item, shoppingListId) {
+    const payload = {
+        shoppingListId,
+        quantity: item.quantity || 1,
+        recipeReferences: item.recipeIds.map(recipeId => ({ recipeId, recipeQuantity: 1 })),
+    };
+    if (item.foodId && (item.unitId || !item.unit)) {
+        payload.foodId = item.foodId;
+        if (item.unitId) payload.unitId = item.unitId;
+        payload.note = SHOPPING_NOTE_MARK;
+    } else {
+        payload.note = [item.unit, item.food || item.note, SHOPPING_NOTE_MARK].filter(Boolean).join(' ');
+    }
+    return payload;
+}
+
+/**
+ * Checks whether a shopping list item was written by the planner (its note
+ * ends with SHOPPING_NOTE_MARK), as opposed to added in Mealie.
+ *
+ * @param {Object} item - Shopping list item from Mealie
+ * @returns {boolean} True if an earlier run created the item
+ */
+function isPlannerShoppingItem(item) {
+    return (item.note || '').trimEnd().endsWith(SHOPPING_NOTE_MARK);
+}
+
+// ============================================================
+// CALENDAR EXPORT
+// ============================================================
+
+/**
+ * Builds the link to a recipe in the Mealie web app.
+ *
+ * @param {string} base - Mealie base URL
+ * @param {string|null} group - Group slug (null = pre-group URL scheme)
+ * @param {string} slug - Recipe slug
+ * @returns {string} Recipe URL
+ *
+ * @example
+ * recipeUrl('https://mealie.local', 'home', 'beef-tacos') // Returns 'https://mealie.local/g/home/r/beef-tacos'
+ */
+function recipeUrl(base, group, slug) {
+    const root = base.replace(/\/+$/, '');
+    return group ? `${root}/g/${encodeURIComponent(group)}/r/${slug}` : `${root}/recipe/${slug}`;
+}
+
+/**
+ * Groups the menu into one calendar event per meal (slot and date). Slots
+ * with a "time" get timed events lasting "durationMinutes" (default 60);
+ * others get all-day events. UIDs only depend on the Mealie host, date and
+ * slot, so re-running the planner updates events instead of duplicating them.
+ * Title-only meals (e.g. "Leftovers") show up by their title, without a link.
+ *
+ * @param {Array<{date: string, recipeId: string|null, title?: string|null, slot: string}>} menu - Planned recipes and titles by date
+ * @param {Map<string, Object>} recipesById - Slim recipes by ID
+ * @param {Array<Object>} slots - Slot definitions (for order, times and durations)
+ * @param {Object} options - Link options
+ * @param {string} options.base - Mealie base URL
+ * @param {string|null} options.group - Group slug for recipe links
+ * @returns {Array<{uid: string, date: string, time: string|null, durationMinutes: number, summary: string, description: string, url: string|null}>}
+ */
+function calendarEvents(menu, recipesById, slots, { base, group }) {
+    const host = new URL(base).host;
+    const meals = new Map();
+    for (const { date, recipeId, title, slot } of menu) {
+        const recipe = recipeId ? recipesById.get(recipeId) : null;
+        if (!recipe && !title) continue;
+        const key = `${date}|${slot}`;
+        if (!meals.has(key)) meals.set(key, { date, slot: slots.find(s => s.name === slot), links: [] });
+        meals.get(key).links.push(recipe
+            ? { name: recipe.name, url: recipe.slug ? recipeUrl(base, group, recipe.slug) : null }
+            : { name: title, url: null });
+    }
+
+    const order = slot => slots.indexOf(slot);
+    return [...meals.values()]
+        .sort((a, b) => a.date.localeCompare(b.date) || order(a.slot) - order(b.slot))
+        .map(({ date, slot, links }) => ({
+            uid: `mealplan-${date}-${slot.name}@${host}`,
+            date,
+            time: slot.time || null,
+            durationMinutes: slot.durationMinutes ?? 60,
+            summary: links.map(link => link.name).join(' + '),
+            description: links.map(link => (link.url ? `${link.name}: ${link.url}` : link.name)).join('\n'),
+            url: links.find(link => link.url)?.url || null,
+        }));
+}
+
+/**
+ * Escapes text for an iCalendar property value (RFC 5545, 3.3.11).
+ *
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+function escapeIcsText(text) {
+    return String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Folds a content line to at most 75 octets per line (RFC 5545, 3.1),
+ * never splitting a multi-byte character.
+ *
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line (CRLF + space between parts)
+ */
+function foldIcsLine(line) {
+    const parts = [];
+    let current = '';
+    let limit = 75;
+    for (const char of line) {
+        if (Buffer.byteLength(current + char) > limit) {
+            parts.push(current);
+            current = '';
+            limit = 74; // continuation lines start with a space
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+/**
+ * Formats a date and optional HH:MM time as an iCalendar value.
+ *
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {string} [time] - Local time (HH:MM), floating (no time zone)
+ * @returns {string} e.g. '20250120' or '20250120T183000'
+ */
+function icsDateTime(date, time) {
+    const day = date.replace(/-/g, '');
+    return time ? `${day}T${time.replace(':', '')}00` : day;
+}
+
+/**
+ * Renders events as an iCalendar document.
+ *
+ * @param {Array<Object>} events - Events (see calendarEvents)
+ * @param {Date} [now] - Timestamp for DTSTAMP
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+function buildCalendar(events, now = new Date()) {
+    const stamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//mealie-planner//plan-dinner.js//EN',
+        'CALSCALE:GREGORIAN',
+    ];
+    for (const event of events) {
+        lines.push('BEGIN:VEVENT', `UID:${event.uid}`, `DTSTAMP:${stamp}`);
+        if (event.time) {
+            const [hours, minutes] = event.time.split(':').map(Number);
+            const end = hours * 60 + minutes + event.durationMinutes;
+            const endDate = offsetDate(event.date, Math.floor(end / 1440));
+            const endTime = `${String(Math.floor((end % 1440) / 60)).padStart(2, '0')}:${String(end % 60).padStart(2, '0')}`;
+            lines.push(`DTSTART:${icsDateTime(event.date, event.time)}`, `DTEND:${icsDateTime(endDate, endTime)}`);
+        } else {
+            lines.push(`DTSTART;VALUE=DATE:${icsDateTime(event.date)}`, `DTEND;VALUE=DATE:${icsDateTime(offsetDate(event.date, 1))}`);
+        }
+        lines.push(`SUMMARY:${escapeIcsText(event.summary)}`);
+        if (event.description) lines.push(`DESCRIPTION:${escapeIcsText(event.description)}`);
+        if (event.url) lines.push(`URL:${event.url}`);
+        lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+    }
+    lines.push('END:VCALENDAR');
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+// ============================================================
+// PRINTABLE MENU
+// ============================================================
+
+/**
+ * Lists a recipe's ingredients compactly: the food name of each line, or its
+ * note when there is no structured food, without duplicates.
+ *
+ * @param {Object} [recipe] - Full recipe object from the Mealie API
+ * @returns {Array<string>} Lowercase ingredient names (empty if unknown)
+ *
+ * @example
+ * compactIngredients({ recipeIngredient: [{ food: { name: 'Chicken' }, quantity: 1 }, { note: 'salt' }] })
+ * // Returns ['chicken', 'salt']
+ */
+function compactIngredients(recipe) {
+    const names = (recipe?.recipeIngredient || [])
+        .map(ingredient => (ingredient?.food?.name || ingredient?.note || ingredient?.display || '').trim().toLowerCase())
+        .filter(Boolean);
+    return Array.from(new Set(names));
+}
+
+/**
+ * Builds the printable menu: every date of the range with its meals in slot
+ * order, each with its recipes, covered roles, total time and ingredients.
+ * Title-only meals are listed by their title, without link or ingredients.
+ *
+ * @param {Array<string>} dates - Dates of the range (YYYY-MM-DD)
+ * @param {Array<{date: string, recipeId: string|null, title?: string|null, slot: string}>} menu - Planned recipes and titles by date
+ * @param {Map<string, Object>} recipesById - Slim recipes by ID
+ * @param {Map<string, Object>} details - Full recipes by ID (for ingredients)
+ * @param {Array<Object>} slots - Slot definitions (for order)
+ * @param {Object} options - Link options (see calendarEvents)
+ * @returns {Array<{date: string, weekday: string, meals: Array<Object>}>} Days with their meals
+ */
+function menuDays(dates, menu, recipesById, details, slots, { base, group }) {
+    return dates.map(date => ({
+        date,
+        weekday: weekdayOf(date),
+        meals: slots
+            .map(slot => {
+                const items = menu.filter(item => item.date === date && item.slot === slot.name);
+                const recipes = items.map(item => item.recipeId && recipesById.get(item.recipeId)).filter(Boolean);
+                return {
+                    slot: slot.name,
+                    roles: [...coveredRoles(recipes)].map(roleName),
+                    minutes: recipes.reduce((sum, recipe) => sum + recipeMinutes(recipe), 0),
+                    recipes: items
+                        .map(item => {
+                            const recipe = item.recipeId && recipesById.get(item.recipeId);
+                            if (recipe) {
+                                return {
+                                    name: recipe.name,
+                                    url: recipe.slug ? recipeUrl(base, group, recipe.slug) : null,
+                                    ingredients: compactIngredients(details.get(recipe.id)),
+                                };
+                            }
+                            return item.title ? { name: item.title, url: null, ingredients: [] } : null;
+                        })
+                        .filter(Boolean),
+                };
+            })
+            .filter(meal => meal.recipes.length > 0),
+    }));
+}
+
+/**
+ * Capitalizes the first letter of a word.
+ *
+ * @param {string} word - Word
+ * @returns {string} e.g. 'Mon'
+ */
+function capitalize(word) {
+    return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+/**
+ * Renders the printable menu as Markdown.
+ *
+ * @param {string} title - Page title
+ * @param {Array<Object>} days - Days (see menuDays)
+ * @returns {string} Markdown text
+ */
+function renderMenuMarkdown(title, days) {
+    const lines = [`# ${title}`, ''];
+    for (const day of days) {
+        lines.push(`## ${capitalize(day.weekday)} ${day.date}`, '');
+        if (day.meals.length === 0) lines.push('_Nothing planned_', '');
+        for (const meal of day.meals) {
+            const time = meal.minutes > 0 ? `, ${meal.minutes} min` : '';
+            lines.push(`**${capitalize(meal.slot)}** (${meal.roles.join(', ') || 'no roles'}${time})`, '');
+            for (const recipe of meal.recipes) {
+                const name = recipe.url ? `[${recipe.name}](${recipe.url})` : recipe.name;
+                lines.push(`- ${name}${recipe.ingredients.length > 0 ? ` - ${recipe.ingredients.join(', ')}` : ''}`);
+            }
+            lines.push('');
+        }
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Escapes text for HTML.
+ *
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Renders the printable menu as a self-contained HTML page, laid out to fit
+ * a week on one printed page.
+ *
+ * @param {string} title - Page title
+ * @param {Array<Object>} days - Days (see menuDays)
+ * @returns {string} HTML document
+ */
+function renderMenuHtml(title, days) {
+    const recipeHtml = recipe => {
+        const name = recipe.url ? `<a href="${escapeHtml(recipe.url)}">${escapeHtml(recipe.name)}</a>` : escapeHtml(recipe.name);
+        const ingredients = recipe.ingredients.length > 0
+            ? `<div class="ingredients">${escapeHtml(recipe.ingredients.join(', '))}</div>`
+            : '';
+        return `<li>${name}${ingredients}</li>`;
+    };
+    const mealHtml = meal => [
+        `<h3>${escapeHtml(capitalize(meal.slot))}</h3>`,
+        `<div class="meta">${escapeHtml(meal.roles.join(', ') || 'no roles')}${meal.minutes > 0 ? ` &middot; ${meal.minutes} min` : ''}</div>`,
+        `<ul>${meal.recipes.map(recipeHtml).join('')}</ul>`,
+    ].join('\n');
+    const dayHtml = day => [
+        '<section class="day">',
+        `<h2>${escapeHtml(capitalize(day.weekday))} <span>${escapeHtml(day.date)}</span></h2>`,
+        day.meals.length > 0 ? day.meals.map(mealHtml).join('\n') : '<p class="empty">Nothing planned</p>',
+        '</section>',
+    ].join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: sans-serif; margin: 1.5rem; color: #222; }
+h1 { font-size: 1.4rem; margin: 0 0 1rem; }
+.days { display: grid; grid-template-columns: repeat(auto-fill, minmax(14rem, 1fr)); gap: 0.75rem; }
+.day { border: 1px solid #999; border-radius: 4px; padding: 0.5rem 0.75rem; break-inside: avoid; }
+h2 { font-size: 1.1rem; margin: 0 0 0.25rem; }
+h2 span { font-weight: normal; color: #666; font-size: 0.9rem; }
+h3 { font-size: 0.95rem; margin: 0.5rem 0 0; }
+.meta, .ingredients, .empty { color: #666; font-size: 0.8rem; }
+ul { margin: 0.25rem 0; padding-left: 1.1rem; }
+a { color: inherit; }
+@media print { body { margin: 0; } a { text-decoration: none; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<div class="days">
+${days.map(dayHtml).join('\n')}
+</div>
+</body>
+</html>
+`;
+}
+
+// ============================================================
+// JSON OUTPUT
+// ============================================================
+
+/**
+ * Collects the settings of this run for the JSON document.
+ *
+ * @returns {Object} Settings (see plan-output.schema.json, "config")
+ */
+function jsonSettings() {
+    return {
+        action: ACTION,
+        dryRun: DRY_RUN,
+        start: ACTION === 'reroll' ? args.date : START_DATE,
+        days: ACTION === 'reroll' ? 1 : DAYS,
+        noRepeatDays: NO_REPEAT_DAYS,
+        mode: MODE,
+        strategy: STRATEGY,
+        seed: SEED,
+        weighting: WEIGHTING.curve,
+        minRating: WEIGHTING.minRating,
+        slots: SLOTS.map(slot => ({
+            name: slot.name,
+            entryType: slot.entryType,
+            roles: slot.roles.map(role => roleName(ROLE_TAGS[role])),
+            noRepeatDays: slot.noRepeatDays,
+            noRepeatEntryTypes: slot.noRepeatEntryTypes,
+        })),
+        themes: THEMES.map(theme => theme.name),
+        budget: BUDGET.weekly,
+    };
+}
+
+/**
+ * Builds the --format json document from what the run collected. Meals are
+ * sorted by date; every pick written to Mealie also appears under "created".
+ *
+ * @param {{pools: Object, meals: Array, skipped: Array, removed: Array, report: Object|null}} result - Collected run data
+ * @param {Object} settings - Run settings (see jsonSettings)
+ * @param {Date} [now] - Generation time
+ * @returns {Object} Document matching plan-output.schema.json
+ */
+function buildJsonOutput(result, settings, now = new Date()) {
+    const { action, dryRun, ...config } = settings;
+    const byDate = (a, b) => a.date.localeCompare(b.date);
+    const meals = [...result.meals].sort(byDate);
+    return {
+        schemaVersion: OUTPUT_SCHEMA_VERSION,
+        generatedAt: now.toISOString(),
+        action,
+        dryRun,
+        config,
+        pools: result.pools,
+        meals,
+        skipped: [...result.skipped].sort(byDate),
+        created: meals.flatMap(meal => meal.picks
+            .filter(pick => pick.entryId)
+            .map(pick => ({ entryId: pick.entryId, date: meal.date, slot: meal.slot, recipeId: pick.recipeId }))),
+        removed: result.removed,
+        ...(result.report ? { report: result.report } : {}),
+    };
+}
+
+// ============================================================
+// USAGE REPORT
+// ============================================================
+
+/** Start of "all history" for the report when --since is not given */
+const REPORT_EPOCH = '1970-01-01';
+
+/** Rows per text table of the report (the JSON report has every row) */
+const REPORT_TOP = 15;
+
+/**
+ * Counts how often each recipe was planned, and when first and last.
+ *
+ * @param {Array<Object>} entries - Meal plan entries
+ * @returns {Array<{recipeId: string, name: string|null, slug: string|null, count: number, firstDate: string, lastDate: string}>}
+ *   One row per recipe, most planned first (ties: most recent first)
  */
-function rolesHas(recipe, role) {
-    return recipe.roles && recipe.roles.has(role);
+function recipeUsage(entries) {
+    const usage = new Map();
+    for (const entry of entries) {
+        const recipeId = entry.recipe?.id || entry.recipeId;
+        if (!recipeId) continue;
+        const row = usage.get(recipeId) ||
+            { recipeId, name: entry.recipe?.name || null, slug: entry.recipe?.slug || null, count: 0, firstDate: entry.date, lastDate: entry.date };
+        row.count += 1;
+        if (entry.date < row.firstDate) row.firstDate = entry.date;
+        if (entry.date > row.lastDate) row.lastDate = entry.date;
+        usage.set(recipeId, row);
+    }
+    return [...usage.values()].sort((a, b) => b.count - a.count || b.lastDate.localeCompare(a.lastDate));
 }
 
 /**
- * Counts how many of the needed roles this recipe provides.
- *
- * @param {Object} recipe - Recipe object with roles Set
- * @param {Set} neededRoles - Set of roles still needed
- * @returns {number} Count of needed roles this recipe provides
+ * Groups entries into meals (one per date and entry type) and counts, per
+ * month, the meals covering each role, the meals covering all of them, and
+ * the meals with a recipe of each category.
  *
- * @example
- * const gain = rolesGain(recipe, new Set(['role:protein', 'role:starch']));
- * // Returns 2 if recipe has both roles, 1 if only one, 0 if neither
+ * @param {Array<Object>} entries - Meal plan entries
+ * @param {Map<string, Object>} recipesById - Slim recipes by ID (recipes missing here count as meals without roles)
+ * @returns {Array<{month: string, meals: number, roles: Object, complete: number, categories: Object}>} Rows by month, oldest first
  */
-function rolesGain(recipe, neededRoles) {
-    let count = 0;
-    for (const role of recipe.roles) {
-        if (neededRoles.has(role)) count++;
+function monthlyBalance(entries, recipesById) {
+    const meals = new Map();
+    for (const entry of entries) {
+        const key = `${entry.date}|${entry.entryType}`;
+        const recipe = recipesById.get(entry.recipe?.id || entry.recipeId);
+        meals.set(key, [...(meals.get(key) || []), ...(recipe ? [recipe] : [])]);
     }
-    return count;
+
+    const months = new Map();
+    for (const [key, recipes] of meals) {
+        const month = key.slice(0, 7);
+        const row = months.get(month) || { month, meals: 0, roles: { protein: 0, starch: 0, vegetable: 0 }, complete: 0, categories: {} };
+        const covered = coveredRoles(recipes);
+        row.meals += 1;
+        for (const role of covered) row.roles[roleName(role)] += 1;
+        if (Object.values(ROLE_TAGS).every(role => covered.has(role))) row.complete += 1;
+        for (const category of new Set(recipes.flatMap(recipe => recipe.categories))) {
+            row.categories[category] = (row.categories[category] || 0) + 1;
+        }
+        months.set(month, row);
+    }
+    return [...months.values()].sort((a, b) => a.month.localeCompare(b.month));
 }
 
 /**
- * Checks if a recipe is "pure" for the needed role - meaning it has
- * exactly one role and that role is one we need.
+ * Finds, per entry type, the longest run of consecutive days with an entry
+ * and the run ending on the last day of the report.
  *
- * @param {Object} recipe - Recipe object with roles Set
- * @param {Set} neededRoles - Set of roles still needed
- * @returns {boolean} True if recipe has exactly one role that is needed
+ * @param {Array<Object>} entries - Meal plan entries
+ * @param {string} until - Last day of the report (YYYY-MM-DD)
+ * @returns {Array<{entryType: string, longest: {days: number, start: string, end: string}, current: number}>} One row per entry type
  */
-function isPureForNeeded(recipe, neededRoles) {
-    return recipe.roles.size === 1 && rolesGain(recipe, neededRoles) === 1;
+function planningStreaks(entries, until) {
+    const datesByType = new Map();
+    for (const entry of entries) {
+        datesByType.set(entry.entryType, (datesByType.get(entry.entryType) || new Set()).add(entry.date));
+    }
+
+    return [...datesByType].sort(([a], [b]) => a.localeCompare(b)).map(([entryType, dates]) => {
+        let longest = { days: 0, start: null, end: null };
+        let start = null;
+        let previous = null;
+        for (const date of [...dates].sort()) {
+            if (previous === null || daysBetween(previous, date) !== 1) start = date;
+            const days = daysBetween(start, date) + 1;
+            if (days > longest.days) longest = { days, start, end: date };
+            previous = date;
+        }
+        let current = 0;
+        for (let date = until; dates.has(date); date = offsetDate(date, -1)) current += 1;
+        return { entryType, longest, current };
+    });
 }
 
 /**
- * Comparison function for sorting recipes by "best" score.
- * Prefers recipes covering more needed roles, then fewer total roles.
+ * Builds the usage report (see runReport). "Never planned" covers the whole
+ * library; recipes the planner can't pick (no role tag or slot category) are
+ * marked as not plannable.
  *
- * @param {Object} a - First recipe to compare
- * @param {Object} b - Second recipe to compare
- * @param {Set} neededRoles - Roles still needed
- * @returns {number} Negative if a is better, positive if b is better
+ * @param {Array<Object>} entries - Meal plan entries of the active slots
+ * @param {Array<Object>} recipes - Slim recipes the planner can pick
+ * @param {{since?: string, until: string}} range - Report range (since defaults to the first entry)
+ * @param {Array<{id: string, name: string, slug: string|null}>} [library] - Every recipe in Mealie (default: the plannable ones)
+ * @returns {Object} Report with since, until, entries, notes, recipes, neverPlanned, months and streaks
  */
-function byBestScore(a, b, neededRoles) {
-    const gainA = rolesGain(a, neededRoles);
-    const gainB = rolesGain(b, neededRoles);
-    if (gainA !== gainB) return gainB - gainA;
-    if (a.roles.size !== b.roles.size) return a.roles.size - b.roles.size;
-    return Math.random() - 0.5;
+function buildReport(entries, recipes, { since, until }, library = recipes) {
+    const recipesById = new Map(recipes.map(recipe => [recipe.id, recipe]));
+    const usage = recipeUsage(entries).map(row => ({
+        ...row,
+        name: row.name ?? recipesById.get(row.recipeId)?.name ?? null,
+        slug: row.slug ?? recipesById.get(row.recipeId)?.slug ?? null,
+        daysSince: daysBetween(row.lastDate, until),
+    }));
+    const used = new Set(usage.map(row => row.recipeId));
+
+    return {
+        since: since || entries.map(entry => entry.date).sort()[0] || null,
+        until,
+        entries: entries.length,
+        notes: entries.filter(entry => !(entry.recipe?.id || entry.recipeId)).length,
+        recipes: usage,
+        neverPlanned: library
+            .filter(recipe => !used.has(recipe.id))
+            .map(recipe => ({ recipeId: recipe.id, name: recipe.name, slug: recipe.slug, plannable: recipesById.has(recipe.id) }))
+            .sort((a, b) => a.name.localeCompare(b.name)),
+        months: monthlyBalance(entries, recipesById),
+        streaks: planningStreaks(entries, until),
+    };
 }
 
 /**
- * Collects all roles covered by a set of picked recipes.
+ * Lays out rows as a text table with a header and aligned columns.
  *
- * @param {Array} picks - Array of recipe objects
- * @returns {Set} Set of all roles covered
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Array<string|number>>} rows - Table rows
+ * @returns {Array<string>} Table lines
  */
-function coveredRoles(picks) {
-    const covered = new Set();
-    for (const recipe of picks) {
-        for (const role of recipe.roles) {
-            covered.add(role);
-        }
-    }
-    return covered;
+function formatTable(headers, rows) {
+    const cells = [headers, ...rows].map(row => row.map(String));
+    const widths = headers.map((_, column) => Math.max(...cells.map(row => row[column].length)));
+    const line = row => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+    return [line(cells[0]), widths.map(width => '-'.repeat(width)).join('  '), ...cells.slice(1).map(line)];
 }
 
 /**
- * Counts how many elements are in both sets.
+ * Renders the usage report as text tables.
  *
- * @param {Set} setA - First set
- * @param {Set} setB - Second set
- * @returns {number} Count of elements in both sets
+ * @param {Object} report - Report (see buildReport)
+ * @param {number} [top] - Rows per recipe table
+ * @returns {Array<string>} Report lines
  */
-function countIntersect(setA, setB) {
-    let count = 0;
-    for (const value of setA) {
-        if (setB.has(value)) count++;
-    }
-    return count;
+function renderReport(report, top = REPORT_TOP) {
+    const usageRow = row => [row.name || row.recipeId, row.count, row.lastDate, row.daysSince];
+    const usageHeaders = ['Recipe', 'Times', 'Last planned', 'Days ago'];
+    const percent = (count, total) => `${total > 0 ? Math.round((count / total) * 100) : 0}%`;
+    const categories = [...new Set(report.months.flatMap(row => Object.keys(row.categories)))].sort();
+    const more = (count, shown) => (count > shown ? [`... and ${count - shown} more`] : []);
+    const neglected = [...report.recipes].sort((a, b) => a.lastDate.localeCompare(b.lastDate));
+
+    return [
+        `Meal plan history ${report.since || '-'} to ${report.until}: ${report.entries} entries (${report.notes} without a recipe), ${report.recipes.length} recipes`,
+        '',
+        'Most planned',
+        ...formatTable(usageHeaders, report.recipes.slice(0, top).map(usageRow)),
+        ...more(report.recipes.length, top),
+        '',
+        'Longest since last planned',
+        ...formatTable(usageHeaders, neglected.slice(0, top).map(usageRow)),
+        ...more(neglected.length, top),
+        '',
+        `Never planned (${report.neverPlanned.length}, ${report.neverPlanned.filter(recipe => !recipe.plannable).length} not plannable)`,
+        ...report.neverPlanned.slice(0, top).map(recipe => `  ${recipe.name}${recipe.plannable ? '' : ' (not plannable: no role tag or slot category)'}`),
+        ...more(report.neverPlanned.length, top),
+        '',
+        'Balance by month (share of meals)',
+        ...formatTable(
+            ['Month', 'Meals', 'Protein', 'Starch', 'Vegetable', 'All roles', ...categories.map(capitalize)],
+            report.months.map(row => [
+                row.month,
+                row.meals,
+                percent(row.roles.protein, row.meals),
+                percent(row.roles.starch, row.meals),
+                percent(row.roles.vegetable, row.meals),
+                percent(row.complete, row.meals),
+                ...categories.map(category => percent(row.categories[category] || 0, row.meals)),
+            ])
+        ),
+        '',
+        'Streaks (consecutive days planned)',
+        ...formatTable(
+            ['Slot', 'Longest', 'From', 'To', 'Current'],
+            report.streaks.map(row => [row.entryType, row.longest.days, row.longest.start || '-', row.longest.end || '-', row.current])
+        ),
+    ];
 }
 
 // ============================================================
@@ -413,21 +5055,23 @@ async function getCategoryObjects() {
  * @returns {Promise<Array>} Array of slim recipe objects with roles
  */
 async function getRoleLabeledRecipes() {
+    // Load the user's ratings and favorites so slim recipes can carry them
+    for (const [recipeId, rating] of await getUserRatings()) USER_RATINGS.set(recipeId, rating);
+
     // Resolve role tag IDs once
     const { list } = await getTagObjects();
     const findTagId = name =>
         (list.find(tag => tag.slug === name) || list.find(tag => tag.name === name))?.id;
 
+    // Resolve every category any active slot draws from (singular or plural)
     const { list: categoryList } = await getCategoryObjects();
-    const dinnerCat = categoryList.find(category =>
-        (category.slug?.toLowerCase() === 'dinner') || (category.name?.toLowerCase() === 'dinner')
-    );
-    const sideCat = categoryList.find(category =>
-        (category.slug?.toLowerCase() === 'side') || (category.name?.toLowerCase() === 'side') ||
-        (category.slug?.toLowerCase() === 'sides') || (category.name?.toLowerCase() === 'sides')
-    );
-    CATEGORY_IDS.dinner = dinnerCat?.id || CATEGORY_IDS.dinner;
-    CATEGORY_IDS.side = sideCat?.id || CATEGORY_IDS.side;
+    const slotCategories = new Set(SLOTS.flatMap(slot => slot.categories));
+    for (const name of slotCategories) {
+        const category = categoryList.find(cat =>
+            [cat.slug?.toLowerCase(), cat.name?.toLowerCase()].some(key => key === name || key === `${name}s`)
+        );
+        CATEGORY_IDS[name] = category?.id || CATEGORY_IDS[name] || null;
+    }
 
     const proteinId = findTagId(ROLE_TAGS.protein);
     const starchId  = findTagId(ROLE_TAGS.starch);
@@ -448,6 +5092,49 @@ async function getRoleLabeledRecipes() {
     return deduped;
 }
 
+/**
+ * Fetches the current user's recipe ratings and favorites.
+ * Falls back to the favorites list on /users/self for older Mealie versions.
+ *
+ * @returns {Promise<Map<string, {rating: number|null, isFavorite: boolean}>>} Keyed by recipe ID (or slug on the fallback)
+ */
+async function getUserRatings() {
+    const ratings = new Map();
+    try {
+        const data = await apiGET(`${BASE}/api/users/self/ratings`);
+        for (const item of data?.ratings || data?.items || []) {
+            if (!item?.recipeId) continue;
+            ratings.set(item.recipeId, { rating: item.rating ?? null, isFavorite: !!item.isFavorite });
+        }
+    } catch {
+        try {
+            const self = await apiGET(`${BASE}/api/users/self`);
+            for (const slug of self?.favoriteRecipes || []) {
+                ratings.set(slug, { rating: null, isFavorite: true });
+            }
+        } catch {
+            // Ratings are optional; plan without them
+        }
+    }
+    return ratings;
+}
+
+/**
+ * Fetches the current user's group slug, used in recipe links.
+ *
+ * @returns {Promise<string|null>} Group slug, or null if Mealie doesn't report one
+ */
+async function getGroupSlug() {
+    try {
+        const self = await apiGET(`${BASE}/api/users/self`);
+        if (self?.groupSlug) return self.groupSlug;
+        const group = await apiGET(`${BASE}/api/groups/self`);
+        return group?.slug || null;
+    } catch {
+        return null;
+    }
+}
+
 /**
  * Fetches recipes from Mealie filtered by tag IDs.
  *
@@ -457,9 +5144,10 @@ async function getRoleLabeledRecipes() {
 async function getRecipesByTagIds(tagIds) {
     const url = new URL(`${BASE}/api/recipes`);
     for (const id of tagIds) url.searchParams.append('tags', id);
-    // Include both dinner and side categories so we can build complete meals
-    if (CATEGORY_IDS.dinner) url.searchParams.append('categories', CATEGORY_IDS.dinner);
-    if (CATEGORY_IDS.side) url.searchParams.append('categories', CATEGORY_IDS.side);
+    // Include every slot category (dinner + side by default) so we can build complete meals
+    for (const id of Object.values(CATEGORY_IDS).filter(Boolean)) {
+        url.searchParams.append('categories', id);
+    }
     url.searchParams.set('perPage', '200');
     // Try to include/expand tags if supported (ignored if not)
     url.searchParams.set('include', 'tags');
@@ -479,6 +5167,28 @@ async function getRecipesByTagIds(tagIds) {
     return results;
 }
 
+/**
+ * Fetches every recipe in Mealie, with or without role tags or categories.
+ *
+ * @returns {Promise<Array<{id: string, name: string, slug: string|null}>>} Every recipe's ID, name and slug
+ */
+async function getAllRecipes() {
+    const url = new URL(`${BASE}/api/recipes`);
+    url.searchParams.set('perPage', '200');
+
+    const results = [];
+    let page = 1;
+    while (true) {
+        url.searchParams.set('page', String(page));
+        const data = await apiGET(url.toString());
+        const items = data?.items || data || [];
+        results.push(...items.map(item => ({ id: item.id, name: item.name, slug: item.slug || null })));
+        if (!data?.total || results.length >= data.total || items.length === 0) break;
+        page += 1;
+    }
+    return results;
+}
+
 /**
  * Hydrates recipes that came back without tags/roles by fetching each full recipe.
  *
@@ -487,24 +5197,66 @@ async function getRecipesByTagIds(tagIds) {
  * @returns {Promise<Array>} Hydrated recipe objects
  */
 async function hydrateMissingRoles(recipes, concurrency = 5) {
-    const results = [];
-    const workQueue = [...recipes];
+    // Results keep the input order so seeded runs see identical pools
+    const results = new Array(recipes.length);
+    const workQueue = recipes.map((recipe, index) => ({ recipe, index }));
     const workers = Array.from({ length: concurrency }, async () => {
         while (workQueue.length) {
-            const recipe = workQueue.shift();
+            const { recipe, index } = workQueue.shift();
             if (recipe.roles && recipe.roles.size > 0) {
-                results.push(recipe);
+                results[index] = recipe;
                 continue;
             }
             try {
                 const full = await apiGET(`${BASE}/api/recipes/${encodeURIComponent(recipe.id)}`);
-                results.push(await slimRecipeAsync(full, true));
+                results[index] = await slimRecipeAsync(full, true);
             } catch {
-                results.push(recipe);
+                results[index] = recipe;
+            }
+        }
+    });
+    await Promise.all(workers);
+    return results;
+}
+
+/**
+ * Fetches full recipes for those whose list result lacked details (ingredients
+ * or nutrition), so their foods, ingredient text, protein types, nutrition,
+ * cost and produce are complete. Keeps the input order; recipes that can't be
+ * fetched are kept as they are (foods and nutrition null), with a warning.
+ *
+ * @param {Array<Object>} recipes - Slim recipes
+ * @param {function(Object): boolean} needsDetails - Selects the recipes to fetch
+ * @param {number} [concurrency=5] - Parallel requests
+ * @returns {Promise<Array<Object>>} Slim recipes with details filled in where possible
+ */
+async function hydrateDetails(recipes, needsDetails, concurrency = 5) {
+    const results = [...recipes];
+    const workQueue = recipes.map((recipe, index) => ({ recipe, index })).filter(({ recipe }) => needsDetails(recipe));
+    const failed = [];
+    const workers = Array.from({ length: concurrency }, async () => {
+        while (workQueue.length) {
+            const { recipe, index } = workQueue.shift();
+            try {
+                const full = await getRecipeDetails(recipe.id);
+                results[index] = {
+                    ...recipe,
+                    foods: ingredientFoods(full),
+                    ingredientText: ingredientText(full),
+                    proteinTypes: detectProteinTypes(full, recipe.tags),
+                    nutrition: parseNutrition(full.nutrition),
+                    cost: estimateRecipeCost(full, PRICES, BUDGET.servings),
+                    produce: analyzeRecipe(full).vegMatches,
+                };
+            } catch (err) {
+                failed.push(`${recipe.name || recipe.id} (${err.message})`);
             }
         }
     });
     await Promise.all(workers);
+    if (failed.length > 0) {
+        console.warn(`[warn] Could not fetch details of ${failed.length} recipes: ${failed.slice(0, 3).join(', ')}${failed.length > 3 ? ', ...' : ''}`);
+    }
     return results;
 }
 
@@ -520,9 +5272,18 @@ async function listMealPlanRange(startDate, endDate) {
     url.searchParams.set('start_date', startDate);
     url.searchParams.set('end_date', endDate);
     url.searchParams.set('perPage', '200');
-    const data = await apiGET(url.toString());
-    const items = data?.items || data || [];
-    return items;
+
+    const results = [];
+    let page = 1;
+    while (true) {
+        url.searchParams.set('page', String(page));
+        const data = await apiGET(url.toString());
+        const items = data?.items || data || [];
+        results.push(...items);
+        if (!data?.total || results.length >= data.total || items.length === 0) break;
+        page += 1;
+    }
+    return results;
 }
 
 /**
@@ -533,15 +5294,93 @@ async function listMealPlanRange(startDate, endDate) {
  * @param {string} params.entryType - Type of meal (e.g., 'dinner')
  * @param {string} [params.recipeId] - Recipe UUID to link
  * @param {string} [params.title] - Text title if no recipe
+ * @param {string} [params.text] - Note shown on the entry
  * @returns {Promise<Object>} Created entry
  */
-async function createMealPlanEntry({ date, entryType, recipeId, title }) {
+async function createMealPlanEntry({ date, entryType, recipeId, title, text }) {
     const body = { date, entryType };
     if (recipeId) body.recipeId = recipeId;
     if (title)    body.title = title;
+    if (text)     body.text = text;
     return apiPOST(`${BASE}/api/households/mealplans`, body);
 }
 
+/**
+ * Deletes a meal plan entry from Mealie.
+ *
+ * @param {string} entryId - Meal plan entry ID
+ * @returns {Promise<Object>} API response
+ */
+async function deleteMealPlanEntry(entryId) {
+    return apiDELETE(`${BASE}/api/households/mealplans/${encodeURIComponent(entryId)}`);
+}
+
+/**
+ * Fetches a full recipe (including its ingredients).
+ *
+ * @param {string} recipeId - Recipe ID
+ * @returns {Promise<Object>} Recipe object
+ */
+async function getRecipeDetails(recipeId) {
+    return apiGET(`${BASE}/api/recipes/${encodeURIComponent(recipeId)}`);
+}
+
+/**
+ * Finds a shopping list by name (case-insensitive).
+ *
+ * @param {string} name - List name
+ * @returns {Promise<Object|null>} List summary, or null if there is none
+ */
+async function findShoppingList(name) {
+    const url = new URL(`${BASE}/api/households/shopping/lists`);
+    url.searchParams.set('perPage', '200');
+    const data = await apiGET(url.toString());
+    const lists = data?.items || data || [];
+    return lists.find(list => list.name?.toLowerCase() === name.toLowerCase()) || null;
+}
+
+/**
+ * Creates an empty shopping list.
+ *
+ * @param {string} name - List name
+ * @returns {Promise<Object>} Created list
+ */
+async function createShoppingList(name) {
+    return apiPOST(`${BASE}/api/households/shopping/lists`, { name });
+}
+
+/**
+ * Fetches a shopping list with its items.
+ *
+ * @param {string} listId - List ID
+ * @returns {Promise<Object>} List with listItems
+ */
+async function getShoppingList(listId) {
+    return apiGET(`${BASE}/api/households/shopping/lists/${encodeURIComponent(listId)}`);
+}
+
+/**
+ * Adds items to shopping lists in one request.
+ *
+ * @param {Array<Object>} items - Item payloads (see shoppingItemPayload)
+ * @returns {Promise<Object>} API response
+ */
+async function addShoppingItems(items) {
+    return apiPOST(`${BASE}/api/households/shopping/items/create-bulk`, items);
+}
+
+/**
+ * Deletes shopping list items.
+ *
+ * @param {Array<string>} itemIds - Item IDs
+ * @returns {Promise<Object>} API response
+ */
+async function deleteShoppingItems(itemIds) {
+    const url = new URL(`${BASE}/api/households/shopping/items`);
+    for (const id of itemIds) url.searchParams.append('ids', id);
+    return apiDELETE(url.toString());
+}
+
 // ============================================================
 // HTTP HELPERS
 // ============================================================
@@ -580,6 +5419,25 @@ async function apiPOST(url, body) {
     return res.json().catch(() => ({}));
 }
 
+/**
+ * Makes an authenticated DELETE request to the Mealie API.
+ *
+ * @param {string} url - Full URL to delete
+ * @returns {Promise<Object>} Parsed JSON response (empty object if none)
+ * @throws {Error} If response is not OK (with the HTTP status as `status`)
+ */
+async function apiDELETE(url) {
+    const res = await fetch(url, {
+        method: 'DELETE',
+        headers: { Authorization: `Bearer ${TOKEN}` },
+    });
+    if (!res.ok) {
+        const text = await res.text().catch(() => '');
+        throw Object.assign(new Error(`DELETE ${url} -> ${res.status} ${text}`), { status: res.status });
+    }
+    return res.json().catch(() => ({}));
+}
+
 // ============================================================
 // UTILITIES
 // ============================================================
@@ -588,7 +5446,7 @@ async function apiPOST(url, body) {
  * Parses command-line arguments into an options object.
  *
  * @param {Array<string>} argv - Array of command-line arguments
- * @returns {Object} Parsed arguments {start, days, norepeat, dry}
+ * @returns {Object} Parsed arguments {action, start, days, norepeat, dry, slots, config, seed, mode, date, all, minrating, strategy, timelimit, shoppinglist, listname, budget, ics, menu, format, pins, template, interactive, runid, since}
  *
  * @example
  * parseArgs(['--start', '2025-01-20', '--days', '7', '--dry'])
@@ -602,10 +5460,52 @@ function parseArgs(argv) {
         else if (arg === '--days') result.days = argv[++i];
         else if (arg === '--norepeat') result.norepeat = argv[++i];
         else if (arg === '--dry') result.dry = true;
+        else if (arg === '--slots') result.slots = argv[++i];
+        else if (arg === '--config') result.config = argv[++i];
+        else if (arg === '--seed') result.seed = argv[++i];
+        else if (arg === '--mode') result.mode = argv[++i];
+        else if (arg === '--date') result.date = argv[++i];
+        else if (arg === '--all') result.all = true;
+        else if (arg === '--min-rating') result.minrating = argv[++i];
+        else if (arg === '--strategy') result.strategy = argv[++i];
+        else if (arg === '--time-limit') result.timelimit = argv[++i];
+        else if (arg === '--shopping-list') result.shoppinglist = true;
+        else if (arg === '--list-name') result.listname = argv[++i];
+        else if (arg === '--budget') result.budget = argv[++i];
+        else if (arg === '--ics') result.ics = argv[++i];
+        else if (arg === '--menu') result.menu = argv[++i];
+        else if (arg === '--format') result.format = argv[++i];
+        else if (arg === '--pin') result.pins = [...(result.pins || []), argv[++i]];
+        else if (arg === '--template') result.template = argv[++i];
+        else if (arg === '--interactive') result.interactive = true;
+        else if (arg === '--since') result.since = argv[++i];
+        else if (arg.startsWith('--')) {
+            // Unknown flag: skip its value too, so it isn't taken for the action
+            if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) i++;
+        } else if (!result.action) result.action = arg;
+        else if (!result.runid) result.runid = arg;
     }
     return result;
 }
 
+/**
+ * Loads the optional JSON config file. An explicitly named file must exist;
+ * the default ./planner.config.json is only read if present.
+ *
+ * @param {string} [path] - Path to the config file
+ * @returns {Object} Parsed config (empty object if none)
+ * @throws {Error} If the file cannot be read or parsed
+ */
+function loadConfig(path) {
+    const file = path || 'planner.config.json';
+    if (!path && !fs.existsSync(file)) return {};
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        throw new Error(`Could not load config ${file}: ${err.message}`);
+    }
+}
+
 /**
  * Returns today's date in YYYY-MM-DD format.
  *
@@ -633,6 +5533,57 @@ function offsetDate(yyyyMmDd, deltaDays) {
     return d.toISOString().slice(0, 10);
 }
 
+/**
+ * Counts the days from one date to another.
+ *
+ * @param {string} from - Start date (YYYY-MM-DD)
+ * @param {string} to - End date (YYYY-MM-DD)
+ * @returns {number} Whole days (negative if `to` is earlier)
+ *
+ * @example
+ * daysBetween('2025-01-20', '2025-01-23') // Returns 3
+ */
+function daysBetween(from, to) {
+    return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+}
+
+/**
+ * Normalizes a tag name or slug for comparison ('Cuisine: Mexican' -> 'cuisine-mexican').
+ *
+ * @param {string} tag - Tag name or slug
+ * @returns {string} Lowercase slug-like string
+ */
+function normalizeTag(tag) {
+    return String(tag || '').toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Returns the three-letter weekday key for a date.
+ *
+ * @param {string} yyyyMmDd - Date string in YYYY-MM-DD format
+ * @returns {string} One of 'sun', 'mon', ... 'sat'
+ *
+ * @example
+ * weekdayOf('2025-01-20') // Returns 'mon'
+ */
+function weekdayOf(yyyyMmDd) {
+    return WEEKDAYS[new Date(yyyyMmDd + 'T00:00:00Z').getUTCDay()];
+}
+
+/**
+ * Returns the Monday-to-Sunday week containing a date.
+ *
+ * @param {string} yyyyMmDd - Date string in YYYY-MM-DD format
+ * @returns {Array<string>} Seven date strings, Monday first
+ *
+ * @example
+ * weekOf('2025-01-22') // Returns ['2025-01-20', ..., '2025-01-26']
+ */
+function weekOf(yyyyMmDd) {
+    const sinceMonday = (WEEKDAYS.indexOf(weekdayOf(yyyyMmDd)) + 6) % 7;
+    return rangeDays(offsetDate(yyyyMmDd, -sinceMonday), 7);
+}
+
 /**
  * Generates an array of consecutive dates starting from a given date.
  *
@@ -648,13 +5599,52 @@ function rangeDays(start, count) {
 }
 
 /**
- * Shuffles an array using Fisher-Yates-like randomization.
+ * Shuffles an array using a Fisher-Yates shuffle driven by the seeded generator.
  *
  * @param {Array} arr - Array to shuffle
  * @returns {Array} New shuffled array (original unchanged)
  */
 function shuffled(arr) {
-    return [...arr].sort(() => Math.random() - 0.5);
+    const copy = [...arr];
+    for (let i = copy.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy;
+}
+
+/**
+ * Creates a seeded pseudo-random generator (mulberry32) from any string or number.
+ * The same seed always yields the same sequence.
+ *
+ * @param {string|number} seed - Seed value
+ * @returns {function(): number} Generator returning floats in [0, 1)
+ *
+ * @example
+ * const rng = createRng('20250120');
+ * rng(); // Always the same first value for this seed
+ */
+function createRng(seed) {
+    // FNV-1a hash turns arbitrary seed strings into a 32-bit state
+    let state = 2166136261;
+    for (const char of String(seed)) {
+        state = Math.imul(state ^ char.codePointAt(0), 16777619);
+    }
+    return function next() {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Re-seeds the shared generator used by every random choice in the planner.
+ *
+ * @param {string|number} seed - Seed value
+ */
+function seedRandom(seed) {
+    random = createRng(seed);
 }
 
 /**
@@ -796,13 +5786,43 @@ async function collectTagStrings(recipe, allowFetch = false) {
     return Array.from(strings);
 }
 
+/**
+ * Joins a recipe's ingredient lines into one lowercase string for keyword matching.
+ *
+ * @param {Object} recipe - Recipe object from the Mealie API
+ * @returns {string|null} Ingredient text, or null if the recipe has no ingredient data
+ */
+function ingredientText(recipe) {
+    if (!Array.isArray(recipe.recipeIngredient)) return null;
+    return recipe.recipeIngredient
+        .map(ingredient => [ingredient?.food?.name, ingredient?.note || ingredient?.display || ingredient?.originalText].filter(Boolean).join(' '))
+        .join(' ')
+        .toLowerCase();
+}
+
+/**
+ * Extracts the structured food names of a recipe's ingredients.
+ *
+ * @param {Object} recipe - Recipe object from the Mealie API
+ * @returns {Array<string>|null} Lowercase food names, or null if the recipe has no ingredient data
+ *
+ * @example
+ * ingredientFoods({ recipeIngredient: [{ food: { name: 'Cilantro' } }, { note: 'salt' }] })
+ * // Returns ['cilantro']
+ */
+function ingredientFoods(recipe) {
+    if (!Array.isArray(recipe.recipeIngredient)) return null;
+    const names = recipe.recipeIngredient.map(ingredient => ingredient?.food?.name?.trim().toLowerCase()).filter(Boolean);
+    return Array.from(new Set(names));
+}
+
 /**
  * Creates a slim recipe object with role information.
  * Handles various Mealie API response formats.
  *
  * @param {Object} recipe - Full recipe object from API
  * @param {boolean} allowFetch - Whether to fetch tags from API as fallback
- * @returns {Promise<Object>} Slim recipe with id, name, roles Set, and isDinner boolean
+ * @returns {Promise<Object>} Slim recipe with id, name, roles Set, tags, categories, isDinner boolean, cook times, rating and protein types
  */
 async function slimRecipeAsync(recipe, allowFetch = false) {
     // 1) Try IDs from the object we already have
@@ -837,15 +5857,60 @@ async function slimRecipeAsync(recipe, allowFetch = false) {
         if (stringSet.has(normalize(ROLE_TAGS.veg)))     roles.add(ROLE_TAGS.veg);
     }
 
-    // 5) Store categories
-    const categories = (recipe.categories || []).map(cat => (cat.slug || cat.name || '').toLowerCase());
+    // 5) Cook times in minutes (null when Mealie has none)
+    const prepMinutes = parseDurationMinutes(recipe.prepTime);
+    const performMinutes = parseDurationMinutes(recipe.performTime ?? recipe.cookTime);
+    const totalMinutes = parseDurationMinutes(recipe.totalTime) ??
+        (prepMinutes !== null || performMinutes !== null ? (prepMinutes ?? 0) + (performMinutes ?? 0) : null);
+
+    // 6) Keep every tag (normalized) for theme rules and other tag filters
+    const tags = Array.from(new Set(extractTagStringsFromAnyShape(recipe).map(normalizeTag))).filter(Boolean);
+
+    // 7) Rating (the user's own, else the recipe's) and favorite status
+    const userRating = USER_RATINGS.get(recipe.id) || USER_RATINGS.get(recipe.slug);
+    const rating = userRating?.rating ?? recipe.rating ?? null;
+    const isFavorite = !!userRating?.isFavorite;
+
+    // 8) Protein types for variety rules
+    const proteinTypes = detectProteinTypes(recipe, tags);
+
+    // 9) Ingredient foods and text (null when the list result has no ingredients)
+    const foods = ingredientFoods(recipe);
+
+    // 10) Nutrition per serving (null when Mealie has none)
+    const nutrition = parseNutrition(recipe.nutrition);
+
+    // 11) Estimated cost from the price table (null without prices or ingredients)
+    const cost = estimateRecipeCost(recipe, PRICES, BUDGET.servings);
+
+    // 12) Vegetable keywords for seasonality
+    const produce = analyzeRecipe(recipe).vegMatches;
+
+    // 13) Store categories
+    const categories = (recipe.recipeCategory || recipe.categories || [])
+        .map(cat => (cat.slug || cat.name || '').toLowerCase())
+        .filter(Boolean);
     const isDinner = categories.includes('dinner');
 
     return {
         id:   recipe.id || recipe.slug || recipe.uid || recipe.recipeId || recipe._id,
         name: recipe.name || recipe.title || recipe.recipeName || '',
+        slug: recipe.slug || null,
         roles,
+        tags,
+        categories,
         isDinner,
+        prepMinutes,
+        performMinutes,
+        totalMinutes,
+        rating,
+        isFavorite,
+        proteinTypes,
+        foods,
+        ingredientText: ingredientText(recipe),
+        nutrition,
+        cost,
+        produce,
     };
 }
 
@@ -853,10 +5918,13 @@ async function slimRecipeAsync(recipe, allowFetch = false) {
 // RUN MAIN
 // ============================================================
 
-main().catch(err => {
-    console.error('[fatal]', err);
-    process.exit(1);
-});
+// Only run when executed directly, not when imported by the tests
+if (process.argv[1] && import.meta.url === pathToFileURL(fs.realpathSync(process.argv[1])).href) {
+    main().catch(err => {
+        console.error('[fatal]', err);
+        process.exit(1);
+    });
+}
 
 // ============================================================
 // TEST EXPORTS
@@ -870,6 +5938,8 @@ export const _testExports = {
     offsetDate,
     rangeDays,
     shuffled,
+    createRng,
+    seedRandom,
     rolesGain,
     isPureForNeeded,
     byBestScore,
@@ -877,4 +5947,154 @@ export const _testExports = {
     countIntersect,
     trySelectCompleteMeal,
     buildMealFromComponents,
+    resolveSlots,
+    resolveNoRepeatEntryTypes,
+    countsTowardNoRepeat,
+    recipeNameIndex,
+    entryRecipeId,
+    recipeFitsSlot,
+    buildPools,
+    recentRecipeIdsForSlot,
+    slotAppliesOn,
+    existingEntriesFor,
+    resolveDateAction,
+    describeEntries,
+    isPlannerEntry,
+    rerollAvoidIds,
+    weekdayOf,
+    normalizeTag,
+    resolveThemes,
+    themesFor,
+    recipeMatchesTheme,
+    applyThemes,
+    mealMatchesThemes,
+    parseDurationMinutes,
+    recipeMinutes,
+    budgetMinutes,
+    mealTimeLabel,
+    warnTimeBudget,
+    fitsTimeBudget,
+    resolveTimeBudgets,
+    timeBudgetFor,
+    resolveWeighting,
+    recipeWeight,
+    meetsMinRating,
+    weightedPick,
+    resolveVariety,
+    varietyNeedsProteins,
+    hasProteinTag,
+    detectProteinTypes,
+    proteinTypesFromKeywords,
+    buildProteinHistory,
+    recordProteinTypes,
+    varietyAllows,
+    filterPools,
+    weekOf,
+    daysBetween,
+    resolveOptimizer,
+    optimizerDeadline,
+    candidateKey,
+    mealScore,
+    scorePlan,
+    countRepeats,
+    searchPlan,
+    mergeIngredients,
+    formatQuantity,
+    formatShoppingItem,
+    shoppingItemPayload,
+    isPlannerShoppingItem,
+    ingredientFoods,
+    recipePerishables,
+    perishableUsage,
+    overlapScore,
+    recordPerishables,
+    openedPerishables,
+    overlapFactor,
+    ingredientText,
+    resolveExclusions,
+    hasExclusions,
+    exclusionsNeedIngredients,
+    dropUnknownIngredients,
+    hydrateDetails,
+    apiDELETE,
+    describeExclusions,
+    excludedBy,
+    copyHistory,
+    resolveHousehold,
+    matchesPreferences,
+    memberOpinion,
+    mealOpinion,
+    householdSatisfaction,
+    householdFactor,
+    buildDislikeHistory,
+    recordDislikes,
+    dislikesAllow,
+    excessDislikes,
+    parseNutrition,
+    resolveNutrition,
+    hasNutritionTargets,
+    nutritionShare,
+    scaleRanges,
+    sumNutrition,
+    nutritionPenalty,
+    mealNutritionPenalty,
+    planNutritionPenalty,
+    formatNutrition,
+    groupByWeek,
+    resolvePrices,
+    resolveBudget,
+    normalizeUnit,
+    recipeServings,
+    findPrice,
+    ingredientCost,
+    estimateRecipeCost,
+    recipeCost,
+    mealCost,
+    formatCost,
+    createBudgetTracker,
+    budgetAllowance,
+    recordSpend,
+    slotBudgetShares,
+    budgetPenalty,
+    planBudgetOverrun,
+    PRODUCE_SEASONS,
+    resolveSeasons,
+    monthOf,
+    seasonalProduce,
+    seasonFactor,
+    recipeUrl,
+    calendarEvents,
+    escapeIcsText,
+    foldIcsLine,
+    icsDateTime,
+    buildCalendar,
+    compactIngredients,
+    menuDays,
+    renderMenuMarkdown,
+    escapeHtml,
+    renderMenuHtml,
+    pickReasons,
+    withReasons,
+    roleName,
+    buildJsonOutput,
+    resolveTemplate,
+    parsePins,
+    fixedMealsFor,
+    resolveFixedMeals,
+    findRecipeByRef,
+    parseReviewCommand,
+    describeProposal,
+    reviewContext,
+    swapComponent,
+    recipeUsage,
+    monthlyBalance,
+    planningStreaks,
+    resolveCooldowns,
+    resolveResurface,
+    recipeCooldown,
+    cooldownIds,
+    resurfaceFactor,
+    buildReport,
+    formatTable,
+    renderReport,
 };
@@ -13,6 +13,7 @@ const {
     matchesKeyword,
     analyzeRecipe,
     determineCategory,
+    recipeUpdateBody,
     PROTEIN_KEYWORDS_SUBSTANTIAL,
     DESSERT_INDICATORS,
     BREAKFAST_INDICATORS,
@@ -46,6 +47,11 @@ describe('parseArgs', () => {
         expect(result).toEqual({});
     });
 
+    it('parses the history and undo commands', () => {
+        expect(parseArgs(['history'])).toEqual({ action: 'history' });
+        expect(parseArgs(['undo', '20250120T183000-tag', '--apply'])).toEqual({ action: 'undo', runid: '20250120T183000-tag', apply: true });
+    });
+
     it('ignores unknown flags', () => {
         const result = parseArgs(['--unknown', '--apply']);
         expect(result.apply).toBe(true);
@@ -283,6 +289,21 @@ describe('keyword lists', () => {
     });
 });
 
+// ============================================================
+// recipeUpdateBody tests
+// ============================================================
+
+describe('recipeUpdateBody', () => {
+    it('sends full objects and leaves out IDs it cannot name', () => {
+        const tagObjects = { t1: { id: 't1', name: 'role:protein', slug: 'role-protein' }, t2: { id: 't2', name: 'Old' } };
+        const categoryObjects = { c1: { id: 'c1', name: 'Dinner', slug: 'dinner' } };
+        expect(recipeUpdateBody(['t1', 't2', 't3'], ['c1', 'c9'], tagObjects, categoryObjects)).toEqual({
+            tags: [tagObjects.t1],
+            recipeCategory: [categoryObjects.c1],
+        });
+    });
+});
+
 // ============================================================
 // Edge case tests
 // ============================================================
@@ -0,0 +1,137 @@
+/**
+ * Tests for journal.js
+ *
+ * Runs are written to a temporary directory per test.
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {
+    runIdFor,
+    createJournal,
+    readRun,
+    listRuns,
+    undoSteps,
+    markChangeUndone,
+    markUndone,
+    describeChanges,
+    formatRun,
+    removedEntryChange,
+    slimTerms,
+} from '../journal.js';
+
+let dir;
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-'));
+});
+
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const now = new Date('2025-01-20T18:30:00.123Z');
+const created = (entryId, date) => ({ type: 'mealplan-create', entryId, date, entryType: 'dinner', recipeId: 'r1', title: null, name: 'Tacos' });
+
+// ============================================================
+// Writing runs
+// ============================================================
+
+describe('createJournal', () => {
+    it('builds sortable run IDs from the start time and command', () => {
+        expect(runIdFor('plan', now)).toBe('20250120T183000-plan');
+    });
+
+    it('writes nothing until the first change', () => {
+        const journal = createJournal({ script: 'plan-dinner', command: 'plan', argv: ['--days', '7'] }, { dir, now });
+        expect(fs.readdirSync(dir)).toEqual([]);
+
+        journal.record(created('e1', '2025-01-20'));
+        journal.record(created('e2', '2025-01-21'));
+        const run = readRun('20250120T183000-plan', dir);
+        expect(run).toMatchObject({ script: 'plan-dinner', command: 'plan', argv: ['--days', '7'], undoneAt: null });
+        expect(run.changes.map(change => change.entryId)).toEqual(['e1', 'e2']);
+    });
+
+    it('does not reuse the ID of an existing run', () => {
+        createJournal({ script: 'plan-dinner', command: 'plan' }, { dir, now }).record(created('e1', '2025-01-20'));
+        const second = createJournal({ script: 'plan-dinner', command: 'plan' }, { dir, now });
+        expect(second.run.runId).toBe('20250120T183000-plan-2');
+    });
+});
+
+// ============================================================
+// Reading runs
+// ============================================================
+
+describe('readRun and listRuns', () => {
+    it('rejects unknown and malformed run IDs', () => {
+        expect(() => readRun('20250120T183000-plan', dir)).toThrow(/No run/);
+        expect(() => readRun('../secrets', dir)).toThrow(/Invalid run ID/);
+    });
+
+    it('lists runs oldest first and skips unreadable files', () => {
+        createJournal({ script: 'auto-tag', command: 'tag' }, { dir, now: new Date('2025-01-21T08:00:00Z') })
+            .record({ type: 'recipe-update', slug: 'tacos', name: 'Tacos', before: { tags: [], recipeCategory: [] }, after: { tags: [], recipeCategory: [] } });
+        createJournal({ script: 'plan-dinner', command: 'plan' }, { dir, now }).record(created('e1', '2025-01-20'));
+        fs.writeFileSync(path.join(dir, 'broken.json'), '{');
+        expect(listRuns(dir).map(run => run.runId)).toEqual(['20250120T183000-plan', '20250121T080000-tag']);
+        expect(listRuns(path.join(dir, 'missing'))).toEqual([]);
+    });
+});
+
+// ============================================================
+// Undo
+// ============================================================
+
+describe('undo helpers', () => {
+    it('reverts changes last first and marks the run undone', () => {
+        const journal = createJournal({ script: 'plan-dinner', command: 'plan' }, { dir, now });
+        journal.record(created('e1', '2025-01-20'));
+        journal.record(created('e2', '2025-01-21'));
+        expect(undoSteps(journal.run).map(change => change.entryId)).toEqual(['e2', 'e1']);
+
+        markUndone(journal.run, dir, new Date('2025-01-21T08:00:00Z'));
+        expect(readRun(journal.run.runId, dir).undoneAt).toBe('2025-01-21T08:00:00.000Z');
+    });
+
+    it('skips changes an interrupted undo already reverted', () => {
+        const journal = createJournal({ script: 'plan-dinner', command: 'plan' }, { dir, now });
+        journal.record(created('e1', '2025-01-20'));
+        journal.record(created('e2', '2025-01-21'));
+        const [first] = undoSteps(journal.run);
+        markChangeUndone(journal.run, first, dir, new Date('2025-01-21T08:00:00Z'));
+
+        const saved = readRun(journal.run.runId, dir);
+        expect(saved.changes[1].undoneAt).toBe('2025-01-21T08:00:00.000Z');
+        expect(saved.undoneAt).toBeNull();
+        expect(undoSteps(saved).map(change => change.entryId)).toEqual(['e1']);
+    });
+
+    it('keeps what is needed to recreate a deleted entry', () => {
+        const entry = { id: 'e9', date: '2025-01-22', entryType: 'dinner', recipe: { id: 'r3', name: 'Salmon Bowl' }, text: 'note' };
+        expect(removedEntryChange(entry)).toEqual({
+            type: 'mealplan-delete', entryId: 'e9', date: '2025-01-22', entryType: 'dinner',
+            recipeId: 'r3', title: null, text: 'note', name: 'Salmon Bowl',
+        });
+        expect(removedEntryChange({ id: 'e8', date: '2025-01-22', entryType: 'lunch', title: 'Leftovers' }).name).toBe('Leftovers');
+    });
+
+    it('slims tags and categories to id, name and slug', () => {
+        expect(slimTerms([{ id: 't1', name: 'role:protein', slug: 'role-protein', groupId: 'g' }])).toEqual([{ id: 't1', name: 'role:protein', slug: 'role-protein' }]);
+        expect(slimTerms(undefined)).toEqual([]);
+    });
+
+    it('summarizes runs for the history listing', () => {
+        const run = {
+            runId: '20250120T183000-plan', script: 'plan-dinner', argv: ['--days', '3'], undoneAt: null,
+            changes: [created('e1', '2025-01-20'), created('e2', '2025-01-21'), { type: 'mealplan-delete' }],
+        };
+        expect(describeChanges(run)).toBe('2 entries created, 1 removed');
+        expect(describeChanges({ changes: [] })).toBe('no changes');
+        expect(formatRun(run)).toBe('20250120T183000-plan  plan-dinner.js --days 3  2 entries created, 1 removed');
+        expect(formatRun({ ...run, undoneAt: '2025-01-21T08:00:00.000Z' })).toMatch(/\(undone 2025-01-21T08:00:00.000Z\)$/);
+    });
+});
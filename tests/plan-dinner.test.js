@@ -5,13 +5,18 @@
  * making actual API calls to Mealie.
  */
 
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { _testExports } from '../plan-dinner.js';
+import { VEGETABLE_KEYWORDS } from '../auto-tag.js';
+import fs from 'node:fs';
 
 const {
     parseArgs,
     offsetDate,
     rangeDays,
+    shuffled,
+    createRng,
+    seedRandom,
     rolesGain,
     isPureForNeeded,
     byBestScore,
@@ -19,6 +24,152 @@ const {
     countIntersect,
     trySelectCompleteMeal,
     buildMealFromComponents,
+    resolveSlots,
+    recipeFitsSlot,
+    buildPools,
+    recentRecipeIdsForSlot,
+    resolveNoRepeatEntryTypes,
+    recipeNameIndex,
+    entryRecipeId,
+    slotAppliesOn,
+    existingEntriesFor,
+    resolveDateAction,
+    describeEntries,
+    isPlannerEntry,
+    rerollAvoidIds,
+    weekdayOf,
+    normalizeTag,
+    resolveThemes,
+    themesFor,
+    recipeMatchesTheme,
+    applyThemes,
+    mealMatchesThemes,
+    parseDurationMinutes,
+    budgetMinutes,
+    mealTimeLabel,
+    warnTimeBudget,
+    fitsTimeBudget,
+    resolveTimeBudgets,
+    timeBudgetFor,
+    resolveWeighting,
+    recipeWeight,
+    meetsMinRating,
+    weightedPick,
+    resolveVariety,
+    varietyNeedsProteins,
+    hasProteinTag,
+    detectProteinTypes,
+    proteinTypesFromKeywords,
+    buildProteinHistory,
+    recordProteinTypes,
+    varietyAllows,
+    filterPools,
+    weekOf,
+    daysBetween,
+    resolveOptimizer,
+    optimizerDeadline,
+    candidateKey,
+    mealScore,
+    scorePlan,
+    countRepeats,
+    searchPlan,
+    mergeIngredients,
+    formatQuantity,
+    formatShoppingItem,
+    shoppingItemPayload,
+    isPlannerShoppingItem,
+    ingredientFoods,
+    recipePerishables,
+    perishableUsage,
+    overlapScore,
+    recordPerishables,
+    openedPerishables,
+    overlapFactor,
+    ingredientText,
+    resolveExclusions,
+    hasExclusions,
+    exclusionsNeedIngredients,
+    dropUnknownIngredients,
+    hydrateDetails,
+    apiDELETE,
+    describeExclusions,
+    excludedBy,
+    copyHistory,
+    resolveHousehold,
+    matchesPreferences,
+    memberOpinion,
+    mealOpinion,
+    householdSatisfaction,
+    householdFactor,
+    buildDislikeHistory,
+    recordDislikes,
+    dislikesAllow,
+    excessDislikes,
+    parseNutrition,
+    resolveNutrition,
+    hasNutritionTargets,
+    nutritionShare,
+    scaleRanges,
+    sumNutrition,
+    nutritionPenalty,
+    mealNutritionPenalty,
+    planNutritionPenalty,
+    formatNutrition,
+    groupByWeek,
+    resolvePrices,
+    resolveBudget,
+    normalizeUnit,
+    recipeServings,
+    findPrice,
+    ingredientCost,
+    estimateRecipeCost,
+    mealCost,
+    createBudgetTracker,
+    budgetAllowance,
+    recordSpend,
+    slotBudgetShares,
+    budgetPenalty,
+    planBudgetOverrun,
+    PRODUCE_SEASONS,
+    resolveSeasons,
+    monthOf,
+    seasonalProduce,
+    seasonFactor,
+    recipeUrl,
+    calendarEvents,
+    escapeIcsText,
+    foldIcsLine,
+    icsDateTime,
+    buildCalendar,
+    compactIngredients,
+    menuDays,
+    renderMenuMarkdown,
+    escapeHtml,
+    renderMenuHtml,
+    pickReasons,
+    withReasons,
+    roleName,
+    buildJsonOutput,
+    resolveTemplate,
+    parsePins,
+    fixedMealsFor,
+    resolveFixedMeals,
+    findRecipeByRef,
+    parseReviewCommand,
+    describeProposal,
+    reviewContext,
+    swapComponent,
+    recipeUsage,
+    monthlyBalance,
+    planningStreaks,
+    resolveCooldowns,
+    resolveResurface,
+    recipeCooldown,
+    cooldownIds,
+    resurfaceFactor,
+    buildReport,
+    formatTable,
+    renderReport,
 } = _testExports;
 
 // ============================================================
@@ -56,16 +207,63 @@ describe('parseArgs', () => {
         });
     });
 
+    it('parses --slots and --config flags', () => {
+        const result = parseArgs(['--slots', 'breakfast,dinner', '--config', 'my.json']);
+        expect(result.slots).toBe('breakfast,dinner');
+        expect(result.config).toBe('my.json');
+    });
+
     it('returns empty object for no arguments', () => {
         const result = parseArgs([]);
         expect(result).toEqual({});
     });
 
+    it('parses the run ID of undo', () => {
+        const result = parseArgs(['undo', '20250120T183000-plan', '--dry']);
+        expect(result).toEqual({ action: 'undo', runid: '20250120T183000-plan', dry: true });
+    });
+
+    it('parses report --since', () => {
+        const result = parseArgs(['report', '--since', '2024-01-01']);
+        expect(result).toEqual({ action: 'report', since: '2024-01-01' });
+    });
+
+    it('parses --interactive flag', () => {
+        const result = parseArgs(['--interactive']);
+        expect(result.interactive).toBe(true);
+    });
+
+    it('parses --seed flag', () => {
+        const result = parseArgs(['--seed', 'abc']);
+        expect(result.seed).toBe('abc');
+    });
+
+    it('parses --min-rating flag', () => {
+        const result = parseArgs(['--min-rating', '3']);
+        expect(result.minrating).toBe('3');
+    });
+
+    it('parses --mode flag', () => {
+        const result = parseArgs(['--mode', 'replace']);
+        expect(result.mode).toBe('replace');
+    });
+
+    it('parses a positional action with --date and --all', () => {
+        expect(parseArgs(['reroll', '--date', '2025-01-22'])).toEqual({ action: 'reroll', date: '2025-01-22' });
+        expect(parseArgs(['clear', '--all', '--dry'])).toEqual({ action: 'clear', all: true, dry: true });
+    });
+
     it('ignores unknown flags', () => {
         const result = parseArgs(['--unknown', 'value', '--dry']);
         expect(result.dry).toBe(true);
         expect(result.unknown).toBeUndefined();
     });
+
+    it('does not take the value of an unknown flag for the action', () => {
+        expect(parseArgs(['--unknown', 'value'])).toEqual({});
+        expect(parseArgs(['--unknown', 'value', 'undo', 'r1'])).toEqual({ action: 'undo', runid: 'r1' });
+        expect(parseArgs(['history', '--unknown', '--dry'])).toEqual({ action: 'history', dry: true });
+    });
 });
 
 // ============================================================
@@ -503,3 +701,1843 @@ describe('no-repeat date window', () => {
         expect(windowStart).toBe('2024-12-28');
     });
 });
+
+// ============================================================
+// Meal slot tests
+// ============================================================
+
+describe('resolveSlots', () => {
+    it('defaults to a single dinner slot', () => {
+        const slots = resolveSlots(undefined, {}, 5);
+        expect(slots.map(slot => slot.name)).toEqual(['dinner']);
+        expect(slots[0].entryType).toBe('dinner');
+        expect(slots[0].noRepeatDays).toBe(5);
+    });
+
+    it('resolves built-in slots from a comma-separated list', () => {
+        const slots = resolveSlots('breakfast, dinner', {}, 5);
+        expect(slots.map(slot => slot.entryType)).toEqual(['breakfast', 'dinner']);
+        expect(slots[0].roles).toEqual(['protein', 'starch']);
+        expect(slots[0].noRepeatDays).toBe(3);
+    });
+
+    it('applies config overrides and uses config keys when no list is given', () => {
+        const slots = resolveSlots(undefined, {
+            breakfast: { noRepeatDays: 2, weekdays: ['Monday', 'Tuesday'] },
+        }, 5);
+        expect(slots.length).toBe(1);
+        expect(slots[0].noRepeatDays).toBe(2);
+        expect(slots[0].weekdays).toEqual(['mon', 'tue']);
+        expect(slots[0].categories).toEqual(['breakfast']);
+    });
+
+    it('throws for an unknown slot', () => {
+        expect(() => resolveSlots('brunch', {}, 5)).toThrow(/Unknown meal slot/);
+    });
+
+    it('counts only the slot\'s own entry type toward no-repeat by default', () => {
+        const [dinner] = resolveSlots('dinner', {}, 5);
+        expect(dinner.noRepeatEntryTypes).toEqual(['dinner']);
+    });
+
+    it('lets a slot override the default no-repeat entry types', () => {
+        const [lunch, dinner] = resolveSlots('lunch,dinner', { dinner: { noRepeatEntryTypes: ['all'] } }, 5, 'lunch,dinner');
+        expect(lunch.noRepeatEntryTypes).toEqual(['lunch', 'dinner']);
+        expect(dinner.noRepeatEntryTypes).toEqual(['all']);
+    });
+});
+
+describe('resolveNoRepeatEntryTypes', () => {
+    it('always includes the slot\'s own entry type', () => {
+        expect(resolveNoRepeatEntryTypes(' Lunch ', 'dinner')).toEqual(['dinner', 'lunch']);
+        expect(resolveNoRepeatEntryTypes(['breakfast', 'dinner'], 'dinner')).toEqual(['dinner', 'breakfast']);
+        expect(resolveNoRepeatEntryTypes(null, 'dinner')).toEqual(['dinner']);
+    });
+
+    it('collapses to all when any type counts', () => {
+        expect(resolveNoRepeatEntryTypes('lunch,all', 'dinner')).toEqual(['all']);
+    });
+});
+
+describe('recipeFitsSlot', () => {
+    const [breakfast] = resolveSlots('breakfast', {}, 5);
+    const [dinner] = resolveSlots('dinner', {}, 5);
+
+    it('matches recipes by category', () => {
+        expect(recipeFitsSlot({ categories: ['breakfast'] }, breakfast)).toBe(true);
+        expect(recipeFitsSlot({ categories: ['dinner'] }, breakfast)).toBe(false);
+    });
+
+    it('accepts plural category names', () => {
+        expect(recipeFitsSlot({ categories: ['sides'] }, dinner)).toBe(true);
+    });
+
+    it('only allows uncategorized recipes where the slot permits it', () => {
+        expect(recipeFitsSlot({ categories: [] }, dinner)).toBe(true);
+        expect(recipeFitsSlot({ categories: [] }, breakfast)).toBe(false);
+    });
+});
+
+describe('buildPools', () => {
+    const recipes = [
+        { id: 'a', roles: new Set(['role:protein', 'role:starch']) },
+        { id: 'b', roles: new Set(['role:vegetable']) },
+    ];
+
+    it('leaves pools empty for roles the slot does not need', () => {
+        const [breakfast] = resolveSlots('breakfast', {}, 5);
+        const pools = buildPools(recipes, breakfast);
+        expect(pools.completePool.map(r => r.id)).toEqual(['a']);
+        expect(pools.vegPool).toEqual([]);
+    });
+
+    it('requires every role for the complete pool', () => {
+        const [dinner] = resolveSlots('dinner', {}, 5);
+        const pools = buildPools(recipes, dinner);
+        expect(pools.completePool).toEqual([]);
+        expect(pools.vegPool.map(r => r.id)).toEqual(['b']);
+    });
+});
+
+describe('recentRecipeIdsForSlot', () => {
+    const entries = [
+        { date: '2025-01-18', entryType: 'breakfast', recipe: { id: 'b1' } },
+        { date: '2025-01-12', entryType: 'breakfast', recipe: { id: 'b-old' } },
+        { date: '2025-01-18', entryType: 'dinner', recipe: { id: 'd1' } },
+        { date: '2025-01-19', entryType: 'breakfast', title: 'Cereal' },
+    ];
+
+    it('keeps only entries of the slot type inside its window', () => {
+        const [breakfast] = resolveSlots('breakfast', {}, 5);
+        const ids = recentRecipeIdsForSlot(entries, breakfast, '2025-01-20');
+        expect([...ids]).toEqual(['b1']);
+    });
+
+    it('counts the configured entry types and title-only entries matching a recipe name', () => {
+        const [breakfast] = resolveSlots('breakfast', {}, 5, 'dinner');
+        const recipeIdsByName = recipeNameIndex([{ id: 'cereal', name: 'Cereal' }]);
+        const ids = recentRecipeIdsForSlot(entries, breakfast, '2025-01-20', recipeIdsByName);
+        expect([...ids].sort()).toEqual(['b1', 'cereal', 'd1']);
+    });
+});
+
+describe('entryRecipeId', () => {
+    const recipeIdsByName = recipeNameIndex([
+        { id: 'r1', name: 'Beef Tacos' },
+        { id: 'r2', name: 'Beef tacos!' },
+    ]);
+
+    it('prefers the linked recipe', () => {
+        expect(entryRecipeId({ recipe: { id: 'r9' }, title: 'Beef Tacos' }, recipeIdsByName)).toBe('r9');
+        expect(entryRecipeId({ recipeId: 'r8' }, recipeIdsByName)).toBe('r8');
+    });
+
+    it('matches titles to recipe names ignoring case and punctuation (first recipe wins)', () => {
+        expect(entryRecipeId({ title: '  beef TACOS ' }, recipeIdsByName)).toBe('r1');
+        expect(entryRecipeId({ title: 'Leftovers' }, recipeIdsByName)).toBeNull();
+        expect(entryRecipeId({ text: 'Out for dinner' })).toBeNull();
+    });
+});
+
+describe('slotAppliesOn / weekdayOf', () => {
+    it('returns the weekday key for a date', () => {
+        expect(weekdayOf('2025-01-20')).toBe('mon');
+        expect(weekdayOf('2025-01-26')).toBe('sun');
+    });
+
+    it('honors slot weekdays', () => {
+        const [breakfast] = resolveSlots('breakfast', { breakfast: { weekdays: ['mon', 'tue', 'wed', 'thu', 'fri'] } }, 5);
+        expect(slotAppliesOn(breakfast, '2025-01-20')).toBe(true);
+        expect(slotAppliesOn(breakfast, '2025-01-25')).toBe(false);
+    });
+
+    it('plans every day when no weekdays are set', () => {
+        const [dinner] = resolveSlots('dinner', {}, 5);
+        expect(slotAppliesOn(dinner, '2025-01-25')).toBe(true);
+    });
+});
+
+describe('buildMealFromComponents with slot options', () => {
+    it('covers only the requested roles', () => {
+        const proteinPool = [{ id: 'p1', name: 'Eggs', roles: new Set(['role:protein']) }];
+        const starchPool = [{ id: 's1', name: 'Toast', roles: new Set(['role:starch']) }];
+
+        const result = buildMealFromComponents(proteinPool, starchPool, [], new Set(), {
+            neededRoles: ['role:protein', 'role:starch'],
+            minRoles: 1,
+        });
+
+        expect(result.map(r => r.recipeId).sort()).toEqual(['p1', 's1']);
+    });
+
+    it('accepts a single-role meal when minRoles is 1', () => {
+        const starchPool = [{ id: 's1', name: 'Oatmeal', roles: new Set(['role:starch']) }];
+
+        const result = buildMealFromComponents([], starchPool, [], new Set(), {
+            neededRoles: ['role:protein', 'role:starch'],
+            minRoles: 1,
+        });
+
+        expect(result.map(r => r.recipeId)).toEqual(['s1']);
+    });
+});
+
+// ============================================================
+// Seeded randomness tests
+// ============================================================
+
+describe('createRng', () => {
+    it('returns the same sequence for the same seed', () => {
+        const a = createRng('20250120');
+        const b = createRng('20250120');
+        expect([a(), a(), a()]).toEqual([b(), b(), b()]);
+    });
+
+    it('returns different sequences for different seeds', () => {
+        expect(createRng('1')()).not.toBe(createRng('2')());
+    });
+
+    it('produces values in [0, 1)', () => {
+        const rng = createRng(7);
+        for (let i = 0; i < 100; i++) {
+            const value = rng();
+            expect(value).toBeGreaterThanOrEqual(0);
+            expect(value).toBeLessThan(1);
+        }
+    });
+});
+
+describe('seeded planning', () => {
+    const makeComplete = (id) => ({ id, name: id, roles: new Set(['role:protein', 'role:starch', 'role:vegetable']) });
+    const makeRole = (role) => (id) => ({ id, name: id, roles: new Set([role]) });
+    const makeProtein = makeRole('role:protein');
+    const makeStarch = makeRole('role:starch');
+    const makeVeg = makeRole('role:vegetable');
+
+    beforeEach(() => {
+        seedRandom('42');
+    });
+
+    it('shuffles deterministically', () => {
+        expect(shuffled([1, 2, 3, 4, 5, 6])).toEqual([5, 3, 4, 1, 6, 2]);
+    });
+
+    it('picks the same complete meal for the same seed', () => {
+        const pool = ['a', 'b', 'c', 'd'].map(makeComplete);
+        expect(trySelectCompleteMeal(pool, new Set())).toEqual([{ recipeId: 'c', name: 'c', reasons: ['complete meal'] }]);
+    });
+
+    it('builds the same component meal for the same seed', () => {
+        const result = buildMealFromComponents(
+            ['p1', 'p2', 'p3'].map(makeProtein),
+            ['s1', 's2'].map(makeStarch),
+            ['v1', 'v2', 'v3'].map(makeVeg),
+            new Set(),
+        );
+        expect(result.map(r => r.recipeId)).toEqual(['p1', 'v2', 's2']);
+    });
+
+    it('repeats a whole sequence of picks after re-seeding', () => {
+        const pool = ['a', 'b', 'c', 'd', 'e', 'f'].map(makeComplete);
+        const run = () => {
+            const recent = new Set();
+            return [1, 2, 3].map(() => trySelectCompleteMeal(pool, recent)[0].recipeId);
+        };
+        const first = run();
+        seedRandom('42');
+        expect(run()).toEqual(first);
+    });
+});
+
+// ============================================================
+// Existing plan handling tests (--mode)
+// ============================================================
+
+describe('existingEntriesFor', () => {
+    const entries = [
+        { id: 'e1', date: '2025-01-20', entryType: 'dinner', recipe: { id: 'r1', name: 'Tacos' } },
+        { id: 'e2', date: '2025-01-20', entryType: 'breakfast', title: 'Cereal' },
+        { id: 'e3', date: '2025-01-21', entryType: 'dinner', title: 'Leftovers' },
+    ];
+
+    it('returns entries of the slot type on the date', () => {
+        const [dinner] = resolveSlots('dinner', {}, 5);
+        expect(existingEntriesFor(entries, dinner, '2025-01-20').map(e => e.id)).toEqual(['e1']);
+        expect(existingEntriesFor(entries, dinner, '2025-01-22')).toEqual([]);
+    });
+
+    it('counts title-only entries as planned', () => {
+        const [dinner] = resolveSlots('dinner', {}, 5);
+        expect(existingEntriesFor(entries, dinner, '2025-01-21').map(e => e.id)).toEqual(['e3']);
+    });
+
+    it('describes entries by recipe name or title', () => {
+        expect(describeEntries(entries)).toBe('Tacos, Cereal, Leftovers');
+    });
+});
+
+describe('resolveDateAction', () => {
+    const existing = [{ id: 'e1' }];
+
+    it('plans dates with no entries in every mode', () => {
+        expect(resolveDateAction('fill', [])).toBe('plan');
+        expect(resolveDateAction('replace', [])).toBe('plan');
+        expect(resolveDateAction('append', [])).toBe('plan');
+    });
+
+    it('skips planned dates in fill mode', () => {
+        expect(resolveDateAction('fill', existing)).toBe('skip');
+    });
+
+    it('replaces or appends planned dates in those modes', () => {
+        expect(resolveDateAction('replace', existing)).toBe('replace');
+        expect(resolveDateAction('append', existing)).toBe('append');
+    });
+});
+
+// ============================================================
+// Clear / reroll helper tests
+// ============================================================
+
+describe('isPlannerEntry', () => {
+    it('recognizes entries carrying the planner note', () => {
+        expect(isPlannerEntry({ text: 'Planned by mealie-planner' })).toBe(true);
+    });
+
+    it('ignores entries made by hand', () => {
+        expect(isPlannerEntry({ text: '' })).toBe(false);
+        expect(isPlannerEntry({})).toBe(false);
+    });
+});
+
+describe('rerollAvoidIds', () => {
+    const [dinner] = resolveSlots('dinner', {}, 3);
+    const entries = [
+        { date: '2025-01-15', entryType: 'dinner', recipe: { id: 'too-early' } },
+        { date: '2025-01-18', entryType: 'dinner', recipe: { id: 'before' } },
+        { date: '2025-01-19', entryType: 'dinner', recipe: { id: 'current' } },
+        { date: '2025-01-21', entryType: 'dinner', recipe: { id: 'after' } },
+        { date: '2025-01-23', entryType: 'dinner', recipe: { id: 'too-late' } },
+        { date: '2025-01-20', entryType: 'lunch', recipe: { id: 'lunch' } },
+    ];
+
+    it('avoids recipes on both sides of the date and the current picks', () => {
+        const ids = rerollAvoidIds(entries, dinner, '2025-01-19');
+        expect([...ids].sort()).toEqual(['after', 'before', 'current']);
+    });
+
+    it('includes other entry types the slot counts, matching titles to recipes', () => {
+        const [countsLunch] = resolveSlots('dinner', {}, 3, ['lunch']);
+        const withNote = [...entries, { date: '2025-01-18', entryType: 'lunch', title: 'Beef Tacos' }];
+        const ids = rerollAvoidIds(withNote, countsLunch, '2025-01-19', recipeNameIndex([{ id: 'tacos', name: 'Beef Tacos' }]));
+        expect([...ids].sort()).toEqual(['after', 'before', 'current', 'lunch', 'tacos']);
+    });
+});
+
+// ============================================================
+// Theme rule tests
+// ============================================================
+
+describe('normalizeTag', () => {
+    it('treats tag names and slugs alike', () => {
+        expect(normalizeTag('cuisine:mexican')).toBe('cuisine-mexican');
+        expect(normalizeTag('Cuisine: Mexican')).toBe('cuisine-mexican');
+        expect(normalizeTag('cuisine-mexican')).toBe('cuisine-mexican');
+    });
+});
+
+describe('resolveThemes', () => {
+    it('normalizes weekdays, tags and default slots', () => {
+        const [theme] = resolveThemes([{ name: 'Taco Tuesday', weekdays: ['Tuesday'], tags: ['cuisine:mexican'] }]);
+        expect(theme).toEqual({
+            name: 'Taco Tuesday',
+            weekdays: ['tue'],
+            dates: [],
+            slots: ['dinner'],
+            tags: ['cuisine-mexican'],
+            categories: [],
+        });
+    });
+
+    it('returns no themes when none are configured', () => {
+        expect(resolveThemes()).toEqual([]);
+    });
+
+    it('rejects themes without a day or a requirement', () => {
+        expect(() => resolveThemes([{ tags: ['x'] }])).toThrow(/weekdays/);
+        expect(() => resolveThemes([{ weekdays: ['mon'] }])).toThrow(/tags/);
+    });
+});
+
+describe('themesFor', () => {
+    const themes = resolveThemes([
+        { name: 'Taco Tuesday', weekdays: ['tue'], tags: ['cuisine:mexican'] },
+        { name: 'Birthday', dates: ['2025-01-24'], categories: ['party'] },
+        { name: 'Pancake Sunday', weekdays: ['sun'], slots: ['breakfast'], tags: ['pancakes'] },
+    ]);
+    const [dinner] = resolveSlots('dinner', {}, 5);
+
+    it('matches by weekday and by specific date', () => {
+        expect(themesFor(themes, dinner, '2025-01-21').map(t => t.name)).toEqual(['Taco Tuesday']);
+        expect(themesFor(themes, dinner, '2025-01-24').map(t => t.name)).toEqual(['Birthday']);
+    });
+
+    it('only applies themes to their slots', () => {
+        expect(themesFor(themes, dinner, '2025-01-26')).toEqual([]);
+    });
+});
+
+describe('applyThemes', () => {
+    const [theme] = resolveThemes([{ weekdays: ['fri'], tags: ['protein:fish'] }]);
+    const fish = { id: 'fish', tags: ['protein-fish'], roles: new Set(['role:protein']) };
+    const chicken = { id: 'chicken', tags: ['protein-chicken'], roles: new Set(['role:protein']) };
+    const chickenRice = { id: 'chicken-rice', tags: [], roles: new Set(['role:protein', 'role:starch']) };
+    const rice = { id: 'rice', tags: [], roles: new Set(['role:starch']) };
+    const salad = { id: 'salad', tags: [], roles: new Set(['role:vegetable']) };
+    const pools = {
+        completePool: [],
+        proteinPool: [fish, chicken, chickenRice],
+        starchPool: [chickenRice, rice],
+        vegPool: [salad],
+    };
+
+    it('matches recipes by tag or category', () => {
+        expect(recipeMatchesTheme(fish, theme)).toBe(true);
+        expect(recipeMatchesTheme(chicken, theme)).toBe(false);
+        const [byCategory] = resolveThemes([{ weekdays: ['fri'], categories: ['Seafood'] }]);
+        expect(recipeMatchesTheme({ categories: ['seafood'] }, byCategory)).toBe(true);
+    });
+
+    it('narrows proteins and keeps sides that bring no protein', () => {
+        const themed = applyThemes(pools, [theme]);
+        expect(themed.proteinPool.map(r => r.id)).toEqual(['fish']);
+        expect(themed.starchPool.map(r => r.id)).toEqual(['rice']);
+        expect(themed.vegPool.map(r => r.id)).toEqual(['salad']);
+    });
+
+    it('requires a themed recipe in the chosen meal', () => {
+        const themed = applyThemes(pools, [theme]);
+        expect(mealMatchesThemes([{ recipeId: 'fish' }, { recipeId: 'rice' }], themed, [theme])).toBe(true);
+        expect(mealMatchesThemes([{ recipeId: 'rice' }, { recipeId: 'salad' }], themed, [theme])).toBe(false);
+        expect(mealMatchesThemes([], themed, [theme])).toBe(false);
+    });
+});
+
+// ============================================================
+// Cook-time budget tests
+// ============================================================
+
+describe('parseDurationMinutes', () => {
+    it('parses text durations', () => {
+        expect(parseDurationMinutes('45 minutes')).toBe(45);
+        expect(parseDurationMinutes('1 hour 30 minutes')).toBe(90);
+        expect(parseDurationMinutes('2 hrs')).toBe(120);
+        expect(parseDurationMinutes('1h 15m')).toBe(75);
+    });
+
+    it('parses ISO 8601 durations', () => {
+        expect(parseDurationMinutes('PT35M')).toBe(35);
+        expect(parseDurationMinutes('PT1H5M')).toBe(65);
+    });
+
+    it('treats bare numbers as minutes', () => {
+        expect(parseDurationMinutes(20)).toBe(20);
+        expect(parseDurationMinutes('20')).toBe(20);
+    });
+
+    it('returns null for missing or unparseable values', () => {
+        expect(parseDurationMinutes(null)).toBeNull();
+        expect(parseDurationMinutes('')).toBeNull();
+        expect(parseDurationMinutes('a while')).toBeNull();
+    });
+});
+
+describe('resolveTimeBudgets / timeBudgetFor', () => {
+    it('expands weekday ranges', () => {
+        expect(resolveTimeBudgets({ 'mon-thu': 40, sat: null })).toEqual({
+            mon: 40, tue: 40, wed: 40, thu: 40, sat: null,
+        });
+    });
+
+    it('wraps ranges across the end of the week', () => {
+        expect(Object.keys(resolveTimeBudgets({ 'fri-sun': 90 }))).toEqual(['fri', 'sat', 'sun']);
+    });
+
+    it('rejects unknown days', () => {
+        expect(() => resolveTimeBudgets({ someday: 30 })).toThrow(/Invalid time budget/);
+    });
+
+    it('looks up the budget for a date via the slot', () => {
+        const [dinner] = resolveSlots('dinner', { dinner: { timeBudgets: { 'mon-thu': '40 minutes' } } }, 5);
+        expect(timeBudgetFor(dinner, '2025-01-20')).toBe(40);
+        expect(timeBudgetFor(dinner, '2025-01-25')).toBeNull();
+    });
+
+    it('treats null budgets as unlimited', () => {
+        expect(fitsTimeBudget(500, null)).toBe(true);
+        expect(fitsTimeBudget(41, 40)).toBe(false);
+    });
+});
+
+describe('time budgets during selection', () => {
+    const complete = (id, totalMinutes) => ({
+        id, name: id, totalMinutes, roles: new Set(['role:protein', 'role:starch', 'role:vegetable']),
+    });
+
+    it('skips complete meals over budget', () => {
+        const pool = [complete('braise', 180), complete('quick', 30)];
+        const result = trySelectCompleteMeal(pool, new Set(), { maxMinutes: 40 });
+        expect(result[0].recipeId).toBe('quick');
+    });
+
+    it('applies the budget to the combined time of component meals', () => {
+        const proteinPool = [{ id: 'braise', name: 'Braise', totalMinutes: 180, roles: new Set(['role:protein']) },
+            { id: 'cutlet', name: 'Cutlet', totalMinutes: 20, roles: new Set(['role:protein']) }];
+        const starchPool = [{ id: 'rice', name: 'Rice', totalMinutes: 20, roles: new Set(['role:starch']) }];
+        const vegPool = [{ id: 'slow-veg', name: 'Slow veg', totalMinutes: 60, roles: new Set(['role:vegetable']) },
+            { id: 'salad', name: 'Salad', totalMinutes: 5, roles: new Set(['role:vegetable']) }];
+
+        const result = buildMealFromComponents(proteinPool, starchPool, vegPool, new Set(), { maxMinutes: 45 });
+
+        expect(result.map(r => r.recipeId).sort()).toEqual(['cutlet', 'rice', 'salad']);
+    });
+
+    it('leaves out recipes without a time when a budget applies', () => {
+        expect(trySelectCompleteMeal([complete('unknown', null)], new Set(), { maxMinutes: 10 })).toBeNull();
+        expect(trySelectCompleteMeal([complete('unknown', null)], new Set(), {})[0].recipeId).toBe('unknown');
+    });
+
+    it('counts recipes without a time as the slot\'s untimedMinutes', () => {
+        const [dinner] = resolveSlots('dinner', { dinner: { untimedMinutes: '30 minutes' } }, 5);
+        expect(dinner.untimedMinutes).toBe(30);
+        expect(resolveSlots('dinner', {}, 5)[0].untimedMinutes).toBe(30);
+        expect(resolveSlots('dinner', { dinner: { untimedMinutes: null } }, 5)[0].untimedMinutes).toBeNull();
+        expect(budgetMinutes(complete('unknown', null), dinner.untimedMinutes)).toBe(30);
+        expect(budgetMinutes(complete('known', 50), dinner.untimedMinutes)).toBe(50);
+        expect(trySelectCompleteMeal([complete('unknown', null)], new Set(), { maxMinutes: 40, untimedMinutes: 30 })[0].recipeId).toBe('unknown');
+        expect(trySelectCompleteMeal([complete('unknown', null)], new Set(), { maxMinutes: 20, untimedMinutes: 30 })).toBeNull();
+    });
+
+    it('logs meal times the way the budget counts them', () => {
+        expect(mealTimeLabel([complete('a', 40)], 30)).toBe('40 min');
+        expect(mealTimeLabel([complete('a', 40), complete('b', null)], 30)).toBe('70 min (1 without a time, counted as 30 min)');
+        expect(mealTimeLabel([complete('b', null)], null)).toBe('unknown (1 without a time)');
+    });
+
+    it('warns when the time budget leaves no recipe', () => {
+        const [dinner] = resolveSlots('dinner', { dinner: { timeBudgets: { mon: 20 }, untimedMinutes: null } }, 5);
+        const pools = { completePool: [complete('slow', 60), complete('unknown', null), complete('quick', 10)], proteinPool: [], starchPool: [], vegPool: [] };
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        try {
+            expect(warnTimeBudget('2025-01-20', dinner, pools, new Set(['quick']))).toBe(true);
+            expect(warn).toHaveBeenCalledWith('[warn] 2025-01-20 dinner: No recipe fits the 20-minute time budget (1 have no cook time and count as too long; see "untimedMinutes").');
+            expect(warnTimeBudget('2025-01-20', dinner, pools, new Set())).toBe(false);
+            expect(warnTimeBudget('2025-01-21', dinner, pools, new Set(['quick']))).toBe(false);
+        } finally {
+            warn.mockRestore();
+        }
+    });
+});
+
+// ============================================================
+// Rating / favorite weighting tests
+// ============================================================
+
+describe('resolveWeighting', () => {
+    it('uses a linear curve by default', () => {
+        expect(resolveWeighting()).toEqual({
+            curve: 'linear', base: 2, unratedAs: 3, favoriteMultiplier: 2, minRating: null,
+        });
+    });
+
+    it('lets the command-line cutoff override the config', () => {
+        expect(resolveWeighting({ minRating: 2 }, '4').minRating).toBe(4);
+        expect(resolveWeighting({ minRating: 2 }).minRating).toBe(2);
+    });
+
+    it('rejects unknown curves', () => {
+        expect(() => resolveWeighting({ curve: 'cubic' })).toThrow(/Unknown weighting curve/);
+    });
+
+    it('rejects minimum ratings that are not from 0 to 5', () => {
+        expect(() => resolveWeighting({}, 'abc')).toThrow(/Invalid minimum rating "abc"/);
+        expect(() => resolveWeighting({ minRating: 6 })).toThrow(/Invalid minimum rating "6"/);
+        expect(() => resolveWeighting({}, '-1')).toThrow(/expected a number from 0 to 5/);
+        expect(resolveWeighting({}, '0').minRating).toBe(0);
+        expect(resolveWeighting({}, '4.5').minRating).toBe(4.5);
+    });
+});
+
+describe('recipeWeight', () => {
+    const linear = resolveWeighting();
+
+    it('weights by rating and boosts favorites', () => {
+        expect(recipeWeight({ rating: 5 }, linear)).toBe(5);
+        expect(recipeWeight({ rating: 5, isFavorite: true }, linear)).toBe(10);
+        expect(recipeWeight({ rating: 1 }, linear)).toBe(1);
+    });
+
+    it('treats unrated recipes as the configured default', () => {
+        expect(recipeWeight({ rating: null }, linear)).toBe(3);
+    });
+
+    it('supports flat and exponential curves', () => {
+        expect(recipeWeight({ rating: 1 }, resolveWeighting({ curve: 'flat' }))).toBe(1);
+        expect(recipeWeight({ rating: 4 }, resolveWeighting({ curve: 'exponential', base: 3 }))).toBe(81);
+    });
+
+    it('keeps zero-star recipes possible on the linear curve', () => {
+        expect(recipeWeight({ rating: 0 }, linear)).toBeGreaterThan(0);
+    });
+});
+
+describe('meetsMinRating', () => {
+    it('drops rated recipes below the cutoff but keeps unrated ones', () => {
+        expect(meetsMinRating({ rating: 1 }, 3)).toBe(false);
+        expect(meetsMinRating({ rating: 3 }, 3)).toBe(true);
+        expect(meetsMinRating({ rating: null }, 3)).toBe(true);
+        expect(meetsMinRating({ rating: 1 }, null)).toBe(true);
+    });
+});
+
+describe('weightedPick', () => {
+    beforeEach(() => {
+        seedRandom('weights');
+    });
+
+    it('never picks zero-weight items when others have weight', () => {
+        for (let i = 0; i < 50; i++) {
+            expect(weightedPick(['never', 'always'], item => (item === 'always' ? 1 : 0))).toBe('always');
+        }
+    });
+
+    it('favors heavier items', () => {
+        const counts = { light: 0, heavy: 0 };
+        for (let i = 0; i < 1000; i++) {
+            counts[weightedPick(['light', 'heavy'], item => (item === 'heavy' ? 9 : 1))]++;
+        }
+        expect(counts.heavy).toBeGreaterThan(counts.light * 4);
+    });
+
+    it('returns undefined for an empty list', () => {
+        expect(weightedPick([], () => 1)).toBeUndefined();
+    });
+});
+
+// ============================================================
+// Protein variety tests
+// ============================================================
+
+describe('proteinTypesFromKeywords', () => {
+    it('maps keywords to protein types', () => {
+        expect(proteinTypesFromKeywords(['chicken'])).toEqual(['chicken']);
+        expect(proteinTypesFromKeywords(['salmon', 'shrimp'])).toEqual(['fish', 'shellfish']);
+    });
+
+    it('only uses generic cuts when nothing specific matched', () => {
+        expect(proteinTypesFromKeywords(['turkey', 'breast'])).toEqual(['turkey']);
+        expect(proteinTypesFromKeywords(['thigh'])).toEqual(['chicken']);
+    });
+
+    it('returns no types for no keywords', () => {
+        expect(proteinTypesFromKeywords([])).toEqual([]);
+    });
+});
+
+describe('detectProteinTypes', () => {
+    it('prefers protein:<type> tags', () => {
+        const recipe = { name: 'Chicken and Chorizo Paella' };
+        expect(detectProteinTypes(recipe, ['protein-seafood', 'role-protein'])).toEqual(['seafood']);
+    });
+
+    it('falls back to analyzeRecipe keyword matches', () => {
+        const recipe = { name: 'Grilled Pork Chops', recipeIngredient: [{ note: '4 bone-in pork chops' }] };
+        expect(detectProteinTypes(recipe, [])).toEqual(['pork']);
+    });
+});
+
+describe('weekOf', () => {
+    it('returns the Monday-to-Sunday week', () => {
+        const week = weekOf('2025-01-22');
+        expect(week[0]).toBe('2025-01-20');
+        expect(week[6]).toBe('2025-01-26');
+    });
+
+    it('handles Sundays and Mondays', () => {
+        expect(weekOf('2025-01-26')[0]).toBe('2025-01-20');
+        expect(weekOf('2025-01-20')[0]).toBe('2025-01-20');
+    });
+});
+
+describe('buildProteinHistory / recordProteinTypes', () => {
+    const [dinner] = resolveSlots('dinner', {}, 5);
+    const recipesById = new Map([
+        ['r1', { id: 'r1', proteinTypes: ['chicken'] }],
+        ['r2', { id: 'r2', proteinTypes: [] }],
+    ]);
+
+    it('collects protein types by date for the slot', () => {
+        const history = buildProteinHistory([
+            { date: '2025-01-19', entryType: 'dinner', recipe: { id: 'r1' } },
+            { date: '2025-01-19', entryType: 'lunch', recipe: { id: 'r1' } },
+            { date: '2025-01-18', entryType: 'dinner', recipe: { id: 'r2' } },
+            { date: '2025-01-17', entryType: 'dinner', title: 'Leftovers' },
+        ], dinner, recipesById);
+        expect([...history.keys()]).toEqual(['2025-01-19']);
+        expect([...history.get('2025-01-19')]).toEqual(['chicken']);
+    });
+
+    it('records new picks, skipping unknown recipes', () => {
+        const history = new Map();
+        recordProteinTypes(history, '2025-01-20', [{ proteinTypes: ['beef'] }, undefined]);
+        expect([...history.get('2025-01-20')]).toEqual(['beef']);
+    });
+});
+
+describe('varietyNeedsProteins', () => {
+    it('needs protein types when a rule is on for an active slot', () => {
+        expect(varietyNeedsProteins(resolveVariety(), resolveSlots('dinner', {}, 5))).toBe(true);
+        expect(varietyNeedsProteins(resolveVariety(), resolveSlots('breakfast', {}, 5))).toBe(false);
+        expect(varietyNeedsProteins(resolveVariety({ noConsecutive: false }), resolveSlots('dinner', {}, 5))).toBe(false);
+        expect(varietyNeedsProteins(resolveVariety({ noConsecutive: false, maxPerWeek: { beef: 2 } }), resolveSlots('dinner', {}, 5))).toBe(true);
+    });
+
+    it('only fetches ingredients for recipes without a protein tag', () => {
+        expect(hasProteinTag({ tags: ['role-protein', 'protein-chicken'] })).toBe(true);
+        expect(hasProteinTag({ tags: ['role-protein'] })).toBe(false);
+        expect(hasProteinTag({})).toBe(false);
+    });
+});
+
+describe('varietyAllows', () => {
+    const chicken = { proteinTypes: ['chicken'] };
+    const beef = { proteinTypes: ['beef'] };
+    const salad = { proteinTypes: [] };
+
+    it('blocks the same protein on consecutive days', () => {
+        const history = new Map([['2025-01-20', new Set(['chicken'])]]);
+        const variety = resolveVariety();
+        expect(varietyAllows(chicken, '2025-01-21', history, variety)).toBe(false);
+        expect(varietyAllows(chicken, '2025-01-22', history, variety)).toBe(true);
+        expect(varietyAllows(beef, '2025-01-21', history, variety)).toBe(true);
+    });
+
+    it('checks the following day too', () => {
+        const history = new Map([['2025-01-22', new Set(['chicken'])]]);
+        expect(varietyAllows(chicken, '2025-01-21', history, resolveVariety())).toBe(false);
+    });
+
+    it('can allow consecutive repeats', () => {
+        const history = new Map([['2025-01-20', new Set(['chicken'])]]);
+        expect(varietyAllows(chicken, '2025-01-21', history, resolveVariety({ noConsecutive: false }))).toBe(true);
+    });
+
+    it('caps protein groups per week', () => {
+        const history = new Map([
+            ['2025-01-20', new Set(['beef'])],
+            ['2025-01-22', new Set(['pork'])],
+        ]);
+        const variety = resolveVariety({ maxPerWeek: { 'red-meat': 2 } });
+        expect(varietyAllows(beef, '2025-01-24', history, variety)).toBe(false);
+        expect(varietyAllows(chicken, '2025-01-24', history, variety)).toBe(true);
+        // The following Monday starts a new week
+        expect(varietyAllows(beef, '2025-01-28', history, variety)).toBe(true);
+    });
+
+    it('caps single protein types per week', () => {
+        const history = new Map([['2025-01-20', new Set(['chicken'])]]);
+        const variety = resolveVariety({ maxPerWeek: { chicken: 1 } });
+        expect(varietyAllows(chicken, '2025-01-23', history, variety)).toBe(false);
+    });
+
+    it('always allows recipes without a protein', () => {
+        const history = new Map([['2025-01-20', new Set(['chicken'])]]);
+        expect(varietyAllows(salad, '2025-01-21', history, resolveVariety({ maxPerWeek: { chicken: 0 } }))).toBe(true);
+    });
+});
+
+describe('filterPools', () => {
+    it('filters every pool with the predicate', () => {
+        const pools = { completePool: [{ id: 'a' }, { id: 'b' }], proteinPool: [{ id: 'b' }] };
+        expect(filterPools(pools, recipe => recipe.id === 'a')).toEqual({ completePool: [{ id: 'a' }], proteinPool: [] });
+    });
+});
+
+describe('daysBetween', () => {
+    it('counts whole days between dates', () => {
+        expect(daysBetween('2025-01-20', '2025-01-23')).toBe(3);
+        expect(daysBetween('2025-01-23', '2025-01-20')).toBe(-3);
+        expect(daysBetween('2025-02-27', '2025-03-02')).toBe(3);
+    });
+});
+
+describe('resolveOptimizer', () => {
+    it('applies defaults', () => {
+        const optimizer = resolveOptimizer();
+        expect(optimizer.timeLimitMs).toBe(5000);
+        expect(optimizer.iterations).toBe(5000);
+        expect(optimizer.weights.coverage).toBe(3);
+    });
+
+    it('prefers the command-line time limit and merges weights', () => {
+        const optimizer = resolveOptimizer({ timeLimit: 20, weights: { theme: 5 } }, '1.5');
+        expect(optimizer.timeLimitMs).toBe(1500);
+        expect(optimizer.weights.theme).toBe(5);
+        expect(optimizer.weights.repeat).toBe(10);
+    });
+
+    it('rejects invalid time limits', () => {
+        expect(() => resolveOptimizer({}, 'soon')).toThrow(/time limit/);
+        expect(() => resolveOptimizer({}, '0')).toThrow(/time limit/);
+    });
+
+    it('ignores the time limit on seeded runs so they stay reproducible', () => {
+        const optimizer = resolveOptimizer({}, '2');
+        expect(optimizerDeadline(optimizer, false, 1000)).toBe(3000);
+        expect(optimizerDeadline(optimizer, true, 1000)).toBe(Infinity);
+    });
+});
+
+describe('candidateKey', () => {
+    it('ignores pick order', () => {
+        expect(candidateKey([{ recipeId: 'b' }, { recipeId: 'a' }])).toBe(candidateKey([{ recipeId: 'a' }, { recipeId: 'b' }]));
+        expect(candidateKey(undefined)).toBe('');
+    });
+});
+
+describe('week optimizer scoring', () => {
+    const [dinner] = resolveSlots('dinner', {}, 5);
+    const complete = (id, proteinTypes = []) => ({
+        id, roles: new Set(['role:protein', 'role:starch', 'role:vegetable']), tags: [], categories: [], rating: 3, proteinTypes,
+    });
+    const side = id => ({ id, roles: new Set(['role:vegetable']), tags: [], categories: [], rating: 3, proteinTypes: [] });
+    const pools = { completePool: [], proteinPool: [], starchPool: [], vegPool: [] };
+    const ctx = { slot: dinner, pools, history: new Map(), variety: resolveVariety(), weights: resolveOptimizer().weights, maxWeight: 3 };
+
+    it('rewards role coverage and ratings', () => {
+        expect(mealScore([complete('a')], '2025-01-20', ctx)).toBe(4);
+        expect(mealScore([side('v')], '2025-01-20', ctx)).toBe(2);
+        expect(mealScore([], '2025-01-20', ctx)).toBe(0);
+    });
+
+    it('counts repeats inside the no-repeat window', () => {
+        const a = complete('a');
+        const plan = new Map([['2025-01-20', [a]], ['2025-01-23', [a]], ['2025-01-30', [a]]]);
+        expect(countRepeats(plan, 5)).toBe(1);
+        expect(countRepeats(plan, 10)).toBe(3);
+    });
+
+    it('penalizes repeats and protein variety violations', () => {
+        const varied = new Map([['2025-01-20', [complete('a', ['chicken'])]], ['2025-01-21', [complete('b', ['beef'])]]]);
+        const sameProtein = new Map([['2025-01-20', [complete('a', ['chicken'])]], ['2025-01-21', [complete('c', ['chicken'])]]]);
+        const repeated = new Map([['2025-01-20', [complete('a')]], ['2025-01-21', [complete('a')]]]);
+        expect(scorePlan(varied, ctx)).toBe(8);
+        expect(scorePlan(sameProtein, ctx)).toBe(4);
+        expect(scorePlan(repeated, ctx)).toBe(-2);
+    });
+
+    it('searches past the first candidates to a better plan', () => {
+        seedRandom('42');
+        const chicken1 = complete('c1', ['chicken']);
+        const chicken2 = complete('c2', ['chicken']);
+        const beef = complete('b1', ['beef']);
+        const candidates = new Map([
+            ['2025-01-20', [[chicken1]]],
+            ['2025-01-21', [[chicken2], [beef]]],
+            ['2025-01-22', [[chicken2], [side('v')]]],
+        ]);
+        const result = searchPlan(candidates, ctx, { iterations: 200 });
+        expect(result.score).toBeGreaterThan(result.initialScore);
+        expect(result.plan.get('2025-01-21')).toEqual([beef]);
+        expect(result.plan.get('2025-01-22')).toEqual([chicken2]);
+        expect(result.iterations).toBe(200);
+    });
+
+    it('returns the starting plan when nothing can move', () => {
+        const candidates = new Map([['2025-01-20', [[complete('a')]]]]);
+        const result = searchPlan(candidates, ctx, { iterations: 100 });
+        expect(result.iterations).toBe(0);
+        expect(result.score).toBe(result.initialScore);
+    });
+});
+
+describe('shopping list', () => {
+    const ingredient = (quantity, unit, food, extra = {}) => ({
+        quantity, unit: unit ? { name: unit } : null, food: food ? { name: food } : null, ...extra,
+    });
+    const tacos = { id: 'r1', name: 'Tacos', recipeIngredient: [ingredient(0.5, 'bunch', 'cilantro'), ingredient(8, null, 'tortilla')] };
+    const salad = { id: 'r2', name: 'Salad', recipeIngredient: [ingredient(0.5, 'bunch', 'Cilantro'), ingredient(0, null, null, { note: 'Salt to taste' })] };
+
+    it('merges the same food and unit across recipes', () => {
+        const items = mergeIngredients([tacos, salad]);
+        const cilantro = items.find(item => item.food.toLowerCase() === 'cilantro');
+        expect(cilantro.quantity).toBe(1);
+        expect(cilantro.recipes).toEqual(['Tacos', 'Salad']);
+        expect(items.map(item => item.food || item.note)).toEqual(['cilantro', 'Salt to taste', 'tortilla']);
+    });
+
+    it('adds up repeated recipes but lists them once', () => {
+        const [, tortilla] = mergeIngredients([tacos, tacos]);
+        expect(tortilla.quantity).toBe(16);
+        expect(tortilla.recipes).toEqual(['Tacos']);
+    });
+
+    it('keeps different units apart', () => {
+        const items = mergeIngredients([
+            { id: 'a', name: 'A', recipeIngredient: [ingredient(1, 'cup', 'rice')] },
+            { id: 'b', name: 'B', recipeIngredient: [ingredient(200, 'gram', 'rice')] },
+        ]);
+        expect(items).toHaveLength(2);
+    });
+
+    it('formats quantities and items', () => {
+        expect(formatQuantity(1.5)).toBe('1.5');
+        expect(formatQuantity(1 / 3)).toBe('0.33');
+        expect(formatQuantity(0)).toBe('');
+        const [cilantro] = mergeIngredients([tacos, salad]);
+        expect(formatShoppingItem(cilantro)).toBe('1 bunch cilantro (Tacos, Salad)');
+    });
+
+    it('links known foods and units by ID, otherwise writes a note', () => {
+        const [linked] = mergeIngredients([{ id: 'r1', name: 'Rice', recipeIngredient: [
+            { quantity: 2, unit: { id: 'u1', name: 'cup' }, food: { id: 'f1', name: 'rice' } },
+        ] }]);
+        expect(shoppingItemPayload(linked, 'list1')).toEqual({
+            shoppingListId: 'list1', quantity: 2, foodId: 'f1', unitId: 'u1', note: '[mealie-planner]',
+            recipeReferences: [{ recipeId: 'r1', recipeQuantity: 1 }],
+        });
+
+        const [cilantro] = mergeIngredients([tacos]);
+        expect(shoppingItemPayload(cilantro, 'list1')).toMatchObject({ quantity: 0.5, note: 'bunch cilantro [mealie-planner]' });
+        expect(shoppingItemPayload(cilantro, 'list1').foodId).toBeUndefined();
+    });
+
+    it('only treats items it wrote as its own', () => {
+        const [cilantro] = mergeIngredients([tacos]);
+        expect(isPlannerShoppingItem(shoppingItemPayload(cilantro, 'list1'))).toBe(true);
+        expect(isPlannerShoppingItem({ note: '', recipeReferences: [{ recipeId: 'r1' }] })).toBe(false);
+        expect(isPlannerShoppingItem({ note: 'milk' })).toBe(false);
+        expect(isPlannerShoppingItem({})).toBe(false);
+    });
+});
+
+describe('ingredient overlap', () => {
+    const tacos = { id: 'r1', foods: ['fresh cilantro', 'tortilla'] };
+    const salad = { id: 'r2', foods: ['lettuce', 'cilantro'] };
+    const slaw = { id: 'r3', foods: ['red cabbage'] };
+    const perishables = ['cilantro', 'cabbage'];
+
+    it('extracts lowercase food names from ingredients', () => {
+        expect(ingredientFoods({ recipeIngredient: [{ food: { name: 'Cilantro' } }, { note: 'salt' }, { food: { name: 'cilantro' } }] }))
+            .toEqual(['cilantro']);
+        expect(ingredientFoods({})).toBeNull();
+    });
+
+    it('matches perishables by keyword', () => {
+        expect(recipePerishables(tacos, perishables)).toEqual(['cilantro']);
+        expect(recipePerishables(slaw, perishables)).toEqual(['cabbage']);
+        expect(recipePerishables({ foods: null }, perishables)).toEqual([]);
+    });
+
+    it('lists the dates each perishable is used', () => {
+        const plan = new Map([['2025-01-22', [salad]], ['2025-01-20', [tacos, salad]], ['2025-01-21', [slaw]]]);
+        const usage = perishableUsage(plan, perishables);
+        expect(usage.get('cilantro')).toEqual(['2025-01-20', '2025-01-22']);
+        expect(usage.get('cabbage')).toEqual(['2025-01-21']);
+    });
+
+    it('rewards reuse and penalizes single-use perishables', () => {
+        expect(overlapScore(new Map([['2025-01-20', [tacos]], ['2025-01-21', [salad]]]), perishables)).toBe(1);
+        expect(overlapScore(new Map([['2025-01-20', [tacos]], ['2025-01-21', [slaw]]]), perishables)).toBe(-1);
+        expect(overlapScore(new Map(), perishables)).toBe(0);
+    });
+
+    it('tracks perishables opened on the other days of the week for greedy picks', () => {
+        const used = new Map();
+        recordPerishables(used, '2025-01-20', [tacos], perishables);
+        recordPerishables(used, '2025-01-21', [slaw], perishables);
+        recordPerishables(used, '2025-01-27', [slaw], perishables);
+        expect(used.get('2025-01-20')).toEqual(new Set(['cilantro']));
+
+        const opened = openedPerishables(used, '2025-01-22');
+        expect(opened).toEqual(new Set(['cilantro', 'cabbage']));
+        expect(openedPerishables(used, '2025-01-20')).toEqual(new Set(['cabbage']));
+
+        expect(overlapFactor(salad, opened, perishables)).toBe(2);
+        expect(overlapFactor({ id: 'r4', foods: ['rice'] }, opened, perishables)).toBe(1);
+        expect(overlapFactor(salad, null, perishables)).toBe(1);
+    });
+});
+
+describe('exclusions', () => {
+    const scampi = { name: 'Shrimp Scampi', tags: ['role-protein'], foods: ['shrimp', 'garlic'], ingredientText: 'shrimp 1 lb, peeled garlic', proteinTypes: ['shellfish'] };
+    const carbonara = { name: 'Spaghetti Carbonara', tags: ['role-starch'], foods: null, ingredientText: null, proteinTypes: [] };
+    const satay = { name: 'Chicken Satay', tags: ['contains-nuts'], foods: ['chicken', 'peanut butter'], ingredientText: 'chicken peanut butter', proteinTypes: ['chicken'] };
+
+    it('normalizes the config', () => {
+        expect(resolveExclusions({ tags: ['Contains: Nuts'], foods: [' Peanut '], proteins: ['Shellfish'] })).toEqual({
+            tags: ['contains-nuts'], foods: ['peanut'], keywords: [], proteins: ['shellfish'],
+        });
+        expect(hasExclusions(resolveExclusions())).toBe(false);
+    });
+
+    it('rejects unknown protein types', () => {
+        expect(() => resolveExclusions({ proteins: ['dragon'] })).toThrow(/Unknown excluded protein/);
+    });
+
+    it('only needs ingredients for food, keyword and protein rules', () => {
+        expect(exclusionsNeedIngredients(resolveExclusions({ tags: ['spicy'] }))).toBe(false);
+        expect(exclusionsNeedIngredients(resolveExclusions({ keywords: ['pecan'] }))).toBe(true);
+    });
+
+    it('describes the active rules', () => {
+        expect(describeExclusions(resolveExclusions({ tags: ['spicy'], proteins: ['pork', 'shellfish'] })))
+            .toBe('tags spicy; proteins pork, shellfish');
+    });
+
+    it('excludes by tag, food, keyword and protein', () => {
+        expect(excludedBy(satay, resolveExclusions({ tags: ['contains:nuts'] }))).toBe('tag contains-nuts');
+        expect(excludedBy(satay, resolveExclusions({ foods: ['peanut butter'] }))).toBe('food peanut butter');
+        expect(excludedBy(scampi, resolveExclusions({ keywords: ['garlic'] }))).toBe('keyword garlic');
+        expect(excludedBy(scampi, resolveExclusions({ proteins: ['shellfish'] }))).toBe('protein shellfish');
+    });
+
+    it('matches protein keywords in names when types are unknown', () => {
+        const pancetta = { name: 'Bacon Carbonara', tags: [], foods: null, ingredientText: null, proteinTypes: [] };
+        expect(excludedBy(pancetta, resolveExclusions({ proteins: ['pork'] }))).toBe('protein pork');
+    });
+
+    it('allows recipes no rule matches', () => {
+        const exclusions = resolveExclusions({ tags: ['contains-nuts'], foods: ['shrimp'], keywords: ['pecan'], proteins: ['pork'] });
+        expect(excludedBy(carbonara, exclusions)).toBeNull();
+    });
+
+    it('leaves out recipes whose details could not be fetched when ingredients matter', async () => {
+        vi.stubGlobal('fetch', vi.fn().mockRejectedValue(new Error('connection reset')));
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const mystery = { id: 'm1', name: 'Mystery Pasta', tags: [], foods: null, ingredientText: null, proteinTypes: [] };
+        const known = { ...carbonara, foods: ['spaghetti', 'egg'] };
+        try {
+            const hydrated = await hydrateDetails([mystery, known], recipe => recipe.foods === null);
+            expect(hydrated[0].foods).toBeNull();
+            expect(warn).toHaveBeenCalledWith(expect.stringMatching(/Could not fetch details of 1 recipes: Mystery Pasta \(connection reset\)/));
+
+            expect(dropUnknownIngredients(hydrated, resolveExclusions({ proteins: ['shellfish'] }))).toEqual([known]);
+            expect(warn).toHaveBeenCalledWith(expect.stringMatching(/Ingredients unknown for 1 recipes/));
+            expect(dropUnknownIngredients(hydrated, resolveExclusions({ tags: ['spicy'] }))).toHaveLength(2);
+        } finally {
+            warn.mockRestore();
+            vi.unstubAllGlobals();
+        }
+    });
+
+    it('builds ingredient text from foods and notes', () => {
+        expect(ingredientText({ recipeIngredient: [{ food: { name: 'Shrimp' }, note: 'peeled' }, { display: '2 cloves Garlic' }] }))
+            .toBe('shrimp peeled 2 cloves garlic');
+        expect(ingredientText({})).toBeNull();
+    });
+});
+
+describe('household members', () => {
+    const household = resolveHousehold({
+        members: [
+            { name: 'Alex', likes: { tags: ['cuisine:mexican'] }, dislikes: { foods: ['asparagus'], recipes: ['Pork Chops'] } },
+            { name: 'Sam', likes: { recipes: ['salmon-bowl'] }, dislikes: { tags: ['protein:chicken'] }, maxDislikesPerWeek: 2 },
+        ],
+    });
+    const [alex, sam] = household.members;
+    const tacos = { id: 'r1', name: 'Chicken Tacos', slug: 'chicken-tacos', tags: ['cuisine-mexican', 'protein-chicken'], foods: [] };
+    const salmon = { id: 'r2', name: 'Salmon Bowl', slug: 'salmon-bowl', tags: [], foods: ['salmon'] };
+    const asparagus = { id: 'r3', name: 'Roasted Asparagus', tags: [], foods: ['green asparagus'] };
+    const rice = { id: 'r4', name: 'Rice', tags: [], foods: ['rice'] };
+
+    it('normalizes members and applies defaults', () => {
+        expect(household.slots).toEqual(['dinner']);
+        expect(alex.maxDislikesPerWeek).toBe(1);
+        expect(sam.maxDislikesPerWeek).toBe(2);
+        expect(alex.likes.tags).toEqual(['cuisine-mexican']);
+        expect(alex.dislikes.recipes).toEqual(['pork chops']);
+    });
+
+    it('requires member names', () => {
+        expect(() => resolveHousehold({ members: [{ likes: {} }] })).toThrow(/needs a name/);
+    });
+
+    it('matches recipes by name, slug, tag and food', () => {
+        expect(matchesPreferences({ name: 'Pork Chops', tags: [] }, alex.dislikes)).toBe(true);
+        expect(matchesPreferences(salmon, sam.likes)).toBe(true);
+        expect(matchesPreferences(asparagus, alex.dislikes)).toBe(true);
+        expect(matchesPreferences(rice, alex.dislikes)).toBe(false);
+    });
+
+    it('lets dislikes win over likes', () => {
+        expect(memberOpinion(tacos, alex)).toBe(1);
+        expect(memberOpinion(tacos, sam)).toBe(-1);
+        expect(memberOpinion(rice, sam)).toBe(0);
+        expect(mealOpinion([tacos, asparagus], alex)).toBe(-1);
+        expect(mealOpinion([salmon, rice], sam)).toBe(1);
+    });
+
+    it('averages satisfaction over the household', () => {
+        expect(householdSatisfaction([tacos], household.members)).toBe(0);
+        expect(householdSatisfaction([salmon], household.members)).toBe(0.5);
+        expect(householdSatisfaction([salmon], [])).toBe(0);
+    });
+
+    it('scales selection weights by the household opinion', () => {
+        expect(householdFactor(salmon, household)).toBeCloseTo(Math.SQRT2);
+        expect(householdFactor(rice, household)).toBe(1);
+        expect(householdFactor(salmon, resolveHousehold())).toBe(1);
+        expect(recipeWeight({ rating: 4 }, resolveWeighting(), household)).toBe(4);
+    });
+
+    it('tracks who disliked each day and enforces weekly limits', () => {
+        const [dinner] = resolveSlots('dinner', {}, 5);
+        const recipesById = new Map([['r3', asparagus]]);
+        const dislikes = buildDislikeHistory([{ date: '2025-01-20', entryType: 'dinner', recipe: { id: 'r3' } }], dinner, recipesById, household);
+        expect([...dislikes.get('2025-01-20')]).toEqual(['Alex']);
+
+        expect(dislikesAllow({ name: 'Pork Chops', tags: [] }, '2025-01-22', dislikes, household)).toBe(false);
+        expect(dislikesAllow(tacos, '2025-01-22', dislikes, household)).toBe(true);
+        // The next week starts fresh
+        expect(dislikesAllow({ name: 'Pork Chops', tags: [] }, '2025-01-27', dislikes, household)).toBe(true);
+
+        recordDislikes(dislikes, '2025-01-21', [tacos, undefined], household);
+        expect([...dislikes.get('2025-01-21')]).toEqual(['Sam']);
+    });
+
+    it('counts disliked meals over the limits', () => {
+        const existing = new Map([['2025-01-20', new Set(['Alex'])]]);
+        const plan = new Map([['2025-01-21', [asparagus]], ['2025-01-22', [tacos]], ['2025-01-23', [tacos]], ['2025-01-24', [tacos]]]);
+        expect(excessDislikes(plan, existing, household)).toBe(2);
+        expect(excessDislikes(new Map(), existing, household)).toBe(0);
+    });
+
+    it('copies histories deeply', () => {
+        const original = new Map([['2025-01-20', new Set(['chicken'])]]);
+        const copy = copyHistory(original);
+        copy.get('2025-01-20').add('beef');
+        expect([...original.get('2025-01-20')]).toEqual(['chicken']);
+        expect(copyHistory().size).toBe(0);
+    });
+});
+
+describe('nutrition', () => {
+    const meal = (calories, sodium) => ({ nutrition: { calories, protein: 30, carbs: null, fiber: 5, sodium } });
+
+    it('parses Mealie nutrition values', () => {
+        expect(parseNutrition({ calories: '600 kcal', proteinContent: '30', sodiumContent: '1,200 mg' }))
+            .toEqual({ calories: 600, protein: 30, carbs: null, fiber: null, sodium: 1200 });
+        expect(parseNutrition({ calories: '' })).toBeNull();
+        expect(parseNutrition(undefined)).toBeNull();
+    });
+
+    it('normalizes ranges in both shapes', () => {
+        const nutrition = resolveNutrition({ daily: { calories: [500, 800], sodium: { max: 1000 } }, weekly: { fiber: { min: 50 } } });
+        expect(nutrition.daily).toEqual({ calories: { min: 500, max: 800 }, sodium: { min: null, max: 1000 } });
+        expect(nutrition.weekly.fiber).toEqual({ min: 50, max: null });
+        expect(nutrition.slots).toEqual(['dinner']);
+        expect(hasNutritionTargets(nutrition)).toBe(true);
+        expect(hasNutritionTargets(resolveNutrition())).toBe(false);
+    });
+
+    it('rejects unknown nutrients and inverted ranges', () => {
+        expect(() => resolveNutrition({ daily: { vitaminC: [1, 2] } })).toThrow(/Unknown nutrient/);
+        expect(() => resolveNutrition({ weekly: { calories: [900, 500] } })).toThrow(/Invalid weekly range/);
+    });
+
+    it('splits ranges between nutrition slots', () => {
+        const nutrition = resolveNutrition({ slots: ['lunch', 'dinner'] });
+        expect(nutritionShare(nutrition, resolveSlots('lunch,dinner', {}, 5))).toBe(0.5);
+        expect(nutritionShare(nutrition, resolveSlots('breakfast', {}, 5))).toBe(1);
+        expect(scaleRanges({ calories: { min: 1000, max: null } }, 0.5)).toEqual({ calories: { min: 500, max: null } });
+    });
+
+    it('adds up nutrition and tracks missing data', () => {
+        const sum = sumNutrition([meal(600, 800), { nutrition: null }]);
+        expect(sum.totals.calories).toBe(600);
+        expect(sum.complete.calories).toBe(false);
+        expect(sum.totals.carbs).toBeNull();
+        expect(sumNutrition([meal(600, 800)]).complete.calories).toBe(true);
+    });
+
+    it('penalizes relative deviation from the ranges', () => {
+        const ranges = { calories: { min: 500, max: 1000 } };
+        expect(nutritionPenalty(sumNutrition([meal(1100, 0)]), ranges)).toBeCloseTo(0.1);
+        expect(nutritionPenalty(sumNutrition([meal(250, 0)]), ranges)).toBeCloseTo(0.5);
+        expect(nutritionPenalty(sumNutrition([meal(700, 0)]), ranges)).toBe(0);
+    });
+
+    it('does not penalize missing data below a minimum', () => {
+        const ranges = { calories: { min: 500, max: 1000 } };
+        expect(nutritionPenalty(sumNutrition([meal(250, 0), { nutrition: null }]), ranges)).toBe(0);
+        expect(nutritionPenalty(sumNutrition([{ nutrition: null }]), ranges)).toBe(0);
+    });
+
+    it('scores meals against daily ranges and a seventh of weekly ones', () => {
+        const nutrition = resolveNutrition({ daily: { calories: [null, 800] }, weekly: { sodium: { max: 7000 } } });
+        expect(mealNutritionPenalty([meal(600, 1000)], nutrition)).toBe(0);
+        expect(mealNutritionPenalty([meal(600, 1500)], nutrition)).toBeCloseTo(0.5);
+        // Half shares: 600 kcal is 50% over 400, 800 mg is 60% over 500
+        expect(mealNutritionPenalty([meal(600, 800)], nutrition, 0.5)).toBeCloseTo(1.1);
+    });
+
+    it('scores whole plans per day and per week', () => {
+        const nutrition = resolveNutrition({ daily: { calories: [null, 800] }, weekly: { sodium: { max: 7000 } } });
+        const plan = new Map([['2025-01-20', [meal(900, 3000)]], ['2025-01-21', [meal(600, 3000)]]]);
+        // One day 12.5% over; 6000 mg against 2/7 of 7000 mg is 200% over
+        expect(planNutritionPenalty(plan, nutrition)).toBeCloseTo(2.125);
+    });
+
+    it('formats totals with range flags', () => {
+        const ranges = resolveNutrition({ daily: { calories: [500, 800], protein: { min: 40 } } }).daily;
+        expect(formatNutrition(sumNutrition([meal(900, 800), { nutrition: null }]), ranges))
+            .toBe('~900 kcal (above 800), ~30 g protein (below 40), ? g carbs, ~5 g fiber, ~800 mg sodium');
+    });
+
+    it('groups dates by week', () => {
+        expect([...groupByWeek(['2025-01-27', '2025-01-20', '2025-01-26'])]).toEqual([
+            ['2025-01-20', ['2025-01-20', '2025-01-26']],
+            ['2025-01-27', ['2025-01-27']],
+        ]);
+    });
+});
+
+describe('costs and budget', () => {
+    const prices = resolvePrices({ Chicken: { Pounds: 4.5 }, 'ground beef': { lb: 6 }, beef: { lb: 9 }, tortilla: 0.25 });
+    const line = (quantity, unit, food) => ({ quantity, unit: unit && { name: unit }, food: { name: food } });
+    const priced = total => ({ cost: { total, unpriced: [] } });
+
+    it('normalizes the price table and units', () => {
+        expect(prices).toEqual({ chicken: { pound: 4.5 }, 'ground beef': { lb: 6 }, beef: { lb: 9 }, tortilla: 0.25 });
+        expect(normalizeUnit('Cups')).toBe('cup');
+        expect(normalizeUnit('lbs.')).toBe('lb');
+        expect(normalizeUnit('oz')).toBe('oz');
+        expect(normalizeUnit('glass')).toBe('glass');
+        expect(() => resolvePrices({ rice: 'cheap' })).toThrow(/Invalid price for rice/);
+    });
+
+    it('resolves the budget with the command-line cap first', () => {
+        expect(resolveBudget({ weekly: 100, servings: 4 }, '80')).toEqual({ weekly: 80, servings: 4, currency: '$' });
+        expect(resolveBudget()).toEqual({ weekly: null, servings: null, currency: '$' });
+        expect(() => resolveBudget({}, 'lots')).toThrow(/Invalid budget/);
+        expect(() => resolveBudget({ weekly: 0 })).toThrow(/Invalid budget/);
+    });
+
+    it('reads servings from the recipe', () => {
+        expect(recipeServings({ recipeServings: 6, recipeYield: '4 servings' })).toBe(6);
+        expect(recipeServings({ recipeYield: '4 servings' })).toBe(4);
+        expect(recipeServings({ recipeYield: 'one loaf' })).toBeNull();
+    });
+
+    it('prefers the longest matching price key', () => {
+        expect(findPrice('ground beef', prices)).toEqual({ lb: 6 });
+        expect(findPrice('beef chuck', prices)).toEqual({ lb: 9 });
+        expect(findPrice('tofu', prices)).toBeNull();
+    });
+
+    it('prices ingredients per item or per unit', () => {
+        expect(ingredientCost(line(2, 'pounds', 'chicken thigh'), prices)).toBe(9);
+        expect(ingredientCost(line(8, null, 'tortillas'), prices)).toBe(2);
+        expect(ingredientCost(line(1, 'cup', 'chicken'), prices)).toBeNull();
+        expect(ingredientCost({ quantity: 0, note: 'a few tortillas' }, prices, 2)).toBe(0.5);
+    });
+
+    it('estimates recipe costs scaled to the servings cooked', () => {
+        const recipe = {
+            recipeYield: '4 servings',
+            recipeIngredient: [line(1, 'lb', 'ground beef'), line(8, null, 'tortilla'), line(1, 'bunch', 'cilantro')],
+        };
+        expect(estimateRecipeCost(recipe, prices)).toEqual({ total: 8, unpriced: ['cilantro'] });
+        expect(estimateRecipeCost(recipe, prices, 2)).toEqual({ total: 4, unpriced: ['cilantro'] });
+        expect(estimateRecipeCost({}, prices)).toBeNull();
+        expect(estimateRecipeCost(recipe, {})).toBeNull();
+    });
+
+    it('adds up meal costs and flags missing prices', () => {
+        expect(mealCost([priced(4), priced(2.5)])).toEqual({ total: 6.5, partial: false });
+        expect(mealCost([priced(4), { cost: null }])).toEqual({ total: 4, partial: true });
+    });
+
+    it('splits the remaining weekly budget over pending meals', () => {
+        const recipesById = new Map([['kept', priced(20)]]);
+        const tasks = ['2025-01-21', '2025-01-22', '2025-01-23', '2025-01-27'].map(date => ({ date }));
+        const tracker = createBudgetTracker(100, [{ date: '2025-01-20', recipeId: 'kept' }], tasks, recipesById);
+        expect(budgetAllowance(tracker, '2025-01-21')).toBeCloseTo(80 / 3);
+        expect(budgetAllowance(tracker, '2025-01-27')).toBe(100);
+
+        recordSpend(tracker, '2025-01-21', 40);
+        expect(budgetAllowance(tracker, '2025-01-22')).toBe(20);
+        expect(slotBudgetShares(tracker, ['2025-01-22']).get('2025-01-20')).toBe(20);
+        expect(budgetAllowance(null, '2025-01-21')).toBeNull();
+        expect(createBudgetTracker(null, [], tasks, recipesById)).toBeNull();
+    });
+
+    it('penalizes meals and weeks over budget', () => {
+        expect(budgetPenalty(10, 12)).toBe(0);
+        expect(budgetPenalty(15, 10)).toBeCloseTo(10.5);
+        expect(budgetPenalty(50, null)).toBe(0);
+
+        const plan = new Map([['2025-01-20', [priced(30)]], ['2025-01-21', [priced(30)]], ['2025-01-27', [priced(10)]]]);
+        const left = new Map([['2025-01-20', 50], ['2025-01-27', 50]]);
+        expect(planBudgetOverrun(plan, left)).toBeCloseTo(0.2);
+    });
+});
+
+describe('seasonality', () => {
+    const veg = produce => ({ roles: new Set(['role:vegetable']), produce });
+
+    it('covers every vegetable keyword from auto-tag.js', () => {
+        expect(VEGETABLE_KEYWORDS.filter(keyword => !(keyword in PRODUCE_SEASONS))).toEqual([]);
+    });
+
+    it('is off unless configured', () => {
+        expect(resolveSeasons(undefined)).toBeNull();
+        expect(seasonFactor(veg(['asparagus']), 11, null)).toBe(1);
+    });
+
+    it('shifts the table for the southern hemisphere and applies region overrides', () => {
+        expect(resolveSeasons({}).months.asparagus).toEqual([4, 5, 6]);
+        expect(resolveSeasons({ hemisphere: 'south' }).months.asparagus).toEqual([10, 11, 12]);
+        expect(resolveSeasons({ hemisphere: 'south' }).months.garlic).toBeNull();
+        expect(resolveSeasons({ months: { Tomato: [5, 6, 7, 8, 9, 10] } }).months.tomato).toEqual([5, 6, 7, 8, 9, 10]);
+        expect(() => resolveSeasons({ hemisphere: 'east' })).toThrow(/Invalid hemisphere/);
+        expect(() => resolveSeasons({ months: { tomato: [13] } })).toThrow(/Invalid months for tomato/);
+    });
+
+    it('splits produce into in and out of season', () => {
+        const seasons = resolveSeasons({});
+        expect(monthOf('2025-11-03')).toBe(11);
+        expect(seasonalProduce(veg(['asparagus', 'garlic', 'kale']), 11, seasons))
+            .toEqual({ inSeason: ['kale'], outOfSeason: ['asparagus'] });
+    });
+
+    it('boosts in-season and penalizes out-of-season vegetables', () => {
+        const seasons = resolveSeasons({ inSeasonBoost: 2, outOfSeasonFactor: 0.5 });
+        expect(seasonFactor(veg(['asparagus']), 5, seasons)).toBe(2);
+        expect(seasonFactor(veg(['asparagus', 'kale']), 11, seasons)).toBe(0.5);
+        expect(seasonFactor(veg(['garlic']), 11, seasons)).toBe(1);
+        // Only recipes with the vegetable role are affected
+        expect(seasonFactor({ roles: new Set(['role:protein']), produce: ['asparagus'] }, 11, seasons)).toBe(1);
+    });
+});
+
+describe('calendar export', () => {
+    const slots = resolveSlots('lunch,dinner', { dinner: { time: '18:30', durationMinutes: 45 } }, 5);
+    const recipesById = new Map([
+        ['a', { id: 'a', name: 'Steak Frites', slug: 'steak-frites' }],
+        ['b', { id: 'b', name: 'Roasted Asparagus', slug: 'roasted-asparagus' }],
+        ['c', { id: 'c', name: 'Soup, Tomato', slug: null }],
+    ]);
+    const menu = [
+        { date: '2025-01-21', recipeId: 'c', slot: 'lunch' },
+        { date: '2025-01-20', recipeId: 'a', slot: 'dinner' },
+        { date: '2025-01-20', recipeId: 'b', slot: 'dinner' },
+    ];
+    const options = { base: 'https://mealie.local/', group: 'home' };
+
+    it('links recipes with or without a group', () => {
+        expect(recipeUrl('https://mealie.local/', 'home', 'beef-tacos')).toBe('https://mealie.local/g/home/r/beef-tacos');
+        expect(recipeUrl('https://mealie.local', null, 'beef-tacos')).toBe('https://mealie.local/recipe/beef-tacos');
+    });
+
+    it('builds one event per meal with stable UIDs', () => {
+        const events = calendarEvents(menu, recipesById, slots, options);
+        expect(events.map(event => event.uid)).toEqual([
+            'mealplan-2025-01-20-dinner@mealie.local',
+            'mealplan-2025-01-21-lunch@mealie.local',
+        ]);
+        expect(events[0]).toMatchObject({
+            time: '18:30',
+            durationMinutes: 45,
+            summary: 'Steak Frites + Roasted Asparagus',
+            url: 'https://mealie.local/g/home/r/steak-frites',
+        });
+        expect(events[0].description).toBe(
+            'Steak Frites: https://mealie.local/g/home/r/steak-frites\nRoasted Asparagus: https://mealie.local/g/home/r/roasted-asparagus'
+        );
+        expect(events[1]).toMatchObject({ time: null, description: 'Soup, Tomato', url: null });
+    });
+
+    it('shows title-only meals by their title', () => {
+        const events = calendarEvents([
+            { date: '2025-01-22', recipeId: null, title: 'Leftovers', slot: 'dinner' },
+            { date: '2025-01-23', recipeId: 'a', slot: 'dinner' },
+            { date: '2025-01-23', recipeId: null, title: 'Ice cream', slot: 'dinner' },
+        ], recipesById, slots, options);
+        expect(events[0]).toMatchObject({ summary: 'Leftovers', description: 'Leftovers', url: null });
+        expect(events[1]).toMatchObject({
+            summary: 'Steak Frites + Ice cream',
+            description: 'Steak Frites: https://mealie.local/g/home/r/steak-frites\nIce cream',
+            url: 'https://mealie.local/g/home/r/steak-frites',
+        });
+    });
+
+    it('rejects invalid slot times', () => {
+        expect(() => resolveSlots('dinner', { dinner: { time: '6pm' } }, 5)).toThrow(/Invalid time "6pm"/);
+    });
+
+    it('escapes text and folds long lines', () => {
+        expect(escapeIcsText('a;b,c\\d\ne')).toBe('a\\;b\\,c\\\\d\\ne');
+        const folded = foldIcsLine(`DESCRIPTION:${'é'.repeat(60)}`);
+        const parts = folded.split('\r\n');
+        expect(parts.length).toBe(2);
+        expect(parts.every(part => Buffer.byteLength(part) <= 75)).toBe(true);
+        expect(parts[1].startsWith(' ')).toBe(true);
+        expect(parts.map((part, i) => (i ? part.slice(1) : part)).join('')).toBe(`DESCRIPTION:${'é'.repeat(60)}`);
+    });
+
+    it('formats dates and times', () => {
+        expect(icsDateTime('2025-01-20')).toBe('20250120');
+        expect(icsDateTime('2025-01-20', '18:30')).toBe('20250120T183000');
+    });
+
+    it('renders all-day and timed events', () => {
+        const events = calendarEvents(menu, recipesById, slots, options);
+        events[0].time = '23:30';
+        const text = buildCalendar(events, new Date('2025-01-15T12:00:00.000Z'));
+        expect(text.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+        expect(text.endsWith('END:VCALENDAR\r\n')).toBe(true);
+        expect(text).toContain('DTSTAMP:20250115T120000Z');
+        expect(text).toContain('DTSTART:20250120T233000\r\nDTEND:20250121T001500');
+        expect(text).toContain('DTSTART;VALUE=DATE:20250121\r\nDTEND;VALUE=DATE:20250122');
+        expect(text).toContain('SUMMARY:Soup\\, Tomato');
+    });
+});
+
+describe('printable menu', () => {
+    const slots = resolveSlots('breakfast,dinner', {}, 5);
+    const recipesById = new Map([
+        ['a', { id: 'a', name: 'Steak Frites', slug: 'steak-frites', roles: new Set(['role:protein', 'role:starch']), totalMinutes: 40 }],
+        ['b', { id: 'b', name: 'Green Salad', slug: null, roles: new Set(['role:vegetable']), totalMinutes: 10 }],
+    ]);
+    const details = new Map([
+        ['a', { recipeIngredient: [{ food: { name: 'Steak' } }, { food: { name: 'Potato' } }, { note: 'Salt' }, { food: { name: 'potato' } }] }],
+    ]);
+    const menu = [
+        { date: '2025-01-20', recipeId: 'a', slot: 'dinner' },
+        { date: '2025-01-20', recipeId: 'b', slot: 'dinner' },
+    ];
+    const days = () => menuDays(['2025-01-20', '2025-01-21'], menu, recipesById, details, slots, { base: 'https://mealie.local', group: 'home' });
+
+    it('lists ingredients compactly', () => {
+        expect(compactIngredients(details.get('a'))).toEqual(['steak', 'potato', 'salt']);
+        expect(compactIngredients(undefined)).toEqual([]);
+    });
+
+    it('builds every date with its meals, roles and time', () => {
+        const [monday, tuesday] = days();
+        expect(monday.weekday).toBe('mon');
+        expect(monday.meals).toEqual([{
+            slot: 'dinner',
+            roles: ['protein', 'starch', 'vegetable'],
+            minutes: 50,
+            recipes: [
+                { name: 'Steak Frites', url: 'https://mealie.local/g/home/r/steak-frites', ingredients: ['steak', 'potato', 'salt'] },
+                { name: 'Green Salad', url: null, ingredients: [] },
+            ],
+        }]);
+        expect(tuesday.meals).toEqual([]);
+    });
+
+    it('lists title-only meals without link or ingredients', () => {
+        const [, tuesday] = menuDays(['2025-01-20', '2025-01-21'], [
+            { date: '2025-01-21', recipeId: null, title: 'Leftovers', slot: 'dinner' },
+        ], recipesById, details, slots, { base: 'https://mealie.local', group: 'home' });
+        expect(tuesday.meals).toEqual([{
+            slot: 'dinner', roles: [], minutes: 0, recipes: [{ name: 'Leftovers', url: null, ingredients: [] }],
+        }]);
+        expect(renderMenuMarkdown('Menu', [tuesday])).toContain('- Leftovers\n');
+    });
+
+    it('renders Markdown', () => {
+        const text = renderMenuMarkdown('Menu', days());
+        expect(text).toContain('## Mon 2025-01-20');
+        expect(text).toContain('**Dinner** (protein, starch, vegetable, 50 min)');
+        expect(text).toContain('- [Steak Frites](https://mealie.local/g/home/r/steak-frites) - steak, potato, salt');
+        expect(text).toContain('- Green Salad\n');
+        expect(text).toContain('## Tue 2025-01-21\n\n_Nothing planned_');
+    });
+
+    it('renders escaped HTML', () => {
+        expect(escapeHtml('<Mac & "Cheese">')).toBe('&lt;Mac &amp; &quot;Cheese&quot;&gt;');
+        const html = renderMenuHtml('Menu <week>', days());
+        expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+        expect(html).toContain('<title>Menu &lt;week&gt;</title>');
+        expect(html).toContain('<a href="https://mealie.local/g/home/r/steak-frites">Steak Frites</a>');
+        expect(html).toContain('<p class="empty">Nothing planned</p>');
+    });
+});
+
+describe('JSON output', () => {
+    const schema = JSON.parse(fs.readFileSync(new URL('../plan-output.schema.json', import.meta.url), 'utf8'));
+    const settings = {
+        action: 'plan', dryRun: false, start: '2025-01-20', days: 7, noRepeatDays: 5, mode: 'fill', strategy: 'greedy',
+        seed: '7', weighting: 'linear', minRating: null, slots: [], themes: [], budget: null,
+    };
+    const pick = (recipeId, entryId) => ({ recipeId, slug: null, name: recipeId, roles: [], reasons: [], entryId });
+    const result = {
+        pools: { dinner: { complete: 1, protein: 2, starch: 2, veg: 2, dinnerOnly: 1, excluded: 0, unknownIngredients: 0 } },
+        meals: [
+            { date: '2025-01-22', slot: 'dinner', entryType: 'dinner', picks: [pick('b', 'e2')], removedEntryIds: [] },
+            { date: '2025-01-20', slot: 'dinner', entryType: 'dinner', picks: [pick('a', 'e1'), pick('c', null)], removedEntryIds: [] },
+        ],
+        skipped: [{ date: '2025-01-21', slot: 'dinner', reason: 'already planned', entryIds: ['old'] }],
+        removed: [],
+    };
+
+    it('explains picks', () => {
+        expect(pickReasons({ rating: 4, isFavorite: true })).toEqual(['rated 4', 'favorite']);
+        expect(pickReasons({ rating: null, isFavorite: false })).toEqual([]);
+        const chosen = withReasons([{ recipeId: 'a', reasons: ['complete meal'] }], 'theme: Taco Tuesday', false, null);
+        expect(chosen[0].reasons).toEqual(['complete meal', 'theme: Taco Tuesday']);
+        expect(withReasons([], 'x')).toEqual([]);
+        expect(roleName('role:vegetable')).toBe('vegetable');
+    });
+
+    it('builds a versioned document with meals in date order', () => {
+        const doc = buildJsonOutput(result, settings, new Date('2025-01-15T08:00:00.000Z'));
+        expect(doc.schemaVersion).toBe(schema.properties.schemaVersion.const);
+        expect(Object.keys(doc).sort()).toEqual([...schema.required].sort());
+        expect(Object.keys(doc.config).sort()).toEqual([...schema.properties.config.required].sort());
+        expect(doc.generatedAt).toBe('2025-01-15T08:00:00.000Z');
+        expect(doc.meals.map(meal => meal.date)).toEqual(['2025-01-20', '2025-01-22']);
+        expect(doc.created).toEqual([
+            { entryId: 'e1', date: '2025-01-20', slot: 'dinner', recipeId: 'a' },
+            { entryId: 'e2', date: '2025-01-22', slot: 'dinner', recipeId: 'b' },
+        ]);
+        expect(doc.skipped).toEqual(result.skipped);
+    });
+
+    it('spells roles the same way everywhere', () => {
+        const slotRoles = schema.properties.config.properties.slots.items.properties.roles.items.enum;
+        const pickRoles = schema.properties.meals.items.properties.picks.items.properties.roles.items.enum;
+        expect(slotRoles).toEqual(pickRoles);
+    });
+});
+
+describe('pins and templates', () => {
+    const dates = ['2025-01-24', '2025-01-25', '2025-01-26'];
+    const template = resolveTemplate({
+        template: [
+            { name: 'Pizza Friday', weekdays: ['friday'], recipe: 'homemade-pizza' },
+            { weekdays: ['sun'], title: 'Leftovers' },
+            { dates: ['2025-01-25'], slot: 'lunch', recipe: 'tomato-soup' },
+        ],
+    });
+
+    it('normalizes template entries', () => {
+        expect(template[0]).toEqual({ name: 'Pizza Friday', weekdays: ['fri'], dates: [], slot: 'dinner', recipe: 'homemade-pizza', title: null });
+        expect(template[1].name).toBe('Leftovers');
+        expect(resolveTemplate([{ weekdays: ['mon'], recipe: 'x' }])).toHaveLength(1);
+        expect(() => resolveTemplate([{ recipe: 'x' }])).toThrow(/needs "weekdays" or "dates"/);
+        expect(() => resolveTemplate([{ weekdays: ['mon'], recipe: 'x', title: 'y' }])).toThrow(/either "recipe" or "title"/);
+        expect(() => resolveTemplate([{ weekdays: ['mon'] }])).toThrow(/either "recipe" or "title"/);
+    });
+
+    it('parses pins with an optional slot', () => {
+        expect(parsePins(['2025-01-24=homemade-pizza', '2025-01-25/Lunch=Tomato Soup'])).toEqual([
+            { date: '2025-01-24', slot: null, recipe: 'homemade-pizza' },
+            { date: '2025-01-25', slot: 'lunch', recipe: 'Tomato Soup' },
+        ]);
+        expect(() => parsePins(['2025-01-24'])).toThrow(/Invalid --pin/);
+        expect(() => parsePins(['friday=pizza'])).toThrow(/Invalid --pin/);
+    });
+
+    it('places template meals on matching days of active slots', () => {
+        const fixed = fixedMealsFor(dates, resolveSlots('dinner', {}, 5), template, []);
+        expect([...fixed.keys()]).toEqual(['2025-01-24|dinner', '2025-01-26|dinner']);
+        expect(fixed.get('2025-01-26|dinner')).toEqual({ date: '2025-01-26', slot: 'dinner', recipe: null, title: 'Leftovers', source: 'Leftovers' });
+        expect(fixedMealsFor(dates, resolveSlots('lunch,dinner', {}, 5), template, []).has('2025-01-25|lunch')).toBe(true);
+    });
+
+    it('lets pins override the template and ignores pins it cannot place', () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        const pins = parsePins(['2025-01-24=birthday-cake', '2025-02-01=soup', '2025-01-25/breakfast=eggs']);
+        const fixed = fixedMealsFor(dates, resolveSlots('dinner', {}, 5), template, pins);
+        expect(fixed.get('2025-01-24|dinner')).toMatchObject({ recipe: 'birthday-cake', source: 'pin' });
+        expect(fixed.size).toBe(2);
+        expect(warn).toHaveBeenCalledTimes(2);
+        warn.mockRestore();
+    });
+
+    it('finds recipes by ID, slug or name', () => {
+        const recipes = [{ id: 'r1', slug: 'homemade-pizza', name: 'Homemade Pizza' }];
+        expect(findRecipeByRef('r1', recipes)).toBe(recipes[0]);
+        expect(findRecipeByRef('homemade-pizza', recipes)).toBe(recipes[0]);
+        expect(findRecipeByRef('homemade pizza', recipes)).toBe(recipes[0]);
+        expect(findRecipeByRef('calzone', recipes)).toBeNull();
+    });
+
+    it('applies dietary exclusions to fixed meals', async () => {
+        const scampi = { id: 'r2', slug: 'shrimp-scampi', name: 'Shrimp Scampi', tags: [], foods: ['shrimp'], proteinTypes: ['shellfish'] };
+        const recipes = [{ id: 'r1', slug: 'homemade-pizza', name: 'Homemade Pizza', tags: [], foods: ['flour'], proteinTypes: [] }, scampi];
+        const recipesById = new Map(recipes.map(recipe => [recipe.id, recipe]));
+        const exclusions = resolveExclusions({ proteins: ['shellfish'] });
+        const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        try {
+            const pinned = new Map([['2025-01-24|dinner', { date: '2025-01-24', slot: 'dinner', recipe: 'shrimp-scampi', title: null, source: 'pin' }]]);
+            await expect(resolveFixedMeals(pinned, recipes, recipesById, exclusions)).rejects.toThrow(/Shrimp Scampi" \(pinned on 2025-01-24\) is excluded \(protein shellfish\)/);
+
+            const templated = fixedMealsFor(dates, resolveSlots('dinner', {}, 5), resolveTemplate([
+                { name: 'Fish Friday', weekdays: ['fri'], recipe: 'Shrimp Scampi' },
+                { name: 'Pizza Saturday', weekdays: ['sat'], recipe: 'homemade-pizza' },
+            ]), []);
+            const resolved = await resolveFixedMeals(templated, recipes, recipesById, exclusions);
+            expect([...resolved.keys()]).toEqual(['2025-01-25|dinner']);
+            expect(warn).toHaveBeenCalledWith(expect.stringMatching(/Shrimp Scampi \(template: Fish Friday\) is excluded/));
+        } finally {
+            log.mockRestore();
+            warn.mockRestore();
+        }
+    });
+});
+
+describe('interactive review', () => {
+    const recipe = (id, roles, extra = {}) => ({
+        id, name: id, slug: id, roles: new Set(roles.map(role => `role:${role}`)), tags: new Set(), proteinTypes: [], ...extra,
+    });
+    const steak = recipe('steak', ['protein'], { proteinTypes: ['beef'] });
+    const fries = recipe('fries', ['starch']);
+    const rice = recipe('rice', ['starch']);
+    const salad = recipe('salad', ['vegetable']);
+    const bowl = recipe('bowl', ['protein', 'starch', 'vegetable'], { proteinTypes: ['fish'] });
+    const recipesById = new Map([steak, fries, rice, salad, bowl].map(r => [r.id, r]));
+    const pools = { completePool: [bowl], proteinPool: [steak, bowl], starchPool: [fries, rice, bowl], vegPool: [salad, bowl] };
+    const [slot] = resolveSlots('dinner', {}, 5);
+    const ref = r => ({ recipeId: r.id, name: r.name });
+
+    it('parses review commands', () => {
+        expect(parseReviewCommand('a', 7)).toEqual({ action: 'accept', index: null });
+        expect(parseReviewCommand('a 2', 7)).toEqual({ action: 'accept', index: 1 });
+        expect(parseReviewCommand('reroll 7', 7)).toEqual({ action: 'reroll', index: 6 });
+        expect(parseReviewCommand(' s 3 Vegetable ', 7)).toEqual({ action: 'swap', index: 2, role: 'veg' });
+        expect(parseReviewCommand('p 1 Homemade Pizza', 7)).toEqual({ action: 'pin', index: 0, recipe: 'Homemade Pizza' });
+        expect(parseReviewCommand('w', 7)).toEqual({ action: 'write', index: null });
+        expect(parseReviewCommand('?', 7)).toEqual({ action: 'help', index: null });
+    });
+
+    it('rejects malformed review commands', () => {
+        expect(parseReviewCommand('x 1', 7).error).toMatch(/Unknown command/);
+        expect(parseReviewCommand('r 8', 7).error).toMatch(/from 1 to 7/);
+        expect(parseReviewCommand('r', 7).error).toMatch(/from 1 to 7/);
+        expect(parseReviewCommand('s 1 dessert', 7).error).toMatch(/needs a role/);
+        expect(parseReviewCommand('p 1', 7).error).toMatch(/needs a recipe/);
+    });
+
+    it('describes a proposed meal with the roles it misses', () => {
+        const task = { date: '2025-01-20', slot };
+        expect(describeProposal(task, [ref(steak), ref(fries)], recipesById))
+            .toBe('2025-01-20 dinner -> steak + fries (protein, starch; missing vegetable)');
+        expect(describeProposal(task, [{ recipeId: null, title: 'Leftovers' }], recipesById)).toBe('2025-01-20 dinner -> Leftovers');
+        expect(describeProposal(task, [], recipesById)).toBe('2025-01-20 dinner -> (nothing found)');
+    });
+
+    it('builds the re-roll context from the baseline and the other days', () => {
+        const tasks = [{ date: '2025-01-20', slot }, { date: '2025-01-21', slot }];
+        const proposal = new Map([['2025-01-20|dinner', [ref(bowl)]], ['2025-01-21|dinner', [ref(steak), ref(fries)]]]);
+        const baseline = new Map([['dinner', { recentIds: new Set(['old']), history: new Map(), dislikes: new Map() }]]);
+        const context = reviewContext(tasks[0], tasks, proposal, baseline, recipesById);
+        expect([...context.recentIds]).toEqual(['old', 'steak', 'fries']);
+        expect([...context.history.get('2025-01-21')]).toEqual(['beef']);
+        expect(baseline.get('dinner').recentIds.size).toBe(1);
+    });
+
+    it('gives the re-roll the perishables opened on the other days of the week', () => {
+        const tasks = [{ date: '2025-01-20', slot }, { date: '2025-01-21', slot }];
+        const proposal = new Map([['2025-01-20|dinner', [ref(bowl)]], ['2025-01-21|dinner', [ref(steak)]]]);
+        const baseline = new Map([['dinner', { recentIds: new Set(), history: new Map(), dislikes: new Map() }]]);
+        const perishables = new Map([['2025-01-22', new Set(['cilantro'])], ['2025-01-20', new Set(['spinach'])], ['2025-01-27', new Set(['kale'])]]);
+        const context = reviewContext(tasks[0], tasks, proposal, baseline, recipesById, { perishables });
+        expect([...context.opened]).toEqual(['cilantro']);
+        expect(reviewContext(tasks[0], tasks, proposal, baseline, recipesById).opened.size).toBe(0);
+        expect(perishables.size).toBe(3);
+    });
+
+    it('leaves the re-roll the budget the other meals of the week did not spend', () => {
+        const priced = new Map([...recipesById].map(([id, r]) => [id, { ...r, cost: { total: id === 'bowl' ? 12 : 3, unpriced: [] } }]));
+        const tasks = [{ date: '2025-01-20', slot }, { date: '2025-01-21', slot }, { date: '2025-01-27', slot }];
+        const proposal = new Map([['2025-01-20|dinner', [ref(bowl)]], ['2025-01-21|dinner', [ref(steak), ref(fries)]], ['2025-01-27|dinner', [ref(bowl)]]]);
+        const baseline = new Map([['dinner', { recentIds: new Set(), history: new Map(), dislikes: new Map() }]]);
+        const budget = createBudgetTracker(30, [{ date: '2025-01-22', recipeId: 'salad' }], tasks, priced);
+        expect(reviewContext(tasks[0], tasks, proposal, baseline, priced, { budget }).maxCost).toBe(21);
+        expect(reviewContext(tasks[0], tasks, proposal, baseline, priced).maxCost).toBeNull();
+        expect(budget.spent.get('2025-01-20')).toBe(3);
+    });
+
+    it('swaps only the component covering a role', () => {
+        const swapped = swapComponent([ref(steak), ref(fries), ref(salad)], 'role:starch', pools, new Set(['steak', 'fries', 'salad']), recipesById);
+        expect(swapped.map(item => item.recipeId)).toEqual(['steak', 'rice', 'salad']);
+        expect(swapped[1].reasons).toEqual(['swapped in for fries']);
+    });
+
+    it('keeps the meal complete when the swapped recipe covers several roles', () => {
+        const meal = [ref(bowl)];
+        expect(swapComponent(meal, 'role:starch', pools, new Set(['bowl']), recipesById)).toBeNull();
+        expect(swapComponent([ref(steak), ref(fries)], 'role:vegetable', pools, new Set(), recipesById)).toBeNull();
+        expect(swapComponent([ref(steak), ref(fries)], 'role:starch', pools, new Set(['fries', 'rice', 'bowl']), recipesById)).toBeNull();
+    });
+
+    it('swaps within the time budget, variety rules and budget allowance', () => {
+        const timed = (id, roles, minutes, cost, proteinTypes = []) => recipe(id, roles, { totalMinutes: minutes, cost: { total: cost, unpriced: [] }, proteinTypes });
+        const chops = timed('chops', ['protein'], 20, 5, ['pork']);
+        const mash = timed('mash', ['starch'], 20, 2);
+        const burger = timed('burger', ['protein'], 20, 4, ['beef']);
+        const cod = timed('cod', ['protein'], 20, 12, ['fish']);
+        const roast = timed('roast', ['protein'], 90, 4, ['chicken']);
+        const tofu = timed('tofu', ['protein'], 20, 3, ['tofu']);
+        const byId = new Map([chops, mash, burger, cod, roast, tofu].map(r => [r.id, r]));
+        const [timedSlot] = resolveSlots('dinner', { dinner: { timeBudgets: { mon: 60 } } }, 5);
+        const constraints = { date: '2025-01-20', slot: timedSlot, history: new Map([['2025-01-19', new Set(['beef'])]]), dislikes: new Map(), maxCost: 10 };
+        const swap = proteins => swapComponent([ref(chops), ref(mash)], 'role:protein', { completePool: [], proteinPool: proteins, starchPool: [mash], vegPool: [] }, new Set(['chops', 'mash']), byId, constraints);
+
+        expect(swap([burger, cod, roast, tofu])[0]).toEqual({ recipeId: 'tofu', name: 'tofu', reasons: ['swapped in for chops'] });
+        expect(swap([burger, cod, roast])[0]).toEqual({ recipeId: 'burger', name: 'burger', reasons: ['swapped in for chops', 'protein variety rules ignored'] });
+        expect(swap([cod, roast])[0].reasons).toEqual(['swapped in for chops', 'protein variety rules ignored', 'budget limits ignored']);
+        expect(swap([roast])).toBeNull();
+    });
+});
+
+describe('usage report', () => {
+    const recipe = (id, roles, categories = ['dinner']) => ({
+        id, name: id[0].toUpperCase() + id.slice(1), slug: id, roles: new Set(roles.map(role => `role:${role}`)), categories,
+    });
+    const bowl = recipe('bowl', ['protein', 'starch', 'vegetable']);
+    const steak = recipe('steak', ['protein', 'starch']);
+    const salad = recipe('salad', ['vegetable'], ['side']);
+    const soup = recipe('soup', ['vegetable']);
+    const entry = (date, item, entryType = 'dinner') => ({
+        date, entryType, ...(typeof item === 'string' ? { title: item } : { recipeId: item.id, recipe: { id: item.id, name: item.name, slug: item.slug } }),
+    });
+    const entries = [
+        entry('2025-01-10', bowl),
+        entry('2025-01-11', steak),
+        entry('2025-01-11', salad),
+        entry('2025-01-12', bowl),
+        entry('2025-02-02', steak),
+        entry('2025-02-03', 'Leftovers'),
+        entry('2025-02-04', bowl),
+    ];
+
+    it('counts recipe usage with first and last dates', () => {
+        expect(recipeUsage(entries)).toEqual([
+            { recipeId: 'bowl', name: 'Bowl', slug: 'bowl', count: 3, firstDate: '2025-01-10', lastDate: '2025-02-04' },
+            { recipeId: 'steak', name: 'Steak', slug: 'steak', count: 2, firstDate: '2025-01-11', lastDate: '2025-02-02' },
+            { recipeId: 'salad', name: 'Salad', slug: 'salad', count: 1, firstDate: '2025-01-11', lastDate: '2025-01-11' },
+        ]);
+    });
+
+    it('counts role and category balance per month by meal', () => {
+        const months = monthlyBalance(entries, new Map([bowl, steak, salad].map(r => [r.id, r])));
+        expect(months[0]).toEqual({
+            month: '2025-01', meals: 3, roles: { protein: 3, starch: 3, vegetable: 3 }, complete: 3, categories: { dinner: 3, side: 1 },
+        });
+        expect(months[1]).toMatchObject({ month: '2025-02', meals: 3, complete: 1, roles: { protein: 2, starch: 2, vegetable: 1 } });
+    });
+
+    it('finds the longest and current planning streaks per entry type', () => {
+        expect(planningStreaks(entries, '2025-02-04')).toEqual([
+            { entryType: 'dinner', longest: { days: 3, start: '2025-01-10', end: '2025-01-12' }, current: 3 },
+        ]);
+        expect(planningStreaks(entries, '2025-02-06')[0].current).toBe(0);
+        expect(planningStreaks([], '2025-02-06')).toEqual([]);
+    });
+
+    it('builds the report with recipes never planned', () => {
+        const report = buildReport(entries, [bowl, steak, salad, soup], { until: '2025-02-10' });
+        expect(report).toMatchObject({ since: '2025-01-10', until: '2025-02-10', entries: 7, notes: 1 });
+        expect(report.recipes[0]).toMatchObject({ recipeId: 'bowl', daysSince: 6 });
+        expect(report.neverPlanned).toEqual([{ recipeId: 'soup', name: 'Soup', slug: 'soup', plannable: true }]);
+        expect(buildReport(entries, [], { since: '2025-01-01', until: '2025-02-10' }).since).toBe('2025-01-01');
+    });
+
+    it('lists never-planned recipes from the whole library', () => {
+        const library = [bowl, steak, salad, soup, { id: 'cake', name: 'Cake', slug: 'cake' }];
+        const report = buildReport(entries, [bowl, steak, salad, soup], { until: '2025-02-10' }, library);
+        expect(report.neverPlanned).toEqual([
+            { recipeId: 'cake', name: 'Cake', slug: 'cake', plannable: false },
+            { recipeId: 'soup', name: 'Soup', slug: 'soup', plannable: true },
+        ]);
+        expect(renderReport(report)).toEqual(expect.arrayContaining(['  Cake (not plannable: no role tag or slot category)', '  Soup']));
+    });
+
+    it('lays out aligned text tables', () => {
+        expect(formatTable(['Recipe', 'Times'], [['Bowl', 3], ['Steak Frites', 12]])).toEqual([
+            'Recipe        Times',
+            '------------  -----',
+            'Bowl          3',
+            'Steak Frites  12',
+        ]);
+    });
+
+    it('renders the report sections', () => {
+        const lines = renderReport(buildReport(entries, [bowl, steak, salad, soup], { until: '2025-02-10' }), 2);
+        expect(lines[0]).toBe('Meal plan history 2025-01-10 to 2025-02-10: 7 entries (1 without a recipe), 3 recipes');
+        expect(lines).toContain('... and 1 more');
+        expect(lines).toContain('  Soup');
+        expect(lines.find(line => line.startsWith('Month'))).toMatch(/All roles\s+Dinner\s+Side$/);
+        expect(lines.find(line => line.startsWith('2025-02'))).toMatch(/^2025-02\s+3\s+67%\s+67%\s+33%\s+33%\s+67%\s+0%$/);
+    });
+});
+
+describe('cooldowns and resurfacing', () => {
+    const cooldowns = resolveCooldowns({ recipes: { 'Sunday Roast': 60 }, tags: { 'Holiday Special': 300 } });
+    const roast = { id: 'r1', slug: 'sunday-roast', name: 'Sunday Roast', tags: ['cooldown-30'], rating: 5, isFavorite: false };
+    const pie = { id: 'r2', slug: 'pie', name: 'Pie', tags: ['holiday-special'], rating: 3, isFavorite: true };
+    const tacos = { id: 'r3', slug: 'tacos', name: 'Tacos', tags: ['cooldown-14'], rating: 2, isFavorite: false };
+    const recipesById = new Map([roast, pie, tacos].map(recipe => [recipe.id, recipe]));
+    const entry = (date, recipe) => ({ date, entryType: 'dinner', recipe: { id: recipe.id, name: recipe.name } });
+
+    it('normalizes the cooldowns config', () => {
+        expect(cooldowns).toEqual({ recipes: { 'sunday roast': 60 }, tags: { 'holiday-special': 300 } });
+        expect(resolveCooldowns()).toEqual({ recipes: {}, tags: {} });
+        expect(() => resolveCooldowns({ tags: { roast: 'a month' } })).toThrow(/Invalid cooldown for tag "roast"/);
+    });
+
+    it('takes the longest cooldown of tags and config', () => {
+        expect(recipeCooldown(roast, cooldowns)).toBe(60);
+        expect(recipeCooldown(pie, cooldowns)).toBe(300);
+        expect(recipeCooldown(tacos, cooldowns)).toBe(14);
+        expect(recipeCooldown({ tags: [] }, cooldowns)).toBe(0);
+    });
+
+    it('avoids recipes planned within their cooldown', () => {
+        const entries = [entry('2024-12-01', roast), entry('2024-05-01', pie), entry('2025-01-01', tacos), { date: '2025-01-19', entryType: 'dinner', title: 'Leftovers' }];
+        expect([...cooldownIds(entries, recipesById, '2025-01-20', null, cooldowns)].sort()).toEqual(['r1', 'r2']);
+        expect([...cooldownIds([entry('2025-02-01', tacos)], recipesById, '2025-01-20', '2025-01-20', cooldowns)]).toEqual(['r3']);
+        expect([...cooldownIds([entry('2025-02-10', tacos)], recipesById, '2025-01-20', '2025-01-20', cooldowns)]).toEqual([]);
+    });
+
+    it('normalizes the resurface config', () => {
+        expect(resolveResurface()).toBeNull();
+        expect(resolveResurface({})).toEqual({ afterDays: 60, minRating: 4, boost: 2 });
+        expect(() => resolveResurface({ boost: 0.5 })).toThrow(/Invalid resurface boost/);
+        expect(() => resolveResurface({ afterDays: 0 })).toThrow(/Invalid resurface afterDays/);
+    });
+
+    it('boosts good recipes not planned for a long time', () => {
+        const resurface = resolveResurface({ afterDays: 60, boost: 3 });
+        const lastPlanned = new Map([['r1', '2024-12-01'], ['r2', '2025-01-10']]);
+        expect(resurfaceFactor(roast, resurface, lastPlanned, '2025-01-20')).toBe(1);
+        expect(resurfaceFactor(roast, resurface, lastPlanned, '2025-03-01')).toBe(3);
+        expect(resurfaceFactor(pie, resurface, new Map(), '2025-01-20')).toBe(3);
+        expect(resurfaceFactor(tacos, resurface, new Map(), '2025-01-20')).toBe(1);
+        expect(resurfaceFactor(roast, null, new Map(), '2025-01-20')).toBe(1);
+    });
+});
+
+describe('API errors', () => {
+    it('keeps the HTTP status of a failed DELETE so undo can tell a missing entry apart', async () => {
+        const respond = status => ({ ok: false, status, text: async () => 'nope' });
+        vi.stubGlobal('fetch', vi.fn()
+            .mockResolvedValueOnce(respond(404))
+            .mockResolvedValueOnce(respond(500)));
+        try {
+            await expect(apiDELETE('http://mealie.local/api/x')).rejects.toMatchObject({ status: 404 });
+            await expect(apiDELETE('http://mealie.local/api/x')).rejects.toMatchObject({ status: 500, message: expect.stringMatching(/-> 500 nope/) });
+        } finally {
+            vi.unstubAllGlobals();
+        }
+    });
+});